@@ -0,0 +1,136 @@
+/**
+ * Request Authentication
+ *
+ * SECURITY: The browser sends the signed-in user's Firebase ID token in the
+ * `Authorization: Bearer <token>` header. The user ID used by the API is
+ * always taken from the verified token, never from the request body.
+ *
+ * The shop owner is a user with the custom claim `admin: true` (set once
+ * with the Admin SDK); owner-only endpoints call requireOwner.
+ *
+ * Scheduled jobs (Vercel Cron) authenticate with the CRON_SECRET
+ * environment variable instead, which Vercel sends as a Bearer token.
+ *
+ * @module api/_lib/auth
+ */
+
+import { Buffer } from 'node:buffer';
+import { timingSafeEqual } from 'node:crypto';
+import { adminAuth } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Verify the Firebase ID token on a request
+ *
+ * @param {Object} req - Request object
+ * @returns {Promise<Object>} Decoded token (uid, email, custom claims)
+ * @throws {ApiError} 401 if the token is missing, invalid or expired
+ *
+ * @example
+ * const user = await verifyRequestUser(req);
+ * console.log(user.uid);
+ */
+export async function verifyRequestUser(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+        throw new ApiError(401, 'AUTH_REQUIRED', 'Please login to continue.');
+    }
+
+    try {
+        return await adminAuth.verifyIdToken(match[1]);
+    } catch (error) {
+        console.warn('ID token verification failed:', error.code || error.message);
+        throw new ApiError(401, 'INVALID_TOKEN', 'Your session has expired. Please login again.');
+    }
+}
+
+/**
+ * Verify that a request comes from the shop owner
+ *
+ * @param {Object} req - Request object
+ * @returns {Promise<Object>} Decoded token of the owner
+ * @throws {ApiError} 401 if not signed in, 403 if the user is not the owner
+ *
+ * @example
+ * const owner = await requireOwner(req);
+ */
+export async function requireOwner(req) {
+    const user = await verifyRequestUser(req);
+
+    if (user.admin !== true) {
+        throw new ApiError(403, 'FORBIDDEN', 'Only the shop owner can do this.');
+    }
+
+    return user;
+}
+
+/**
+ * Decide whose data a request may read
+ *
+ * Customers always get their own user ID; the owner may ask for any
+ * customer by passing `userId`.
+ *
+ * @param {Object} user - Decoded token from verifyRequestUser
+ * @param {string} requestedUserId - `userId` from the query (optional)
+ * @returns {string} User ID to read
+ * @throws {ApiError} 403 if a customer asks for someone else's data
+ *
+ * @example
+ * const userId = resolveTargetUserId(user, req.query.userId);
+ */
+export function resolveTargetUserId(user, requestedUserId) {
+    if (!requestedUserId || requestedUserId === user.uid) {
+        return user.uid;
+    }
+
+    if (user.admin !== true) {
+        throw new ApiError(403, 'FORBIDDEN', 'You can only view your own account.');
+    }
+
+    return requestedUserId;
+}
+
+/**
+ * Look up a customer by the email they sign in with
+ *
+ * Used by owner tools, where the owner knows the customer's email but
+ * not their user ID.
+ *
+ * @param {string} email - Sign-in email (already validated)
+ * @returns {Promise<Object>} Firebase Auth user record
+ * @throws {ApiError} 404 USER_NOT_FOUND if no user has that email
+ *
+ * @example
+ * const customer = await findUserByEmail('asha@example.com');
+ */
+export async function findUserByEmail(email) {
+    try {
+        return await adminAuth.getUserByEmail(email);
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+            throw new ApiError(404, 'USER_NOT_FOUND', 'No customer has signed in with that email.');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Verify that a request comes from Vercel Cron
+ *
+ * @param {Object} req - Request object
+ * @throws {ApiError} 401 if CRON_SECRET is not configured or does not match
+ *
+ * @example
+ * verifyCronRequest(req);
+ */
+export function verifyCronRequest(req) {
+    const secret = process.env.CRON_SECRET || '';
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || '');
+
+    if (!secret || expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized.');
+    }
+}
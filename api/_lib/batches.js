@@ -0,0 +1,226 @@
+/**
+ * Production Batches (Server-side)
+ *
+ * Batches live in `batches/{batchId}` and are only written by the
+ * serverless functions. Recording a batch adds its quantity to the
+ * product's counted stock in the same transaction; the nightly
+ * /api/expire-batches job marks expired batches and takes what was left
+ * of them out of stock, emailing the owner about anything that leaves
+ * low or sold out. What is left of each batch is worked out in
+ * js/batches.js.
+ *
+ * @module api/_lib/batches
+ */
+
+import {
+    BATCH_STATUS,
+    getBatchExpiryDate,
+    isBatchExpired,
+    summarizeBatches
+} from '../../js/batches.js';
+import { buildStockUpdate, getStockAlerts } from '../../js/inventory.js';
+import { getProductVariant, getVariantKey } from '../../js/product-variants.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+import { notifyStockAlerts } from './inventory.js';
+import { loadProducts } from './pricing.js';
+
+/**
+ * Convert a stored batch document to the shape returned by the API
+ *
+ * @private
+ * @param {DocumentSnapshot} snapshot - Batch document snapshot
+ * @returns {Object} Batch with its ID and an ISO createdAt
+ */
+function serializeBatch(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        batchId: snapshot.id,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt
+    };
+}
+
+/**
+ * Query the active batches of one product and pack size
+ *
+ * @private
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Pack size (null for products without variants)
+ * @returns {Query} Firestore query
+ */
+function activeBatchesQuery(productId, variantId) {
+    return db.collection(COLLECTIONS.BATCHES)
+        .where('status', '==', BATCH_STATUS.ACTIVE)
+        .where('productId', '==', productId)
+        .where('variantId', '==', variantId);
+}
+
+/**
+ * Record a production batch and add it to stock
+ *
+ * The batch must already have passed validateBatch.
+ *
+ * @param {Object} data - {productId, variantId, quantity, madeOn, shelfLifeDays}
+ * @param {Object} recordedBy - Who made it {uid, role}
+ * @returns {Promise<Object>} {batch, stock}
+ * @throws {ApiError} 404 if the product or pack size does not exist
+ *
+ * @example
+ * await addBatch({ productId: 'paneer', variantId: null, quantity: 40,
+ *   madeOn: '2026-03-10', shelfLifeDays: 3 }, { uid: owner.uid, role: 'owner' });
+ */
+export async function addBatch(data, recordedBy) {
+    const productRef = db.collection(COLLECTIONS.PRODUCTS).doc(data.productId);
+    const batchRef = db.collection(COLLECTIONS.BATCHES).doc();
+
+    return db.runTransaction(async transaction => {
+        const productSnap = await transaction.get(productRef);
+        const product = productSnap.exists ? { id: productSnap.id, ...productSnap.data() } : null;
+        const variant = product ? getProductVariant(product, data.variantId) : null;
+
+        if (!variant || variant.id !== (data.variantId || null)) {
+            throw new ApiError(404, 'PRODUCT_NOT_FOUND', 'Product or pack size not found.');
+        }
+
+        const stock = (Number.isInteger(variant.stock) ? variant.stock : 0) + data.quantity;
+        const batch = {
+            productId: product.id,
+            variantId: variant.id,
+            productName: product.nameEnglish,
+            unit: variant.unit,
+            quantity: data.quantity,
+            madeOn: data.madeOn,
+            shelfLifeDays: data.shelfLifeDays,
+            expiresOn: getBatchExpiryDate(data.madeOn, data.shelfLifeDays),
+            status: BATCH_STATUS.ACTIVE,
+            recordedBy
+        };
+
+        transaction.update(productRef, {
+            ...buildStockUpdate(product, new Map([[variant.id, stock]])),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        transaction.set(batchRef, { ...batch, createdAt: FieldValue.serverTimestamp() });
+
+        return { batch: { ...batch, batchId: batchRef.id }, stock };
+    });
+}
+
+/**
+ * Show what is left to sell and what must be thrown away, per product
+ *
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{productId, variantId, productName, unit, stock, toSell,
+ *   toDiscard, batches}] where batches carry `remaining`, `expired` and `lastDay`
+ */
+export async function getBatchOverview(dateKey) {
+    const snapshot = await db.collection(COLLECTIONS.BATCHES)
+        .where('status', '==', BATCH_STATUS.ACTIVE)
+        .get();
+
+    const groups = new Map();
+    snapshot.docs.map(serializeBatch).forEach(batch => {
+        const key = getVariantKey(batch);
+        groups.set(key, [...(groups.get(key) || []), batch]);
+    });
+
+    const products = await loadProducts(snapshot.docs.map(doc => doc.data().productId));
+
+    return [...groups.values()]
+        .map(batches => {
+            const { productId, variantId, productName, unit } = batches[0];
+            const product = products.get(productId);
+            const variant = product ? getProductVariant(product, variantId) : null;
+            const stock = variant?.stock ?? 0;
+
+            return { productId, variantId, productName, unit, stock, ...summarizeBatches(stock, batches, dateKey) };
+        })
+        .sort((a, b) => a.productName.localeCompare(b.productName));
+}
+
+/**
+ * Expire one product's batches and take what was left of them out of stock
+ *
+ * @private
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Pack size
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {Promise<Object>} {productId, variantId, productName, unit, batches, discarded,
+ *   stockAlerts}
+ */
+async function expireProductBatches(productId, variantId, dateKey) {
+    const productRef = db.collection(COLLECTIONS.PRODUCTS).doc(productId);
+
+    return db.runTransaction(async transaction => {
+        const [productSnap, batchesSnap] = await Promise.all([
+            transaction.get(productRef),
+            transaction.get(activeBatchesQuery(productId, variantId))
+        ]);
+
+        const batches = batchesSnap.docs.map(serializeBatch);
+        const product = productSnap.exists ? { id: productSnap.id, ...productSnap.data() } : null;
+        const variant = product ? getProductVariant(product, variantId) : null;
+        const stock = Number.isInteger(variant?.stock) ? variant.stock : 0;
+        const summary = summarizeBatches(stock, batches, dateKey);
+        const expired = summary.batches.filter(batch => batch.expired);
+
+        expired.forEach(batch => {
+            transaction.update(db.collection(COLLECTIONS.BATCHES).doc(batch.batchId), {
+                status: BATCH_STATUS.EXPIRED,
+                discarded: batch.remaining,
+                expiredAt: FieldValue.serverTimestamp()
+            });
+        });
+
+        const update = variant && summary.toDiscard > 0
+            ? buildStockUpdate(product, new Map([[variant.id, stock - summary.toDiscard]]))
+            : null;
+
+        if (update) {
+            transaction.update(productRef, { ...update, updatedAt: FieldValue.serverTimestamp() });
+        }
+
+        return {
+            productId,
+            variantId,
+            productName: batches[0]?.productName || productId,
+            unit: batches[0]?.unit || '',
+            batches: expired.length,
+            discarded: summary.toDiscard,
+            stockAlerts: update ? getStockAlerts(product, update) : []
+        };
+    });
+}
+
+/**
+ * Expire every batch past its shelf life
+ *
+ * Safe to re-run: expired batches are no longer active, so they are
+ * never taken out of stock twice. Stock alerts are sent together once
+ * every product is done.
+ *
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {Promise<Array>} One result per product and pack size (see expireProductBatches)
+ */
+export async function expireBatches(dateKey) {
+    const snapshot = await db.collection(COLLECTIONS.BATCHES)
+        .where('status', '==', BATCH_STATUS.ACTIVE)
+        .get();
+
+    const due = new Map();
+    snapshot.docs.map(serializeBatch)
+        .filter(batch => isBatchExpired(batch, dateKey))
+        .forEach(batch => due.set(getVariantKey(batch), batch));
+
+    const results = [];
+    for (const batch of due.values()) {
+        results.push(await expireProductBatches(batch.productId, batch.variantId, dateKey));
+    }
+
+    await notifyStockAlerts(results.flatMap(result => result.stockAlerts));
+
+    return results;
+}
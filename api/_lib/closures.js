@@ -0,0 +1,99 @@
+/**
+ * Shop Closures (Server-side)
+ *
+ * One-off closed periods the owner adds on the owner page (family events,
+ * extra festival days) live in `closures/{closureId}` and are only
+ * written by the serverless functions. Like CONFIG.SHOP_HOLIDAYS they
+ * block delivery dates at checkout and in /api/submit-order and pause
+ * subscription order generation; the rules are in js/delivery-schedule.js.
+ *
+ * Adding a closure does not touch orders already placed for those dates,
+ * so the owner is told how many there are.
+ *
+ * @module api/_lib/closures
+ */
+
+import { ORDER_STATUS } from '../../js/order-status.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+
+/**
+ * Convert a stored closure document to the shape returned by the API
+ *
+ * Who added it stays on the server.
+ *
+ * @private
+ * @param {DocumentSnapshot} snapshot - Closure document snapshot
+ * @returns {Object} {closureId, startDate, endDate, reason}
+ */
+function serializeClosure(snapshot) {
+    const { startDate, endDate, reason } = snapshot.data();
+    return { closureId: snapshot.id, startDate, endDate, reason };
+}
+
+/**
+ * Get the closures that have not ended yet
+ *
+ * @param {string} fromDateKey - Shop date (YYYY-MM-DD); closures ending before it are left out
+ * @returns {Promise<Array>} [{closureId, startDate, endDate, reason}] in date order
+ */
+export async function getClosures(fromDateKey) {
+    const snapshot = await db.collection(COLLECTIONS.CLOSURES)
+        .where('endDate', '>=', fromDateKey)
+        .get();
+
+    return snapshot.docs
+        .map(serializeClosure)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Add a closure
+ *
+ * The closure must already have passed validateClosure.
+ *
+ * @param {Object} data - {startDate, endDate, reason}
+ * @param {Object} createdBy - Who added it {uid, role}
+ * @returns {Promise<Object>} {closure, ordersBooked} where ordersBooked counts the
+ *   orders not cancelled that are already due in the closed period
+ *
+ * @example
+ * await addClosure({ startDate: '2026-05-11', endDate: '2026-05-13', reason: 'Family wedding' },
+ *   { uid: owner.uid, role: 'owner' });
+ */
+export async function addClosure(data, createdBy) {
+    const closureRef = db.collection(COLLECTIONS.CLOSURES).doc();
+    const closure = {
+        startDate: data.startDate,
+        endDate: data.endDate,
+        reason: data.reason.trim()
+    };
+
+    await closureRef.set({ ...closure, createdBy, createdAt: FieldValue.serverTimestamp() });
+
+    const ordersSnap = await db.collection(COLLECTIONS.ORDERS)
+        .where('deliveryDate', '>=', closure.startDate)
+        .where('deliveryDate', '<=', closure.endDate)
+        .get();
+    const ordersBooked = ordersSnap.docs.filter(doc => doc.data().status !== ORDER_STATUS.CANCELLED).length;
+
+    return { closure: { ...closure, closureId: closureRef.id }, ordersBooked };
+}
+
+/**
+ * Remove a closure (the dates open for orders again)
+ *
+ * @param {string} closureId - Closure ID
+ * @throws {ApiError} 404 if the closure does not exist
+ */
+export async function removeClosure(closureId) {
+    const closureRef = db.collection(COLLECTIONS.CLOSURES).doc(closureId);
+    const closureSnap = await closureRef.get();
+
+    if (!closureSnap.exists) {
+        throw new ApiError(404, 'CLOSURE_NOT_FOUND', 'Closure not found.');
+    }
+
+    await closureRef.delete();
+}
@@ -0,0 +1,178 @@
+/**
+ * Coupons (Server-side)
+ *
+ * Coupons live in `coupons/{code}` (synced from data/coupons.json by
+ * scripts/sync-coupons.js) and are only read by the serverless functions,
+ * so customers cannot list the codes. Each use is counted on the coupon
+ * (`usedCount`) and per customer in its `redemptions/{userId}`
+ * subcollection, inside the transaction that creates the order; a
+ * cancelled order gives its use back.
+ *
+ * The discount rules themselves are in js/coupons.js.
+ *
+ * @module api/_lib/coupons
+ */
+
+import { checkCoupon, normalizeCouponCode } from '../../js/coupons.js';
+import { getShopDateKey } from '../../js/utils.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+
+/**
+ * Name of the per-customer redemptions subcollection under each coupon
+ * @constant {string}
+ */
+const REDEMPTIONS_SUBCOLLECTION = 'redemptions';
+
+/**
+ * Get a coupon's document
+ *
+ * @private
+ * @param {string} code - Normalized coupon code
+ * @returns {DocumentReference} Coupon document reference
+ */
+function getCouponRef(code) {
+    return db.collection(COLLECTIONS.COUPONS).doc(code);
+}
+
+/**
+ * Get a customer's redemption counter for a coupon
+ *
+ * @private
+ * @param {string} code - Normalized coupon code
+ * @param {string} userId - Customer's user ID
+ * @returns {DocumentReference} Redemption document reference
+ */
+function getRedemptionRef(code, userId) {
+    return getCouponRef(code).collection(REDEMPTIONS_SUBCOLLECTION).doc(userId);
+}
+
+/**
+ * Get the rules of a coupon the browser needs to show its discount
+ *
+ * Usage counts and limits stay on the server.
+ *
+ * @param {Object} coupon - Stored coupon
+ * @returns {Object} {code, description, type, value, maxDiscount, minOrderAmount,
+ *   productIds, categories, validFrom, validUntil}
+ */
+export function serializeCoupon(coupon) {
+    return {
+        code: coupon.code,
+        description: coupon.description || '',
+        type: coupon.type,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount || null,
+        minOrderAmount: coupon.minOrderAmount || 0,
+        productIds: coupon.productIds || [],
+        categories: coupon.categories || [],
+        validFrom: coupon.validFrom || null,
+        validUntil: coupon.validUntil || null
+    };
+}
+
+/**
+ * Load a coupon by the code a customer entered
+ *
+ * @param {string} code - Code as entered (any case)
+ * @returns {Promise<Object|null>} Stored coupon, or null if there is none
+ */
+export async function getCoupon(code) {
+    const normalized = normalizeCouponCode(code);
+    if (!normalized) {
+        return null;
+    }
+
+    const couponSnap = await getCouponRef(normalized).get();
+    return couponSnap.exists ? { ...couponSnap.data(), code: normalized } : null;
+}
+
+/**
+ * Count how often a coupon has been used
+ *
+ * @param {Object} coupon - Stored coupon
+ * @param {string|null} userId - Customer's user ID (null: signed out, only
+ *   the overall count is known)
+ * @returns {Promise<Object>} {total, byUser}
+ */
+export async function getCouponUsage(coupon, userId) {
+    const redemptionSnap = userId ? await getRedemptionRef(coupon.code, userId).get() : null;
+
+    return {
+        total: coupon.usedCount || 0,
+        byUser: redemptionSnap?.exists ? redemptionSnap.data().count : 0
+    };
+}
+
+/**
+ * Check the coupon of a new order and prepare counting its use
+ *
+ * Call inside the order-creation transaction, before any writes, then
+ * call the returned function once the order number is known. The coupon
+ * is checked again here, with its usage limits, so two orders racing for
+ * the last use cannot both get it.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} orderData - Priced order {userId, coupon, items, subtotal}
+ * @returns {Promise<Function>} redeem(orderId) queuing the usage writes
+ * @throws {ApiError} 409 COUPON_UNAVAILABLE if the coupon can no longer be used
+ *
+ * @example
+ * const redeem = await prepareCouponRedemption(transaction, orderData);
+ * // ... create the order ...
+ * redeem(orderId);
+ */
+export async function prepareCouponRedemption(transaction, orderData) {
+    const couponRef = getCouponRef(orderData.coupon.code);
+    const redemptionRef = getRedemptionRef(orderData.coupon.code, orderData.userId);
+    const [couponSnap, redemptionSnap] = await transaction.getAll(couponRef, redemptionRef);
+
+    const coupon = couponSnap.exists ? couponSnap.data() : null;
+    const check = checkCoupon(coupon, {
+        items: orderData.items,
+        subtotal: orderData.subtotal,
+        dateKey: getShopDateKey(),
+        usage: {
+            total: coupon?.usedCount || 0,
+            byUser: redemptionSnap.exists ? redemptionSnap.data().count : 0
+        }
+    });
+
+    if (!check.isValid) {
+        throw new ApiError(409, 'COUPON_UNAVAILABLE', check.error, { code: orderData.coupon.code });
+    }
+
+    return orderId => {
+        transaction.update(couponRef, {
+            usedCount: FieldValue.increment(1),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        transaction.set(redemptionRef, {
+            userId: orderData.userId,
+            count: FieldValue.increment(1),
+            orderIds: FieldValue.arrayUnion(orderId),
+            updatedAt: FieldValue.serverTimestamp()
+        }, { merge: true });
+    };
+}
+
+/**
+ * Give back the coupon use of an order that is being cancelled
+ *
+ * Only queues writes, so it can be called after the transaction's reads.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} order - Order data with a coupon (must include orderId, userId)
+ */
+export function releaseCouponRedemption(transaction, order) {
+    transaction.update(getCouponRef(order.coupon.code), {
+        usedCount: FieldValue.increment(-1),
+        updatedAt: FieldValue.serverTimestamp()
+    });
+    transaction.update(getRedemptionRef(order.coupon.code, order.userId), {
+        count: FieldValue.increment(-1),
+        orderIds: FieldValue.arrayRemove(order.orderId),
+        updatedAt: FieldValue.serverTimestamp()
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * Delivery Slot Capacity (Server-side)
+ *
+ * Each delivery date has a `deliverySlots/{YYYY-MM-DD}` document counting
+ * the orders booked into each slot, plus any capacity the owner set for
+ * that date (otherwise the slot's CONFIG capacity applies, see
+ * js/delivery-schedule.js). Orders book their slot in the transaction
+ * that creates them, so two customers cannot both take the last place,
+ * and give it back in the transaction that cancels them. Orders that
+ * booked a place carry `slotBooked: true`.
+ *
+ * @module api/_lib/delivery-slots
+ */
+
+import { CONFIG } from '../../js/config.js';
+import { formatDeliveryDate, getDeliverySlot, getSlotAvailability } from '../../js/delivery-schedule.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+
+/**
+ * Get the slot document of a delivery date
+ *
+ * @private
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @returns {DocumentReference} Document reference
+ */
+function getDayRef(dateKey) {
+    return db.collection(COLLECTIONS.DELIVERY_SLOTS).doc(dateKey);
+}
+
+/**
+ * Check an order's slot has room and prepare booking it
+ *
+ * Call inside the order-creation transaction, before any writes, then
+ * call the returned function to queue the write.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} orderData - Order data {deliveryDate, deliverySlotId}
+ * @param {Object} options - Options
+ * @param {boolean} options.enforceCapacity - Refuse a full slot (default: true;
+ *   subscription deliveries are booked even when it is full)
+ * @returns {Promise<Function>} book() queuing the write
+ * @throws {ApiError} 409 SLOT_FULL if the slot has no room left that day
+ */
+export async function prepareSlotBooking(transaction, orderData, { enforceCapacity = true } = {}) {
+    const slot = getDeliverySlot(orderData.deliverySlotId);
+    const dayRef = getDayRef(orderData.deliveryDate);
+    const daySnap = await transaction.get(dayRef);
+    const availability = getSlotAvailability(slot, orderData.deliveryDate, daySnap.exists ? daySnap.data() : null);
+
+    if (enforceCapacity && availability.isFull) {
+        throw new ApiError(
+            409,
+            'SLOT_FULL',
+            `The ${slot.label} slot is full on ${formatDeliveryDate(orderData.deliveryDate)}. Please choose another slot.`,
+            { deliveryDate: orderData.deliveryDate, deliverySlotId: slot.id }
+        );
+    }
+
+    return () => {
+        transaction.set(dayRef, {
+            date: orderData.deliveryDate,
+            slots: { [slot.id]: { booked: FieldValue.increment(1) } },
+            updatedAt: FieldValue.serverTimestamp()
+        }, { merge: true });
+    };
+}
+
+/**
+ * Give back the slot place of an order that is being cancelled
+ *
+ * Only queues writes, so it can be called after the transaction's reads.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} order - Order data with `slotBooked`
+ */
+export function releaseSlotBooking(transaction, order) {
+    transaction.set(getDayRef(order.deliveryDate), {
+        slots: { [order.deliverySlotId]: { booked: FieldValue.increment(-1) } },
+        updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+}
+
+/**
+ * Get how full every delivery slot is on a date
+ *
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Slots (see getSlotAvailability)
+ */
+export async function getDeliverySlotAvailability(dateKey) {
+    const daySnap = await getDayRef(dateKey).get();
+    const day = daySnap.exists ? daySnap.data() : null;
+
+    return CONFIG.DELIVERY_SLOTS.map(slot => getSlotAvailability(slot, dateKey, day));
+}
+
+/**
+ * Set a slot's capacity for one date
+ *
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @param {string} slotId - Slot ID
+ * @param {number|null} capacity - Orders the slot can take (null: back to the usual capacity)
+ * @returns {Promise<Object>} The slot's availability on that date
+ * @throws {ApiError} 400 if the slot does not exist
+ */
+export async function setSlotCapacity(dateKey, slotId, capacity) {
+    const slot = getDeliverySlot(slotId);
+    if (!slot) {
+        throw new ApiError(400, 'INVALID_DELIVERY_SLOT', 'Please choose a delivery slot.');
+    }
+
+    const dayRef = getDayRef(dateKey);
+    await dayRef.set({
+        date: dateKey,
+        slots: { [slot.id]: { capacity } },
+        updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    const daySnap = await dayRef.get();
+    return getSlotAvailability(slot, dateKey, daySnap.data());
+}
@@ -0,0 +1,61 @@
+/**
+ * API Error Helpers
+ *
+ * Serverless functions throw ApiError for expected failures (bad input,
+ * price mismatch, etc.) and convert it to a JSON response with sendError.
+ * The response keeps the existing `{ success: false, message }` shape and
+ * adds a machine-readable `code` plus any extra details.
+ *
+ * @module api/_lib/errors
+ */
+
+/**
+ * Error with an HTTP status and machine-readable code
+ *
+ * @example
+ * throw new ApiError(409, 'PRICE_MISMATCH', 'Prices have changed', { mismatches });
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Machine-readable error code
+     * @param {string} message - User-friendly error message
+     * @param {Object} details - Extra fields merged into the response body
+     */
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Send an error response
+ *
+ * ApiError instances are returned as-is; anything else is logged and
+ * reported as a generic 500 so internals never leak to the client.
+ *
+ * @param {Object} res - Response object
+ * @param {Error} error - Error to report
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+export function sendError(res, error, fallbackMessage = 'Something went wrong. Please try again.') {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            ...error.details
+        });
+    }
+
+    console.error('Unexpected API error:', error);
+
+    return res.status(500).json({
+        success: false,
+        code: 'INTERNAL_ERROR',
+        message: fallbackMessage
+    });
+}
@@ -0,0 +1,49 @@
+/**
+ * Shared Firebase Admin Initialization
+ *
+ * Every serverless function that talks to Firestore imports the database
+ * handle from here so the Admin SDK is initialized exactly once per
+ * function instance.
+ *
+ * Files under api/_lib are not deployed as endpoints by Vercel.
+ *
+ * @module api/_lib/firebase-admin
+ */
+
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+
+// Initialize Firebase Admin (only once)
+if (!getApps().length) {
+    // In production, use service account from environment variable
+    // In development, can use default credentials
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
+        ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+        : null;
+
+    if (serviceAccount) {
+        initializeApp({
+            credential: cert(serviceAccount)
+        });
+    } else {
+        // Fallback: Use Firebase config from environment
+        initializeApp({
+            projectId: process.env.VITE_FIREBASE_PROJECT_ID
+        });
+    }
+}
+
+/**
+ * Firestore database instance (Admin SDK)
+ * @type {Firestore}
+ */
+export const db = getFirestore();
+
+/**
+ * Firebase Auth instance (Admin SDK), used to verify ID tokens
+ * @type {Auth}
+ */
+export const adminAuth = getAuth();
+
+export { FieldValue };
@@ -0,0 +1,259 @@
+/**
+ * Inventory (Server-side)
+ *
+ * Counted stock (`stock` on a product or pack size, see js/inventory.js)
+ * is taken in the transaction that creates an order, so two customers
+ * racing for the last packet cannot both get it, and given back in the
+ * transaction that cancels the order. Each order records what it took in
+ * `stockReservations`, so a cancellation only returns that.
+ *
+ * The owner sets counts on the owner page (/api/inventory) after a
+ * delivery from the supplier or a stock take.
+ *
+ * Every stock write also records the size's alert level (see
+ * js/inventory.js). Alerts raised by a write are emailed to the owner
+ * with notifyStockAlerts once its transaction has committed, and
+ * /api/stock-summary sends a daily list of everything still low.
+ *
+ * @module api/_lib/inventory
+ */
+
+import {
+    buildStockAdjustment,
+    buildStockUpdate,
+    formatStockShortage,
+    getLowStockThreshold,
+    getStockAlertLevel,
+    getStockAlerts,
+    getStockShortages,
+    isStockTracked
+} from '../../js/inventory.js';
+import { getProductVariant, getProductVariants } from '../../js/product-variants.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+import { sendStockAlertToOwner } from './notifications.js';
+
+/**
+ * Read products inside a transaction
+ *
+ * @private
+ * @param {Transaction} transaction - Firestore transaction (no writes yet)
+ * @param {Array<string>} productIds - Product IDs (duplicates allowed)
+ * @returns {Promise<Map<string, Object>>} Product data by ID, with `ref`
+ */
+async function getProductsForUpdate(transaction, productIds) {
+    const refs = [...new Set(productIds)].map(id => db.collection(COLLECTIONS.PRODUCTS).doc(id));
+    const snapshots = refs.length > 0 ? await transaction.getAll(...refs) : [];
+
+    const products = new Map();
+    snapshots.forEach(snapshot => {
+        if (snapshot.exists) {
+            products.set(snapshot.id, { id: snapshot.id, ...snapshot.data(), ref: snapshot.ref });
+        }
+    });
+
+    return products;
+}
+
+/**
+ * Queue the stock changes for a set of products
+ *
+ * @private
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Map<string, Object>} products - Products read with getProductsForUpdate
+ * @param {Array} items - [{productId, variantId, quantity}] (negative quantity takes stock)
+ * @returns {Array} Stock alerts raised (see getStockAlerts)
+ */
+function writeStockChanges(transaction, products, items) {
+    const alerts = [];
+
+    products.forEach(product => {
+        const update = buildStockAdjustment(product, items.filter(item => item.productId === product.id));
+
+        if (update) {
+            transaction.update(product.ref, { ...update, updatedAt: FieldValue.serverTimestamp() });
+            alerts.push(...getStockAlerts(product, update));
+        }
+    });
+
+    return alerts;
+}
+
+/**
+ * Email the owner about stock that has run low or sold out
+ *
+ * Call after the transaction that raised the alerts has committed. Never
+ * throws.
+ *
+ * @param {Array} alerts - Alerts from a stock write (may be empty)
+ * @returns {Promise<boolean>} True if there was nothing to send or it was sent
+ */
+export async function notifyStockAlerts(alerts) {
+    if (alerts.length === 0) {
+        return true;
+    }
+
+    return sendStockAlertToOwner(alerts);
+}
+
+/**
+ * Check counted stock for a new order and prepare taking it
+ *
+ * Call inside the order-creation transaction, before any writes, then
+ * call the returned function to queue the writes. Products without
+ * counted stock are left alone.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Array} items - Priced order items [{productId, variantId, quantity}]
+ * @returns {Promise<Function>} reserve() queuing the writes and returning
+ *   {reservations, alerts}: the order's stock reservations
+ *   [{productId, variantId, quantity}] and the stock alerts it raised
+ * @throws {ApiError} 409 INSUFFICIENT_STOCK if an item has less stock than ordered
+ *
+ * @example
+ * const reserveStock = await prepareStockReservation(transaction, orderData.items);
+ * // ... other reads ...
+ * const { reservations, alerts } = reserveStock();
+ */
+export async function prepareStockReservation(transaction, items) {
+    const products = await getProductsForUpdate(transaction, items.map(item => item.productId));
+    const shortages = getStockShortages(items, products);
+
+    if (shortages.length > 0) {
+        throw new ApiError(
+            409,
+            'INSUFFICIENT_STOCK',
+            `${shortages.map(formatStockShortage).join('; ')}. Please update your cart.`,
+            { shortages }
+        );
+    }
+
+    const reservations = items
+        .filter(item => {
+            const product = products.get(item.productId);
+            const variant = product ? getProductVariant(product, item.variantId) : null;
+            return variant && isStockTracked(variant);
+        })
+        .map(item => ({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity }));
+
+    return () => {
+        const alerts = writeStockChanges(
+            transaction,
+            products,
+            reservations.map(item => ({ ...item, quantity: -item.quantity }))
+        );
+        return { reservations, alerts };
+    };
+}
+
+/**
+ * Prepare giving back the stock an order took
+ *
+ * Call inside the cancelling transaction, before any writes. Giving stock
+ * back never raises an alert, but clears one once the count is above the
+ * threshold again.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} order - Order data
+ * @returns {Promise<Function|null>} restore() queuing the writes, or null if the
+ *   order took no counted stock
+ */
+export async function prepareStockRestore(transaction, order) {
+    const reservations = order.stockReservations || [];
+    if (reservations.length === 0) {
+        return null;
+    }
+
+    const products = await getProductsForUpdate(transaction, reservations.map(item => item.productId));
+
+    return () => writeStockChanges(transaction, products, reservations);
+}
+
+/**
+ * Get the stock of every product and pack size, for the owner page
+ *
+ * @returns {Promise<Array>} [{productId, variantId, productName, unit, sku, stock, inStock,
+ *   shelfLifeDays, lowStockThreshold, stockLevel}] where stock is null for sizes that are
+ *   not counted and stockLevel is the current alert level (see getStockAlertLevel)
+ */
+export async function getInventory() {
+    const snapshot = await db.collection(COLLECTIONS.PRODUCTS).get();
+
+    return snapshot.docs.flatMap(doc => {
+        const product = { id: doc.id, ...doc.data() };
+
+        return getProductVariants(product).map(variant => {
+            const lowStockThreshold = getLowStockThreshold(product, variant);
+
+            return {
+                productId: product.id,
+                variantId: variant.id,
+                productName: product.nameEnglish,
+                unit: variant.unit,
+                sku: variant.sku,
+                stock: variant.stock,
+                inStock: product.inStock !== false && variant.inStock,
+                shelfLifeDays: product.shelfLifeDays || null,
+                lowStockThreshold,
+                stockLevel: getStockAlertLevel(variant.stock, lowStockThreshold)
+            };
+        });
+    }).sort((a, b) => a.productName.localeCompare(b.productName));
+}
+
+/**
+ * Get every product and pack size that is currently low or sold out
+ *
+ * @returns {Promise<Array>} [{productId, variantId, productName, unit, stock, threshold, level}],
+ *   the same shape as stock alerts
+ */
+export async function getLowStock() {
+    const inventory = await getInventory();
+
+    return inventory
+        .filter(item => item.stockLevel)
+        .map(item => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            productName: item.productName,
+            unit: item.unit,
+            stock: item.stock,
+            threshold: item.lowStockThreshold,
+            level: item.stockLevel
+        }));
+}
+
+/**
+ * Set the stock count of a product or pack size
+ *
+ * Emails the owner if the new count is low or sold out (see notifyStockAlerts).
+ *
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Pack size (null for products without variants)
+ * @param {number|null} stock - Units on hand (null stops counting)
+ * @returns {Promise<Object>} Updated stock fields
+ * @throws {ApiError} 404 if the product or pack size does not exist
+ */
+export async function setStock(productId, variantId, stock) {
+    const productRef = db.collection(COLLECTIONS.PRODUCTS).doc(productId);
+
+    const { update, alerts } = await db.runTransaction(async transaction => {
+        const productSnap = await transaction.get(productRef);
+        const product = productSnap.exists ? { id: productId, ...productSnap.data() } : null;
+        const variant = product ? getProductVariant(product, variantId) : null;
+
+        if (!variant || variant.id !== (variantId || null)) {
+            throw new ApiError(404, 'PRODUCT_NOT_FOUND', 'Product or pack size not found.');
+        }
+
+        const update = buildStockUpdate(product, new Map([[variant.id, stock]]));
+        transaction.update(productRef, { ...update, updatedAt: FieldValue.serverTimestamp() });
+
+        return { update, alerts: getStockAlerts(product, update) };
+    });
+
+    await notifyStockAlerts(alerts);
+
+    return update;
+}
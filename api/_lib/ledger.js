@@ -0,0 +1,401 @@
+/**
+ * Customer Ledger (Server-side)
+ *
+ * Each customer has one `ledgers/{userId}` document holding the running
+ * balance, and an `entries` subcollection with one document per debit or
+ * credit. Every delivered order is posted as a debit in the same
+ * transaction that marks it delivered; orders already paid for (cash on
+ * delivery, prepaid wallet, UPI, online) get a matching credit, so only
+ * monthly-account orders change the balance. Payments received against the
+ * monthly bill are recorded by the shop owner.
+ *
+ * Entries are numbered per customer (`sequence`) and carry the balance
+ * after posting, so a statement never has to re-add the whole history.
+ *
+ * @module api/_lib/ledger
+ */
+
+import { getShopDateKey } from '../../js/utils.js';
+import { LEDGER_ENTRY_TYPE, getStatementPeriod, summarizeStatement } from '../../js/ledger.js';
+import { PAYMENT_METHOD, getOrderPaymentMethodId } from '../../js/payment-methods.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { findUserByEmail } from './auth.js';
+import { COLLECTIONS } from './orders.js';
+
+/**
+ * Name of the entries subcollection under each ledger
+ * @constant {string}
+ */
+const ENTRIES_SUBCOLLECTION = 'entries';
+
+/**
+ * Credits posted with the debit for orders that are paid by delivery time,
+ * by payment method ID (monthly-account orders have none)
+ * @constant {Object}
+ */
+const DELIVERY_SETTLEMENTS = Object.freeze({
+    [PAYMENT_METHOD.CASH_ON_DELIVERY]: {
+        idSuffix: 'cod',
+        paymentMode: 'Cash',
+        describe: orderId => `Cash collected on delivery of ${orderId}`
+    },
+    [PAYMENT_METHOD.WALLET]: {
+        idSuffix: 'wallet',
+        paymentMode: 'Wallet',
+        describe: orderId => `Paid from prepaid wallet for ${orderId}`
+    },
+    [PAYMENT_METHOD.UPI]: {
+        idSuffix: 'upi',
+        paymentMode: 'UPI',
+        describe: orderId => `Paid by UPI for ${orderId}`
+    },
+    [PAYMENT_METHOD.ONLINE]: {
+        idSuffix: 'online',
+        paymentMode: 'Online',
+        describe: orderId => `Paid online for ${orderId}`
+    }
+});
+
+/**
+ * Get the reference of an order's recorded payment
+ *
+ * @private
+ * @param {Object} order - Order data
+ * @returns {string} "UTR ..." for UPI, the provider's intent ID for online
+ *   payments, otherwise empty
+ */
+function getPaymentReference(order) {
+    if (order.payment?.utr) {
+        return `UTR ${order.payment.utr}`;
+    }
+    return order.payment?.intentId || '';
+}
+
+/**
+ * Get a customer's ledger document
+ *
+ * @private
+ * @param {string} userId - Customer's user ID
+ * @returns {DocumentReference} Ledger document reference
+ */
+function getLedgerRef(userId) {
+    return db.collection(COLLECTIONS.LEDGERS).doc(userId);
+}
+
+/**
+ * Convert a Firestore timestamp field to an ISO string
+ *
+ * @private
+ * @param {*} value - Timestamp, string or null
+ * @returns {*} ISO string, or the value unchanged
+ */
+function toIso(value) {
+    return value?.toDate ? value.toDate().toISOString() : value;
+}
+
+/**
+ * Convert a stored ledger document to the shape returned by the API
+ *
+ * @param {DocumentSnapshot} snapshot - Ledger document snapshot
+ * @returns {Object} Ledger account with ISO timestamps
+ */
+export function serializeLedgerAccount(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        userId: snapshot.id,
+        createdAt: toIso(data.createdAt),
+        updatedAt: toIso(data.updatedAt)
+    };
+}
+
+/**
+ * Convert a stored ledger entry to the shape returned by the API
+ *
+ * @param {DocumentSnapshot} snapshot - Entry document snapshot
+ * @returns {Object} Entry with its ID and ISO timestamp
+ */
+export function serializeLedgerEntry(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        entryId: snapshot.id,
+        createdAt: toIso(data.createdAt)
+    };
+}
+
+/**
+ * Queue ledger entries and the new balance on a transaction
+ *
+ * The ledger document must already have been read in the same
+ * transaction. Entries with an `id` use it as their document ID, so
+ * posting the same order twice fails instead of double-charging.
+ *
+ * @private
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentSnapshot} ledgerSnap - Ledger snapshot read in this transaction
+ * @param {Array} entries - Entries {id?, type, amount, description, orderId?, paymentMode?, reference?}
+ * @param {Object} options - Options
+ * @param {Object} options.recordedBy - Who posted the entries {uid, role}
+ * @param {Object} options.customer - Customer details to store on the ledger (optional)
+ * @returns {Array} The entries as written
+ */
+function appendEntries(transaction, ledgerSnap, entries, { recordedBy, customer }) {
+    const ledger = ledgerSnap.exists ? ledgerSnap.data() : null;
+    const entriesRef = ledgerSnap.ref.collection(ENTRIES_SUBCOLLECTION);
+    const date = getShopDateKey();
+    let balance = ledger ? ledger.balance : 0;
+    let sequence = ledger ? ledger.entryCount : 0;
+
+    const written = entries.map(({ id, ...entry }) => {
+        sequence += 1;
+        balance += entry.type === LEDGER_ENTRY_TYPE.DEBIT ? entry.amount : -entry.amount;
+
+        const record = {
+            orderId: null,
+            paymentMode: null,
+            reference: '',
+            ...entry,
+            date,
+            sequence,
+            balanceAfter: balance,
+            recordedBy
+        };
+
+        transaction.create(id ? entriesRef.doc(id) : entriesRef.doc(), {
+            ...record,
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        return record;
+    });
+
+    const update = {
+        userId: ledgerSnap.id,
+        balance,
+        entryCount: sequence,
+        updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (customer) {
+        update.customer = customer;
+    }
+
+    if (!ledger) {
+        update.monthlyBilling = false;
+        update.createdAt = FieldValue.serverTimestamp();
+    }
+
+    transaction.set(ledgerSnap.ref, update, { merge: true });
+
+    return written;
+}
+
+/**
+ * Read what is needed to post a delivered order to the ledger
+ *
+ * Call inside the transaction that marks the order delivered, before any
+ * writes, then call the returned function after the status update:
+ *
+ *     const post = await prepareDeliveryPosting(transaction, order);
+ *     transaction.update(orderRef, ...);
+ *     post(changedBy);
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} order - Order data (must include orderId, userId, total)
+ * @returns {Promise<Function>} post(recordedBy) queuing the ledger writes
+ */
+export async function prepareDeliveryPosting(transaction, order) {
+    const ledgerSnap = await transaction.get(getLedgerRef(order.userId));
+
+    return recordedBy => {
+        const entries = [{
+            id: `${order.orderId}-debit`,
+            type: LEDGER_ENTRY_TYPE.DEBIT,
+            amount: order.total,
+            description: `Order ${order.orderId} delivered`,
+            orderId: order.orderId
+        }];
+
+        // Paid at the door, from the wallet, by UPI or online, so the order is settled immediately
+        const settlement = DELIVERY_SETTLEMENTS[getOrderPaymentMethodId(order)];
+        if (settlement) {
+            entries.push({
+                id: `${order.orderId}-${settlement.idSuffix}`,
+                type: LEDGER_ENTRY_TYPE.CREDIT,
+                amount: order.total,
+                description: settlement.describe(order.orderId),
+                orderId: order.orderId,
+                paymentMode: settlement.paymentMode,
+                reference: getPaymentReference(order)
+            });
+        }
+
+        return appendEntries(transaction, ledgerSnap, entries, {
+            recordedBy,
+            customer: {
+                name: order.customer.name,
+                phone: order.customer.phone,
+                email: order.customer.email || ''
+            }
+        });
+    };
+}
+
+/**
+ * Record a payment received from a customer
+ *
+ * The payment must already have passed validatePayment.
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {Object} payment - {amount, mode, reference}
+ * @param {Object} recordedBy - Who recorded it {uid, role}
+ * @returns {Promise<Object>} The credit entry and new balance {entry, balance}
+ * @throws {ApiError} 404 LEDGER_NOT_FOUND if the customer has no account yet
+ *
+ * @example
+ * const { balance } = await recordPayment(userId, { amount: 1500, mode: 'UPI', reference: 'UTR 4021' }, {
+ *   uid: owner.uid,
+ *   role: 'owner'
+ * });
+ */
+export async function recordPayment(userId, payment, recordedBy) {
+    const ledgerRef = getLedgerRef(userId);
+
+    return db.runTransaction(async transaction => {
+        const ledgerSnap = await transaction.get(ledgerRef);
+        if (!ledgerSnap.exists) {
+            throw new ApiError(404, 'LEDGER_NOT_FOUND', 'This customer does not have an account yet.');
+        }
+
+        const [entry] = appendEntries(transaction, ledgerSnap, [{
+            type: LEDGER_ENTRY_TYPE.CREDIT,
+            amount: payment.amount,
+            description: `Payment received (${payment.mode})`,
+            paymentMode: payment.mode,
+            reference: payment.reference || ''
+        }], { recordedBy });
+
+        return { entry, balance: entry.balanceAfter };
+    });
+}
+
+/**
+ * Check whether a customer may order on their monthly account
+ *
+ * @param {string} userId - Customer's user ID
+ * @returns {Promise<boolean>} True if the shop enabled monthly billing for them
+ */
+export async function isMonthlyBillingEnabled(userId) {
+    const ledgerSnap = await getLedgerRef(userId).get();
+    return ledgerSnap.exists && ledgerSnap.data().monthlyBilling === true;
+}
+
+/**
+ * Turn monthly billing on or off for a customer
+ *
+ * The customer is looked up by the email they sign in with. Their ledger
+ * is created if they have never had an order delivered.
+ *
+ * @param {string} email - Customer's sign-in email
+ * @param {boolean} enabled - Whether monthly-account orders are allowed
+ * @returns {Promise<Object>} The ledger account
+ * @throws {ApiError} 404 USER_NOT_FOUND if no customer uses that email
+ */
+export async function setMonthlyBilling(email, enabled) {
+    const user = await findUserByEmail(email);
+
+    const ledgerRef = getLedgerRef(user.uid);
+
+    await db.runTransaction(async transaction => {
+        const ledgerSnap = await transaction.get(ledgerRef);
+
+        if (ledgerSnap.exists) {
+            transaction.update(ledgerRef, {
+                monthlyBilling: enabled,
+                updatedAt: FieldValue.serverTimestamp()
+            });
+            return;
+        }
+
+        transaction.set(ledgerRef, {
+            userId: user.uid,
+            customer: {
+                name: user.displayName || '',
+                phone: user.phoneNumber || '',
+                email: user.email || ''
+            },
+            balance: 0,
+            entryCount: 0,
+            monthlyBilling: enabled,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+    });
+
+    return serializeLedgerAccount(await ledgerRef.get());
+}
+
+/**
+ * List every customer account, largest balance due first
+ *
+ * @returns {Promise<Array>} Ledger accounts
+ */
+export async function listLedgerAccounts() {
+    const snapshot = await db.collection(COLLECTIONS.LEDGERS)
+        .orderBy('balance', 'desc')
+        .get();
+
+    return snapshot.docs.map(serializeLedgerAccount);
+}
+
+/**
+ * Build a customer's statement for one month
+ *
+ * The opening balance is the balance after the last entry before the
+ * month; entries are listed in posting order.
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {string} month - Month in YYYY-MM format (already validated)
+ * @returns {Promise<Object>} {account, period, entries, openingBalance,
+ *   totalDebits, totalCredits, closingBalance}; account is null if the
+ *   customer has no ledger yet
+ *
+ * @example
+ * const statement = await getStatement(user.uid, '2026-02');
+ * console.log(statement.closingBalance);
+ */
+export async function getStatement(userId, month) {
+    const period = getStatementPeriod(month);
+    const ledgerRef = getLedgerRef(userId);
+    const entriesRef = ledgerRef.collection(ENTRIES_SUBCOLLECTION);
+
+    const [ledgerSnap, previousSnap, entriesSnap] = await Promise.all([
+        ledgerRef.get(),
+        entriesRef
+            .where('date', '<', period.from)
+            .orderBy('date', 'desc')
+            .orderBy('sequence', 'desc')
+            .limit(1)
+            .get(),
+        entriesRef
+            .where('date', '>=', period.from)
+            .where('date', '<=', period.to)
+            .orderBy('date')
+            .orderBy('sequence')
+            .get()
+    ]);
+
+    const openingBalance = previousSnap.empty ? 0 : previousSnap.docs[0].data().balanceAfter;
+    const entries = entriesSnap.docs.map(serializeLedgerEntry);
+
+    return {
+        account: ledgerSnap.exists ? serializeLedgerAccount(ledgerSnap) : null,
+        period,
+        entries,
+        ...summarizeStatement(entries, openingBalance)
+    };
+}
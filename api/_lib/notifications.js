@@ -0,0 +1,704 @@
+/**
+ * Order Notifications (Server-side)
+ * 
+ * Email (and, when enabled, WhatsApp) messages sent to the shop owner and
+ * to customers when something happens to an order or account. Every function returns
+ * a success flag instead of throwing, so a failed notification never
+ * fails the request that triggered it.
+ * 
+ * @module api/_lib/notifications
+ */
+
+import { Resend } from 'resend';
+import { sanitizeInput } from '../../js/utils.js';
+import { ORDER_STATUS } from '../../js/order-status.js';
+import { PAYMENT_METHOD, getOrderPaymentMethodId } from '../../js/payment-methods.js';
+import { buildUpiPaymentLink } from '../../js/upi.js';
+import { CONFIG } from '../../js/config.js';
+import { STOCK_ALERT } from '../../js/inventory.js';
+import { formatDeliveryDate } from '../../js/delivery-schedule.js';
+// import twilio from 'twilio'; // DISABLED: Uncomment to enable Twilio WhatsApp
+
+// ==================== Configuration ====================
+
+const SHOP_OWNER_PHONE = process.env.SHOP_OWNER_PHONE || '+919320056114';
+
+// ==================== Twilio Configuration (DISABLED) ====================
+// To re-enable Twilio WhatsApp notifications:
+// 1. Uncomment the import statement above
+// 2. Uncomment the configuration below
+// 3. Uncomment the twilioClient initialization
+// 4. Uncomment and export the sendWhatsAppNotification function below
+// 5. Update the submit-order handler to call sendWhatsAppNotification
+// 6. Add Twilio environment variables to Vercel:
+//    - TWILIO_ACCOUNT_SID
+//    - TWILIO_AUTH_TOKEN
+//    - TWILIO_WHATSAPP_FROM
+//    - TWILIO_WHATSAPP_TO
+
+// const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || '';
+// const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || '';
+// const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM || 'whatsapp:+14155238886';
+// const TWILIO_WHATSAPP_TO = process.env.TWILIO_WHATSAPP_TO || `whatsapp:${SHOP_OWNER_PHONE}`;
+
+// Initialize Twilio (DISABLED)
+// const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN 
+//   ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN)
+//   : null;
+
+// ==================== Resend Configuration ====================
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
+const RESEND_FROM_EMAIL = process.env.RESEND_FROM_EMAIL || 'orders@omyashodadairy.com';
+
+// Initialize Resend
+const resend = RESEND_API_KEY ? new Resend(RESEND_API_KEY) : null;
+
+/**
+ * Format the coupon discount of an order for the emails
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {string} HTML paragraph, or '' if the order has no discount
+ */
+function formatDiscountLine(orderData) {
+    if (!orderData.discount) {
+        return '';
+    }
+
+    return `<p><strong>Discount (${sanitizeInput(orderData.coupon.code)}):</strong> -₹${orderData.discount}</p>`;
+}
+
+/**
+ * Format when an order is delivered for the emails
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {string} Date and slot (e.g. "Sat, 14 Mar, Morning (7 AM - 10 AM)")
+ */
+function formatDelivery(orderData) {
+    return orderData.deliveryDate
+        ? `${formatDeliveryDate(orderData.deliveryDate)}, ${orderData.deliverySlot}`
+        : orderData.deliverySlot;
+}
+
+/**
+ * Check whether an order is waiting for a UPI payment the owner confirms
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {boolean} True for UPI orders awaiting payment
+ */
+function isAwaitingUpiPayment(orderData) {
+    return orderData.status === ORDER_STATUS.AWAITING_PAYMENT &&
+        getOrderPaymentMethodId(orderData) === PAYMENT_METHOD.UPI;
+}
+
+/**
+ * Check whether an order is waiting for the payment provider's webhook
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {boolean} True for "Pay Online" orders awaiting payment
+ */
+function isAwaitingOnlinePayment(orderData) {
+    return orderData.status === ORDER_STATUS.AWAITING_PAYMENT &&
+        getOrderPaymentMethodId(orderData) === PAYMENT_METHOD.ONLINE;
+}
+
+// ==================== WhatsApp Notification (DISABLED) ====================
+
+/**
+ * Send WhatsApp notification via Twilio (DISABLED)
+ * 
+ * To re-enable:
+ * 1. Uncomment this entire function
+ * 2. Uncomment Twilio import and initialization at top of file
+ * 3. Uncomment the sendWhatsAppNotification call in the submit-order handler
+ * 4. Add Twilio environment variables to Vercel
+ * 
+ * Twilio provides reliable WhatsApp messaging with:
+ * - Free trial: $15 credit (~1000 messages)
+ * - Production: ~₹3 per message
+ * - Automatic fallback to email if Twilio fails
+ * 
+ * Setup: https://www.twilio.com/console/sms/whatsapp/sandbox
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {Promise<boolean>} Success status
+ */
+/*
+async function sendWhatsAppNotification(orderData) {
+    if (!twilioClient) {
+        console.warn('Twilio not configured, skipping WhatsApp notification');
+        return false;
+    }
+
+    try {
+        // Format order items
+        const itemsList = orderData.items
+            .map(item => `• ${item.productNameHindi || item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}`)
+            .join('\n');
+
+        // Create message
+        const message = `
+🛒 *NEW ORDER - OM Yashoda Dairy*
+
+*Order ID:* ${orderData.orderId}
+*Time:* ${new Date(orderData.createdAt).toLocaleString('en-IN')}
+
+*Customer Details:*
+Name: ${orderData.customer.name}
+Phone: ${orderData.customer.phone}
+Address: ${orderData.customer.address}
+${orderData.customer.landmark ? `Landmark: ${orderData.customer.landmark}` : ''}
+
+*Items:*
+${itemsList}
+
+*Total: ₹${orderData.total}*
+
+Delivery: ${formatDelivery(orderData)}
+Payment: ${orderData.paymentMethod}
+
+${orderData.specialInstructions ? `Note: ${orderData.specialInstructions}` : ''}
+    `.trim();
+
+        // Send via Twilio WhatsApp API
+        const twilioMessage = await twilioClient.messages.create({
+            body: message,
+            from: TWILIO_WHATSAPP_FROM,
+            to: TWILIO_WHATSAPP_TO
+        });
+
+        console.log('WhatsApp notification sent successfully:', twilioMessage.sid);
+        return true;
+
+    } catch (error) {
+        console.error('Error sending WhatsApp notification:', error.message);
+
+        // If Twilio fails, try email as fallback
+        console.log('Attempting email fallback...');
+        try {
+            await sendEmailToOwner(orderData);
+            return true;
+        } catch (emailError) {
+            console.error('Email fallback also failed:', emailError.message);
+            return false;
+        }
+    }
+}
+*/
+
+/**
+ * Send email notification to shop owner (fallback)
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendEmailToOwner(orderData) {
+    if (!resend) {
+        console.log('Resend not configured');
+        return false;
+    }
+
+    try {
+        const itemsList = orderData.items
+            .map(item => `<li>${item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}</li>`)
+            .join('');
+
+        const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #EF4444; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .order-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
+          .total { font-size: 20px; font-weight: bold; color: #2563EB; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🛒 NEW ORDER!</h1>
+          </div>
+          
+          <div class="content">
+            <div class="order-details">
+              <h3>Order #${orderData.orderId}</h3>
+              <p><strong>Time:</strong> ${new Date(orderData.createdAt).toLocaleString('en-IN')}</p>
+              
+              <h4>Customer Details:</h4>
+              <p>
+                <strong>Name:</strong> ${orderData.customer.name}<br>
+                <strong>Phone:</strong> ${orderData.customer.phone}<br>
+                <strong>Address:</strong> ${orderData.customer.address}
+                ${orderData.customer.landmark ? `<br><strong>Landmark:</strong> ${orderData.customer.landmark}` : ''}
+              </p>
+              
+              <h4>Items:</h4>
+              <ul>${itemsList}</ul>
+              
+              ${formatDiscountLine(orderData)}
+              <p class="total">Total: ₹${orderData.total}</p>
+              
+              <p>
+                <strong>Delivery:</strong> ${formatDelivery(orderData)}<br>
+                <strong>Payment:</strong> ${orderData.paymentMethod}
+                ${isAwaitingUpiPayment(orderData) ? '<br><strong>Awaiting UPI payment</strong> - mark it paid with the UTR once it arrives' : ''}
+                ${isAwaitingOnlinePayment(orderData) ? '<br><strong>Awaiting online payment</strong> - it is confirmed automatically once paid' : ''}
+              </p>
+              
+              ${orderData.specialInstructions ? `<p><strong>Special Instructions:</strong> ${orderData.specialInstructions}</p>` : ''}
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
+            subject: `🛒 NEW ORDER - ${orderData.orderId}`,
+            html
+        });
+
+        console.log('Email notification sent to owner');
+        return true;
+    } catch (error) {
+        console.error('Error sending email to owner:', error);
+        return false;
+    }
+}
+
+// ==================== Email Notification ====================
+
+/**
+ * Send email confirmation to customer
+ * 
+ * Uses Resend API for reliable email delivery
+ * 
+ * @param {Object} orderData - Order details
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendEmailConfirmation(orderData) {
+    if (!resend || !orderData.customer.email) {
+        console.log('Email not configured or customer email not provided');
+        return false;
+    }
+
+    try {
+        const itemsList = orderData.items
+            .map(item => `<li>${item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}</li>`)
+            .join('');
+
+        const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563EB; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .order-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
+          .total { font-size: 20px; font-weight: bold; color: #2563EB; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🥛 Order Confirmed!</h1>
+          </div>
+          
+          <div class="content">
+            <p>Dear ${orderData.customer.name},</p>
+            <p>Thank you for your order! We've received it and will prepare it fresh for delivery.</p>
+            
+            <div class="order-details">
+              <h3>Order #${orderData.orderId}</h3>
+              <p><strong>Delivery:</strong> ${formatDelivery(orderData)}</p>
+              <p><strong>Delivery Address:</strong><br>${orderData.customer.address}</p>
+              
+              <h4>Items:</h4>
+              <ul>${itemsList}</ul>
+              
+              ${formatDiscountLine(orderData)}
+              <p class="total">Total: ₹${orderData.total}</p>
+              <p><strong>Payment:</strong> ${orderData.paymentMethod}</p>
+            </div>
+            
+            ${isAwaitingUpiPayment(orderData) ? `
+            <div class="order-details">
+              <h3>Pay ₹${orderData.total} by UPI</h3>
+              <p><a href="${buildUpiPaymentLink(orderData)}">Tap here to pay with your UPI app</a></p>
+              <p>Or pay ${CONFIG.UPI_PAYEE_NAME} at <strong>${CONFIG.UPI_PAYEE_VPA}</strong> with
+                 <strong>${orderData.orderId}</strong> as the note. We start preparing your order once
+                 the payment reaches us.</p>
+            </div>
+            ` : ''}
+            
+            <p>If you have any questions, please contact us at ${SHOP_OWNER_PHONE}</p>
+          </div>
+          
+          <div class="footer">
+            <p>OM Yashoda Dairy<br>Kalyan West, Maharashtra</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: orderData.customer.email,
+            subject: `Order Confirmed - ${orderData.orderId}`,
+            html
+        });
+
+        console.log('Email confirmation sent successfully');
+        return true;
+    } catch (error) {
+        console.error('Error sending email:', error);
+        return false;
+    }
+}
+
+// ==================== Cancellation Notification ====================
+
+/**
+ * Tell the shop owner that a customer cancelled an order
+ * 
+ * Sent through the same channel as new-order notifications.
+ * 
+ * @param {Object} orderData - Order details (before cancellation)
+ * @param {string} reason - Cancellation reason given by the customer
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendCancellationToOwner(orderData, reason) {
+    if (!resend) {
+        console.log('Resend not configured');
+        return false;
+    }
+
+    try {
+        const itemsList = orderData.items
+            .map(item => `<li>${item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}</li>`)
+            .join('');
+
+        const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #6B7280; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .order-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
+          .reason { font-size: 16px; font-weight: bold; color: #EF4444; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>❌ ORDER CANCELLED</h1>
+          </div>
+          
+          <div class="content">
+            <div class="order-details">
+              <h3>Order #${orderData.orderId}</h3>
+              <p class="reason">Reason: ${sanitizeInput(reason)}</p>
+              
+              <h4>Customer Details:</h4>
+              <p>
+                <strong>Name:</strong> ${orderData.customer.name}<br>
+                <strong>Phone:</strong> ${orderData.customer.phone}
+              </p>
+              
+              <h4>Items (do not deliver):</h4>
+              <ul>${itemsList}</ul>
+              
+              <p>
+                <strong>Delivery:</strong> ${formatDelivery(orderData)}<br>
+                <strong>Total:</strong> ₹${orderData.total}
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
+            subject: `❌ ORDER CANCELLED - ${orderData.orderId}`,
+            html
+        });
+
+        console.log('Cancellation email sent to owner');
+        return true;
+    } catch (error) {
+        console.error('Error sending cancellation email to owner:', error);
+        return false;
+    }
+}
+
+// ==================== Subscription Notification ====================
+
+/**
+ * Send the shop owner the list of subscription orders generated for a day
+ * 
+ * One summary email replaces the per-order "new order" emails, which
+ * would otherwise arrive all at once every evening. Subscriptions skipped
+ * because their address has no delivery area are highlighted so the owner
+ * can ask those customers to update it.
+ * 
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @param {Array} results - Results from generateSubscriptionOrders
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendSubscriptionSummaryToOwner(dateKey, results) {
+    if (!resend) {
+        console.log('Resend not configured');
+        return false;
+    }
+
+    try {
+        const rows = results
+            .map(result => {
+                const order = result.order;
+                const items = order
+                    ? order.items.map(item => `${item.productName} (${item.quantity}x ${item.unit})`).join(', ')
+                    : '';
+
+                const customer = order ? order.customer : result.customer;
+                const needsAddress = result.reason === 'outside-delivery-area';
+
+                return `
+              <tr${needsAddress ? ' class="needs-address"' : ''}>
+                <td>${result.orderId || '-'}</td>
+                <td>${customer ? `${customer.name}<br>${customer.phone}` : result.subscriptionId}</td>
+                <td>${order ? `${order.deliverySlot}<br>${items}` : ''}</td>
+                <td>${result.result}${result.reason ? ` (${result.reason})` : ''}</td>
+              </tr>`;
+            })
+            .join('');
+
+        const created = results.filter(result => result.result === 'created').length;
+        const needsAddress = results.filter(result => result.reason === 'outside-delivery-area').length;
+
+        const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563EB; color: white; padding: 20px; text-align: center; }
+          table { width: 100%; border-collapse: collapse; background: white; }
+          td, th { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+          .needs-address { background: #FEF3C7; }
+          .alert { background: #FEF3C7; border-left: 4px solid #F59E0B; padding: 12px; margin: 16px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🥛 Subscription Orders - ${dateKey}</h1>
+          </div>
+          
+          <p>${created} new order(s) generated from subscriptions.</p>
+          ${needsAddress > 0 ? `
+          <div class="alert">
+            <strong>${needsAddress} subscription(s) need a new address.</strong>
+            They have no pincode and area (they were set up before delivery areas) or
+            we no longer deliver there, so no orders are made for them. Please ask these
+            customers to update the address on the Subscriptions page.
+          </div>` : ''}
+          
+          <table>
+            <tr><th>Order</th><th>Customer</th><th>Delivery</th><th>Result</th></tr>
+            ${rows}
+          </table>
+        </div>
+      </body>
+      </html>
+    `;
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
+            subject: `🥛 Subscription orders for ${dateKey} (${created})`,
+            html
+        });
+
+        console.log('Subscription summary sent to owner');
+        return true;
+    } catch (error) {
+        console.error('Error sending subscription summary to owner:', error);
+        return false;
+    }
+}
+
+// ==================== Stock Notifications ====================
+
+/**
+ * Build an HTML email listing stock levels for the owner
+ * 
+ * @private
+ * @param {string} title - Heading
+ * @param {string} intro - Paragraph above the table
+ * @param {Array} items - [{productName, unit, stock, threshold, level}]
+ * @returns {string} HTML
+ */
+function renderStockEmail(title, intro, items) {
+    const rows = items
+        .map(item => `
+              <tr>
+                <td>${item.productName} (${item.unit})</td>
+                <td class="${item.level}">${item.level === STOCK_ALERT.SOLD_OUT ? 'SOLD OUT' : 'Low'}</td>
+                <td>${item.stock}</td>
+                <td>${item.threshold}</td>
+              </tr>`)
+        .join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #F59E0B; color: white; padding: 20px; text-align: center; }
+          table { width: 100%; border-collapse: collapse; background: white; }
+          td, th { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+          .sold-out { color: #EF4444; font-weight: bold; }
+          .low { color: #B45309; font-weight: bold; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📦 ${title}</h1>
+          </div>
+          
+          <p>${intro}</p>
+          
+          <table>
+            <tr><th>Product</th><th>Status</th><th>Left</th><th>Alert at</th></tr>
+            ${rows}
+          </table>
+        </div>
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * Tell the shop owner that products have run low or sold out
+ * 
+ * Sent through the same channel as new-order notifications, once per
+ * crossing (see api/_lib/inventory.js).
+ * 
+ * @param {Array} alerts - Alerts from getStockAlerts (js/inventory.js)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendStockAlertToOwner(alerts) {
+    if (!resend) {
+        console.log('Resend not configured');
+        return false;
+    }
+
+    try {
+        const soldOut = alerts.filter(alert => alert.level === STOCK_ALERT.SOLD_OUT);
+        const names = alerts.map(alert => `${alert.productName} (${alert.unit})`).join(', ');
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
+            subject: `📦 ${soldOut.length > 0 ? 'SOLD OUT' : 'Low stock'} - ${names}`,
+            html: renderStockEmail(
+                soldOut.length > 0 ? 'SOLD OUT' : 'LOW STOCK',
+                'Restock or update the counts on the owner page.',
+                alerts
+            )
+        });
+
+        console.log('Stock alert sent to owner');
+        return true;
+    } catch (error) {
+        console.error('Error sending stock alert to owner:', error);
+        return false;
+    }
+}
+
+/**
+ * Send the shop owner the daily list of everything low or sold out
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {Array} items - Entries from getLowStock (api/_lib/inventory.js)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendLowStockSummaryToOwner(dateKey, items) {
+    if (!resend) {
+        console.log('Resend not configured');
+        return false;
+    }
+
+    try {
+        const soldOut = items.filter(item => item.level === STOCK_ALERT.SOLD_OUT).length;
+
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
+            subject: `📦 Stock to order - ${dateKey} (${items.length - soldOut} low, ${soldOut} sold out)`,
+            html: renderStockEmail(
+                `Stock Summary - ${dateKey}`,
+                `${items.length} product(s) are low or sold out.`,
+                items
+            )
+        });
+
+        console.log('Low stock summary sent to owner');
+        return true;
+    } catch (error) {
+        console.error('Error sending low stock summary to owner:', error);
+        return false;
+    }
+}
+
+// ==================== Statement Notification ====================
+
+/**
+ * Email a monthly statement to the customer
+ * 
+ * @param {Object} statement - Statement from getStatement (account must not be null)
+ * @param {string} html - Statement rendered with renderStatementHtml
+ * @returns {Promise<boolean>} Success status
+ */
+export async function sendStatementToCustomer(statement, html) {
+    const email = statement.account.customer?.email;
+
+    if (!resend || !email) {
+        console.log('Email not configured or customer email not provided');
+        return false;
+    }
+
+    try {
+        await resend.emails.send({
+            from: RESEND_FROM_EMAIL,
+            to: email,
+            subject: `Your OM Yashoda Dairy statement - ${statement.period.label}`,
+            html
+        });
+
+        console.log('Statement sent to customer');
+        return true;
+    } catch (error) {
+        console.error('Error sending statement to customer:', error);
+        return false;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Online Payments for Orders (Server-side)
+ *
+ * Connects orders to the payment provider (see api/_lib/payments):
+ * "Pay Online" orders are created as `awaiting-payment`, get a payment
+ * intent from the provider, and are confirmed when the provider's webhook
+ * reports the payment succeeded. Cancelled orders that were paid online
+ * are refunded through the same provider.
+ *
+ * The order stores the provider's intent in `paymentIntent` and, once
+ * paid, the payment in `payment` (see docs/database-schema.md).
+ *
+ * @module api/_lib/online-payment
+ */
+
+import { ORDER_STATUS } from '../../js/order-status.js';
+import { PAYMENT_METHOD, getOrderPaymentMethodId } from '../../js/payment-methods.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS, buildStatusUpdate } from './orders.js';
+import { PAYMENT_EVENT, getPaymentProvider } from './payments/index.js';
+
+/**
+ * Check whether an order still needs an online payment to be started
+ *
+ * @param {Object} order - Order data
+ * @returns {boolean} True for a "Pay Online" order awaiting payment without an intent
+ */
+export function needsPaymentIntent(order) {
+    return getOrderPaymentMethodId(order) === PAYMENT_METHOD.ONLINE &&
+        order.status === ORDER_STATUS.AWAITING_PAYMENT &&
+        !order.paymentIntent;
+}
+
+/**
+ * Create the provider's payment intent for an order and store it
+ *
+ * @param {Object} order - Persisted order awaiting payment
+ * @returns {Promise<Object>} The stored paymentIntent {provider, intentId, checkoutUrl, status, createdAt}
+ * @throws {ApiError} 503 PAYMENTS_UNAVAILABLE if the provider is not configured
+ *
+ * @example
+ * order.paymentIntent = await startOnlinePayment(order);
+ * // redirect the customer to order.paymentIntent.checkoutUrl
+ */
+export async function startOnlinePayment(order) {
+    const provider = getPaymentProvider();
+
+    const { intentId, checkoutUrl } = await provider.createIntent({
+        orderId: order.orderId,
+        amount: order.total,
+        customer: {
+            name: order.customer.name,
+            email: order.customer.email,
+            phone: order.customer.phone
+        },
+        returnUrl: `/confirmation.html?orderId=${encodeURIComponent(order.orderId)}`
+    });
+
+    const paymentIntent = {
+        provider: provider.name,
+        intentId,
+        checkoutUrl,
+        status: 'created',
+        createdAt: new Date().toISOString()
+    };
+
+    await db.collection(COLLECTIONS.ORDERS).doc(order.orderId).update({
+        paymentIntent,
+        updatedAt: FieldValue.serverTimestamp()
+    });
+
+    return paymentIntent;
+}
+
+/**
+ * Apply a verified webhook event to its order
+ *
+ * A successful payment confirms the order; a failed one is recorded on
+ * the intent and the order keeps waiting (the customer can pay again or
+ * cancel). Events are safe to receive more than once.
+ *
+ * @param {Object} event - Event from provider.verifyWebhook {type, intentId, orderId, amount}
+ * @returns {Promise<Object>} {applied, refundDue}; refundDue is true when
+ *   the payment arrived after the order had been cancelled
+ * @throws {ApiError} 404 if the order does not exist, 409 if the intent or
+ *   amount does not match the order
+ */
+export async function applyPaymentEvent(event) {
+    const orderRef = db.collection(COLLECTIONS.ORDERS).doc(String(event.orderId || ''));
+
+    return db.runTransaction(async transaction => {
+        const orderSnap = await transaction.get(orderRef);
+        if (!event.orderId || !orderSnap.exists) {
+            throw new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found.');
+        }
+
+        const order = orderSnap.data();
+        if (order.paymentIntent?.intentId !== event.intentId) {
+            throw new ApiError(409, 'INTENT_MISMATCH', 'Payment intent does not belong to this order.');
+        }
+
+        if (event.type === PAYMENT_EVENT.FAILED) {
+            if (order.paymentIntent.status === 'created') {
+                transaction.update(orderRef, {
+                    'paymentIntent.status': 'failed',
+                    updatedAt: FieldValue.serverTimestamp()
+                });
+            }
+            return { applied: true, refundDue: false };
+        }
+
+        if (event.type !== PAYMENT_EVENT.SUCCEEDED) {
+            return { applied: false, refundDue: false };
+        }
+
+        // Webhook retried after we already recorded this payment
+        if (order.payment?.intentId === event.intentId) {
+            return { applied: false, refundDue: false };
+        }
+
+        if (event.amount !== order.total) {
+            throw new ApiError(409, 'AMOUNT_MISMATCH', 'Paid amount does not match the order total.', {
+                expected: order.total,
+                received: event.amount
+            });
+        }
+
+        const payment = {
+            provider: order.paymentIntent.provider,
+            intentId: event.intentId,
+            amount: event.amount,
+            receivedAt: new Date().toISOString(),
+            recordedBy: { uid: null, role: 'system' }
+        };
+
+        // Paid for an order the customer has cancelled meanwhile: keep the
+        // record so the refund below has something to refund
+        if (order.status !== ORDER_STATUS.AWAITING_PAYMENT) {
+            transaction.update(orderRef, {
+                payment,
+                'paymentIntent.status': 'succeeded',
+                updatedAt: FieldValue.serverTimestamp()
+            });
+            return { applied: true, refundDue: order.status === ORDER_STATUS.CANCELLED };
+        }
+
+        transaction.update(orderRef, {
+            ...buildStatusUpdate(order, ORDER_STATUS.CONFIRMED, {
+                changedBy: payment.recordedBy,
+                note: 'Online payment received'
+            }),
+            payment,
+            'paymentIntent.status': 'succeeded'
+        });
+
+        return { applied: true, refundDue: false };
+    });
+}
+
+/**
+ * Refund a cancelled order that was paid online
+ *
+ * Does nothing for orders not paid online or already refunded. Call after
+ * the cancellation has been committed; the provider is called outside any
+ * transaction.
+ *
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object|null>} The stored refund {refundId, status, amount, at}, or null
+ *
+ * @example
+ * await cancelOrderByCustomer(orderId, { userId, reason });
+ * await refundOnlinePayment(orderId);
+ */
+export async function refundOnlinePayment(orderId) {
+    const orderRef = db.collection(COLLECTIONS.ORDERS).doc(orderId);
+    const orderSnap = await orderRef.get();
+    const order = orderSnap.exists ? orderSnap.data() : null;
+
+    if (!order || order.status !== ORDER_STATUS.CANCELLED || !order.payment?.intentId || order.payment.refund) {
+        return null;
+    }
+
+    const provider = getPaymentProvider(order.payment.provider);
+    const { refundId, status } = await provider.refund({
+        intentId: order.payment.intentId,
+        amount: order.payment.amount
+    });
+
+    const refund = { refundId, status, amount: order.payment.amount, at: new Date().toISOString() };
+
+    await orderRef.update({
+        'payment.refund': refund,
+        updatedAt: FieldValue.serverTimestamp()
+    });
+
+    return refund;
+}
@@ -0,0 +1,451 @@
+/**
+ * Order Persistence (Server-side)
+ *
+ * The serverless functions are the only writers of the `orders`
+ * collection. Orders are created inside a Firestore transaction that also
+ * assigns the final, human-readable order number from a per-day counter.
+ *
+ * Submissions carry a client-generated idempotency key. The key and the
+ * resulting order number are stored together, so a retried request gets
+ * the original order back instead of creating a duplicate.
+ *
+ * Orders paid from the prepaid wallet are charged in the same transaction
+ * that creates them, and refunded in the one that cancels them. Coupon
+ * uses, counted stock and delivery slot places are taken and given back
+ * the same way.
+ *
+ * @module api/_lib/orders
+ */
+
+import { getShopDateKey } from '../../js/utils.js';
+import {
+    ORDER_STATUS,
+    createStatusHistoryEntry,
+    validateStatusTransition
+} from '../../js/order-status.js';
+import { checkCustomerCancellation } from '../../js/delivery-schedule.js';
+import { PAYMENT_METHOD, getOrderPaymentMethodId } from '../../js/payment-methods.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { prepareDeliveryPosting } from './ledger.js';
+import { prepareWalletPayment, prepareWalletRefund } from './wallet.js';
+import { prepareCouponRedemption, releaseCouponRedemption } from './coupons.js';
+import { notifyStockAlerts, prepareStockReservation, prepareStockRestore } from './inventory.js';
+import { prepareSlotBooking, releaseSlotBooking } from './delivery-slots.js';
+
+/**
+ * Collection names used by the server
+ * @constant {Object}
+ */
+export const COLLECTIONS = {
+    ORDERS: 'orders',
+    COUNTERS: 'counters',
+    IDEMPOTENCY_KEYS: 'idempotencyKeys',
+    SUBSCRIPTIONS: 'subscriptions',
+    LEDGERS: 'ledgers',
+    WALLETS: 'wallets',
+    COUPONS: 'coupons',
+    PRODUCTS: 'products',
+    BATCHES: 'batches',
+    DELIVERY_SLOTS: 'deliverySlots',
+    CLOSURES: 'closures'
+};
+
+/**
+ * How long idempotency keys are kept (Firestore TTL policy on `expiresAt`)
+ * @constant {number}
+ */
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Allowed idempotency key format (UUIDs and similar opaque tokens)
+ * @constant {RegExp}
+ */
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9_-]{8,100}$/;
+
+/**
+ * Format an order number
+ *
+ * @param {string} dateKey - Shop date in YYYY-MM-DD format
+ * @param {number} sequence - Order sequence number for that day (1-based)
+ * @returns {string} Order number (e.g. "ORD-20260212-001")
+ */
+export function formatOrderId(dateKey, sequence) {
+    return `ORD-${dateKey.replace(/-/g, '')}-${String(sequence).padStart(3, '0')}`;
+}
+
+/**
+ * Check whether an idempotency key is well-formed
+ *
+ * @param {string} key - Idempotency key from the request
+ * @returns {boolean} True if valid
+ */
+export function isValidIdempotencyKey(key) {
+    return typeof key === 'string' && IDEMPOTENCY_KEY_REGEX.test(key);
+}
+
+/**
+ * Get the idempotency key document for a user's key
+ *
+ * Keys are scoped per user so one customer can never replay another's order.
+ *
+ * @private
+ * @param {string} userId - Verified user ID
+ * @param {string} key - Idempotency key
+ * @returns {DocumentReference} Key document reference
+ */
+function getIdempotencyKeyRef(userId, key) {
+    return db.collection(COLLECTIONS.IDEMPOTENCY_KEYS).doc(`${userId}_${key}`);
+}
+
+/**
+ * Convert a stored order document to the shape returned by the API
+ *
+ * @param {DocumentSnapshot} snapshot - Order document snapshot
+ * @returns {Object} Order with ISO timestamps
+ */
+export function serializeOrder(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+    };
+}
+
+/**
+ * Find the order already created for an idempotency key
+ *
+ * @param {string} userId - Verified user ID
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} The original order, or null if the key is unused
+ */
+export async function findOrderByIdempotencyKey(userId, key) {
+    const keySnap = await getIdempotencyKeyRef(userId, key).get();
+    if (!keySnap.exists) {
+        return null;
+    }
+
+    const orderSnap = await db.collection(COLLECTIONS.ORDERS).doc(keySnap.data().orderId).get();
+    return orderSnap.exists ? serializeOrder(orderSnap) : null;
+}
+
+/**
+ * Create an order and assign its order number atomically
+ *
+ * The order document ID is the order number, so the confirmation page can
+ * load it directly with `DatabaseService.getOrder(orderId)`.
+ *
+ * If the idempotency key was already used (e.g. two identical requests
+ * raced past findOrderByIdempotencyKey), the original order is returned
+ * with `replayed: true` and nothing is written.
+ *
+ * Wallet orders (`paymentMethodId: 'wallet'`) are paid from the
+ * customer's wallet in the same transaction; if the balance is too low
+ * nothing is written. Counted stock is taken the same way and recorded
+ * on the order as `stockReservations`; if that leaves an item low or sold
+ * out, the owner is emailed once the order is saved. The order also takes
+ * a place in its delivery slot for its delivery date.
+ *
+ * @param {Object} orderData - Validated, server-priced order data
+ * @param {string} idempotencyKey - Client-generated key for this checkout
+ * @param {Object} options - Options
+ * @param {Object} options.placedBy - Who placed the order, for the status history
+ *   (default: the customer)
+ * @param {string} options.note - Note for the first status history entry
+ *   (default: "Order placed")
+ * @param {boolean} options.enforceSlotCapacity - Refuse a full delivery slot
+ *   (default: true)
+ * @returns {Promise<Object>} { order, replayed }
+ * @throws {ApiError} 409 INSUFFICIENT_BALANCE for a wallet order the balance does not cover,
+ *   409 COUPON_UNAVAILABLE if the order's coupon has reached a usage limit,
+ *   409 INSUFFICIENT_STOCK if an item has less stock left than ordered,
+ *   409 SLOT_FULL if the delivery slot has no room left that day
+ *
+ * @example
+ * const { order, replayed } = await createOrder({ userId, customer, items, ... }, key);
+ * console.log(order.orderId); // "ORD-20260212-004"
+ */
+export async function createOrder(orderData, idempotencyKey, options = {}) {
+    const placedBy = options.placedBy || { uid: orderData.userId, role: 'customer' };
+    const now = new Date();
+    const dateKey = getShopDateKey(now);
+    const counterRef = db.collection(COLLECTIONS.COUNTERS).doc(`orders-${dateKey}`);
+    const keyRef = getIdempotencyKeyRef(orderData.userId, idempotencyKey);
+
+    const { stockAlerts, ...result } = await db.runTransaction(async transaction => {
+        // All reads must happen before any writes in a transaction
+        const [keySnap, counterSnap] = await transaction.getAll(keyRef, counterRef);
+
+        if (keySnap.exists) {
+            const orderRef = db.collection(COLLECTIONS.ORDERS).doc(keySnap.data().orderId);
+            const orderSnap = await transaction.get(orderRef);
+            return { order: serializeOrder(orderSnap), replayed: true, stockAlerts: [] };
+        }
+
+        // Throws before anything is written if the wallet cannot pay
+        const payFromWallet = orderData.paymentMethodId === PAYMENT_METHOD.WALLET
+            ? await prepareWalletPayment(transaction, orderData.userId, orderData.total)
+            : null;
+        const redeemCoupon = orderData.coupon
+            ? await prepareCouponRedemption(transaction, orderData)
+            : null;
+        const reserveStock = await prepareStockReservation(transaction, orderData.items);
+        const bookSlot = await prepareSlotBooking(transaction, orderData, {
+            enforceCapacity: options.enforceSlotCapacity !== false
+        });
+
+        const sequence = (counterSnap.exists ? counterSnap.data().lastSequence : 0) + 1;
+        const orderId = formatOrderId(dateKey, sequence);
+        const orderRef = db.collection(COLLECTIONS.ORDERS).doc(orderId);
+
+        transaction.set(counterRef, {
+            lastSequence: sequence,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        const statusHistory = [
+            createStatusHistoryEntry({
+                status: orderData.status,
+                changedBy: placedBy,
+                note: options.note || 'Order placed'
+            })
+        ];
+
+        const { reservations: stockReservations, alerts: stockAlerts } = reserveStock();
+
+        transaction.set(orderRef, {
+            ...orderData,
+            orderId,
+            statusHistory,
+            stockReservations,
+            slotBooked: true,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        bookSlot();
+
+        if (payFromWallet) {
+            payFromWallet(orderId, placedBy);
+        }
+        if (redeemCoupon) {
+            redeemCoupon(orderId);
+        }
+
+        transaction.set(keyRef, {
+            userId: orderData.userId,
+            orderId,
+            createdAt: FieldValue.serverTimestamp(),
+            expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS)
+        });
+
+        return {
+            order: {
+                ...orderData,
+                orderId,
+                statusHistory,
+                stockReservations,
+                slotBooked: true,
+                createdAt: now.toISOString()
+            },
+            replayed: false,
+            stockAlerts
+        };
+    });
+
+    await notifyStockAlerts(stockAlerts);
+
+    return result;
+}
+
+// ==================== Status Updates ====================
+
+/**
+ * Build the Firestore update for a status change
+ *
+ * Use this inside a transaction that has already read the order, so the
+ * transition check and the write see the same status.
+ *
+ * @param {Object} order - Current order data
+ * @param {string} nextStatus - Requested status
+ * @param {Object} options - Change details
+ * @param {Object} options.changedBy - Who made the change {uid, role}
+ * @param {string} options.note - Optional note
+ * @returns {Object} Fields to pass to transaction.update()
+ * @throws {ApiError} 409 if the transition is not allowed
+ */
+export function buildStatusUpdate(order, nextStatus, { changedBy, note = '' }) {
+    const validation = validateStatusTransition(order.status, nextStatus);
+    if (!validation.isValid) {
+        throw new ApiError(409, 'INVALID_STATUS_TRANSITION', validation.error, {
+            currentStatus: order.status
+        });
+    }
+
+    const entry = createStatusHistoryEntry({
+        status: nextStatus,
+        from: order.status,
+        changedBy,
+        note
+    });
+
+    return {
+        status: nextStatus,
+        statusHistory: FieldValue.arrayUnion(entry),
+        updatedAt: FieldValue.serverTimestamp()
+    };
+}
+
+/**
+ * Prepare the wallet refund for an order that is being cancelled
+ *
+ * @private
+ * @param {Transaction} transaction - Firestore transaction (no writes yet)
+ * @param {Object} order - Current order data
+ * @param {string} nextStatus - Requested status
+ * @returns {Promise<Function|null>} refund(recordedBy), or null if nothing to refund
+ */
+async function prepareRefundIfCancelled(transaction, order, nextStatus) {
+    if (nextStatus !== ORDER_STATUS.CANCELLED ||
+        getOrderPaymentMethodId(order) !== PAYMENT_METHOD.WALLET) {
+        return null;
+    }
+
+    return prepareWalletRefund(transaction, order);
+}
+
+/**
+ * Change an order's status, enforcing the lifecycle and recording history
+ *
+ * Marking an order delivered also posts it to the customer's ledger, and
+ * cancelling a wallet order refunds it, in the same transaction. A
+ * cancelled order's coupon use, counted stock and slot place are given back.
+ *
+ * @param {string} orderId - Order ID
+ * @param {string} nextStatus - Requested status
+ * @param {Object} options - Change details ({changedBy, note})
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the order does not exist, 409 if the move is not allowed
+ *   (including accepting an order that is still awaiting payment)
+ *
+ * @example
+ * await updateOrderStatus('ORD-20260212-004', 'confirmed', {
+ *   changedBy: { uid: ownerUid, role: 'owner' }
+ * });
+ */
+export async function updateOrderStatus(orderId, nextStatus, options) {
+    const orderRef = db.collection(COLLECTIONS.ORDERS).doc(orderId);
+
+    await db.runTransaction(async transaction => {
+        const orderSnap = await transaction.get(orderRef);
+        if (!orderSnap.exists) {
+            throw new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found.');
+        }
+
+        const order = orderSnap.data();
+
+        // UPI payments are confirmed with their UTR (api/_lib/upi.js) and
+        // online payments by the provider's webhook (api/_lib/online-payment.js)
+        if (order.status === ORDER_STATUS.AWAITING_PAYMENT && nextStatus !== ORDER_STATUS.CANCELLED) {
+            throw new ApiError(409, 'PAYMENT_REFERENCE_REQUIRED',
+                'This order has not been paid yet. Mark a UPI payment as received with its UTR; online payments are confirmed automatically.');
+        }
+
+        // Ledger and wallet reads must happen before the writes below
+        const postToLedger = nextStatus === ORDER_STATUS.DELIVERED
+            ? await prepareDeliveryPosting(transaction, order)
+            : null;
+        const refund = await prepareRefundIfCancelled(transaction, order, nextStatus);
+        const restoreStock = nextStatus === ORDER_STATUS.CANCELLED
+            ? await prepareStockRestore(transaction, order)
+            : null;
+
+        transaction.update(orderRef, buildStatusUpdate(order, nextStatus, options));
+
+        if (postToLedger) {
+            postToLedger(options.changedBy);
+        }
+        if (refund) {
+            refund(options.changedBy);
+        }
+        if (nextStatus === ORDER_STATUS.CANCELLED && order.coupon) {
+            releaseCouponRedemption(transaction, order);
+        }
+        if (nextStatus === ORDER_STATUS.CANCELLED && order.slotBooked) {
+            releaseSlotBooking(transaction, order);
+        }
+        if (restoreStock) {
+            restoreStock();
+        }
+    });
+}
+
+/**
+ * Cancel an order on behalf of the customer who placed it
+ *
+ * Only the order's owner may cancel, only while the order is still
+ * pending or confirmed, and only before the cancellation cutoff for its
+ * delivery slot. The check and the update happen in one transaction so a
+ * status change by the shop cannot slip in between. Wallet orders are
+ * refunded, and coupon uses, counted stock and slot places given back, in
+ * the same transaction.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} options - Cancellation details
+ * @param {string} options.userId - Verified user ID
+ * @param {string} options.reason - Reason given by the customer
+ * @returns {Promise<Object>} The order as it was before cancellation
+ * @throws {ApiError} 404 if the order does not exist or is not the user's,
+ *   409 CANCELLATION_NOT_ALLOWED if the status or cutoff forbids it
+ *
+ * @example
+ * const order = await cancelOrderByCustomer('ORD-20260212-004', {
+ *   userId: user.uid,
+ *   reason: 'Ordered by mistake'
+ * });
+ */
+export async function cancelOrderByCustomer(orderId, { userId, reason }) {
+    const orderRef = db.collection(COLLECTIONS.ORDERS).doc(orderId);
+
+    return db.runTransaction(async transaction => {
+        const orderSnap = await transaction.get(orderRef);
+
+        // Don't reveal whether another customer's order exists
+        if (!orderSnap.exists || orderSnap.data().userId !== userId) {
+            throw new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found.');
+        }
+
+        const order = orderSnap.data();
+        const check = checkCustomerCancellation(order);
+        if (!check.isValid) {
+            throw new ApiError(409, 'CANCELLATION_NOT_ALLOWED', check.error, {
+                currentStatus: order.status
+            });
+        }
+
+        const changedBy = { uid: userId, role: 'customer' };
+        const refund = await prepareRefundIfCancelled(transaction, order, ORDER_STATUS.CANCELLED);
+        const restoreStock = await prepareStockRestore(transaction, order);
+
+        transaction.update(orderRef, {
+            ...buildStatusUpdate(order, ORDER_STATUS.CANCELLED, { changedBy, note: reason }),
+            cancellationReason: reason
+        });
+
+        if (refund) {
+            refund(changedBy);
+        }
+        if (order.coupon) {
+            releaseCouponRedemption(transaction, order);
+        }
+        if (order.slotBooked) {
+            releaseSlotBooking(transaction, order);
+        }
+        if (restoreStock) {
+            restoreStock();
+        }
+
+        return serializeOrder(orderSnap);
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ * Fake Payment Provider (Server-side)
+ *
+ * A local stand-in for a payment gateway so the whole online payment flow
+ * (pay → webhook → order confirmed) can be tried without any external
+ * service. Its "hosted checkout" is fake-gateway.html, which asks
+ * /api/fake-gateway to pay or fail the intent; that endpoint then sends a
+ * signed webhook to /api/payment-webhook exactly like a real gateway.
+ *
+ * Checkout links and webhooks are signed with HMAC-SHA256 using
+ * PAYMENT_WEBHOOK_SECRET, so the amount in a checkout link cannot be
+ * changed and webhooks cannot be forged.
+ *
+ * @module api/_lib/payments/fake
+ */
+
+import { Buffer } from 'buffer';
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { ApiError } from '../errors.js';
+
+/**
+ * Header carrying the webhook signature ("sha256=<hex>")
+ * @constant {string}
+ */
+export const FAKE_SIGNATURE_HEADER = 'x-fake-gateway-signature';
+
+/**
+ * Get the shared signing secret
+ *
+ * @private
+ * @returns {string} PAYMENT_WEBHOOK_SECRET
+ * @throws {ApiError} 503 PAYMENTS_UNAVAILABLE if the secret is not configured
+ */
+function getSecret() {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET || '';
+
+    if (!secret) {
+        console.error('PAYMENT_WEBHOOK_SECRET is not configured');
+        throw new ApiError(503, 'PAYMENTS_UNAVAILABLE', 'Online payment is not available right now. Please choose another payment method.');
+    }
+
+    return secret;
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a payload
+ *
+ * @private
+ * @param {string|Buffer} payload - Data to sign
+ * @returns {string} Hex signature
+ */
+function sign(payload) {
+    return createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+/**
+ * Compare two hex signatures in constant time
+ *
+ * @private
+ * @param {string} expected - Signature we computed
+ * @param {string} received - Signature from the request
+ * @returns {boolean} True if they match
+ */
+function signaturesMatch(expected, received) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(typeof received === 'string' ? received : '');
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Get the string a checkout link's signature covers
+ *
+ * @private
+ * @param {Object} checkout - {intentId, orderId, amount}
+ * @returns {string} Canonical payload
+ */
+function getCheckoutPayload({ intentId, orderId, amount }) {
+    return `${intentId}|${orderId}|${amount}`;
+}
+
+/**
+ * Check that checkout details came from a link this provider created
+ *
+ * @param {Object} checkout - {intentId, orderId, amount, signature} from the fake checkout page
+ * @returns {boolean} True if the signature matches
+ */
+export function verifyFakeCheckout(checkout) {
+    return signaturesMatch(sign(getCheckoutPayload(checkout)), checkout.signature);
+}
+
+/**
+ * The fake provider
+ * @constant {Object}
+ */
+export const fakeProvider = Object.freeze({
+    name: 'fake',
+
+    /**
+     * Start a payment: returns a signed link to the fake checkout page
+     *
+     * @param {Object} intent - {orderId, amount, customer, returnUrl}
+     * @returns {Promise<Object>} {intentId, checkoutUrl}
+     */
+    async createIntent({ orderId, amount, returnUrl }) {
+        const intentId = `fake_pi_${randomUUID()}`;
+        const params = new URLSearchParams({
+            intentId,
+            orderId,
+            amount: String(amount),
+            returnUrl,
+            signature: sign(getCheckoutPayload({ intentId, orderId, amount }))
+        });
+
+        return { intentId, checkoutUrl: `/fake-gateway.html?${params}` };
+    },
+
+    /**
+     * Verify a webhook and parse its event
+     *
+     * @param {Buffer} rawBody - Raw request body
+     * @param {Object} headers - Request headers
+     * @returns {Object} Event {type, intentId, orderId, amount}
+     * @throws {ApiError} 400 INVALID_SIGNATURE if the signature is missing or wrong
+     */
+    verifyWebhook(rawBody, headers) {
+        const received = String(headers[FAKE_SIGNATURE_HEADER] || '').replace(/^sha256=/, '');
+
+        if (!signaturesMatch(sign(rawBody), received)) {
+            throw new ApiError(400, 'INVALID_SIGNATURE', 'Webhook signature does not match.');
+        }
+
+        try {
+            const { type, intentId, orderId, amount } = JSON.parse(rawBody.toString('utf8'));
+            return { type, intentId, orderId, amount };
+        } catch (error) {
+            console.warn('Webhook body is not valid JSON:', error.message);
+            throw new ApiError(400, 'INVALID_PAYLOAD', 'Webhook body is not valid JSON.');
+        }
+    },
+
+    /**
+     * Refund a payment (always succeeds immediately)
+     *
+     * @param {Object} refund - {intentId, amount}
+     * @returns {Promise<Object>} {refundId, status}
+     */
+    async refund() {
+        return { refundId: `fake_rf_${randomUUID()}`, status: 'succeeded' };
+    }
+});
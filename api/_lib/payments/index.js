@@ -0,0 +1,90 @@
+/**
+ * Payment Providers (Server-side)
+ *
+ * Online payments go through a provider chosen by the PAYMENT_PROVIDER
+ * environment variable, so a real gateway can be added later without
+ * touching checkout or the order code. Every provider is a plain object
+ * with:
+ *
+ * - `name` - Stored on the order with each payment intent
+ * - `createIntent({orderId, amount, customer, returnUrl})` - Start a
+ *   payment; resolves to {intentId, checkoutUrl}
+ * - `verifyWebhook(rawBody, headers)` - Check the webhook signature over
+ *   the raw request body; returns the event {type, intentId, orderId,
+ *   amount} or throws ApiError 400 INVALID_SIGNATURE
+ * - `refund({intentId, amount})` - Refund a captured payment; resolves to
+ *   {refundId, status}
+ *
+ * Webhook event types are listed in PAYMENT_EVENT.
+ *
+ * @module api/_lib/payments
+ */
+
+import { Buffer } from 'buffer';
+import { ApiError } from '../errors.js';
+import { fakeProvider } from './fake.js';
+
+/**
+ * Webhook event types every provider maps its own events to
+ * @constant {Object}
+ */
+export const PAYMENT_EVENT = Object.freeze({
+    SUCCEEDED: 'payment.succeeded',
+    FAILED: 'payment.failed'
+});
+
+/**
+ * Available providers by name
+ * @constant {Object}
+ */
+const PROVIDERS = Object.freeze({
+    [fakeProvider.name]: fakeProvider
+});
+
+/**
+ * Get a payment provider
+ *
+ * The fake provider is only used when PAYMENT_PROVIDER is "fake"; there
+ * is no default, so online payment stays unavailable until a provider is
+ * configured.
+ *
+ * @param {string} name - Provider name (default: the PAYMENT_PROVIDER
+ *   environment variable); pass the name stored on an order to refund
+ *   through the provider that took the payment
+ * @returns {Object} Payment provider (see module description)
+ * @throws {ApiError} 503 PAYMENTS_UNAVAILABLE if no provider is set or the name is not
+ *   a known provider
+ *
+ * @example
+ * const provider = getPaymentProvider();
+ * const { checkoutUrl } = await provider.createIntent({ orderId, amount, customer, returnUrl });
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+    const provider = name ? PROVIDERS[name] : null;
+
+    if (!provider) {
+        console.error(name ? `Unknown PAYMENT_PROVIDER "${name}"` : 'PAYMENT_PROVIDER is not set');
+        throw new ApiError(503, 'PAYMENTS_UNAVAILABLE', 'Online payment is not available right now. Please choose another payment method.');
+    }
+
+    return provider;
+}
+
+/**
+ * Read the raw body of a request
+ *
+ * Webhook signatures are computed over the exact bytes the provider
+ * sent, so endpoints using this must disable Vercel's body parser.
+ *
+ * @param {Object} req - Request object (a readable stream)
+ * @returns {Promise<Buffer>} Raw request body
+ */
+export async function readRawBody(req) {
+    const chunks = [];
+
+    for await (const chunk of req) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
@@ -0,0 +1,219 @@
+/**
+ * Server-side Order Pricing
+ *
+ * SECURITY: The browser computes prices for display only. Before an order
+ * is accepted, every item is re-priced from the Firestore `products`
+ * collection so a tampered or stale cart can never produce an order at the
+ * wrong price. Quantity tiers (js/price-tiers.js) and coupon discounts
+ * are worked out here too, from the same server-side prices. The minimum
+ * order comes from the order's delivery zone (js/delivery-zones.js) and
+ * the delivery charge from the same fee rules the cart shows
+ * (js/delivery-fees.js).
+ *
+ * @module api/_lib/pricing
+ */
+
+import { checkCoupon } from '../../js/coupons.js';
+import { calculateDeliveryFee } from '../../js/delivery-fees.js';
+import { getMinOrderAmount } from '../../js/delivery-zones.js';
+import { getUnitPrice } from '../../js/price-tiers.js';
+import { getProductVariant } from '../../js/product-variants.js';
+import { getShopDateKey } from '../../js/utils.js';
+import { db } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { getCoupon } from './coupons.js';
+
+/**
+ * Load products by ID from Firestore
+ *
+ * @param {Array<string>} productIds - Product IDs to load (duplicates allowed)
+ * @returns {Promise<Map<string, Object>>} Map of product ID to product data
+ */
+export async function loadProducts(productIds) {
+    const uniqueIds = [...new Set(productIds)];
+    if (uniqueIds.length === 0) {
+        return new Map();
+    }
+
+    const refs = uniqueIds.map(id => db.collection('products').doc(id));
+    const snapshots = await db.getAll(...refs);
+
+    const products = new Map();
+    snapshots.forEach(snapshot => {
+        if (snapshot.exists) {
+            products.set(snapshot.id, { id: snapshot.id, ...snapshot.data() });
+        }
+    });
+
+    return products;
+}
+
+/**
+ * Price order items against the product catalog
+ *
+ * Items without a variantId get the product's default pack size.
+ *
+ * @param {Array} items - Requested items [{productId, variantId?, quantity}]
+ * @param {Map<string, Object>} products - Products loaded with loadProducts
+ * @param {Object|null} coupon - Stored coupon to apply (see getCoupon)
+ * @param {Object} delivery - Delivery details for the minimum order and delivery fee
+ * @param {Object|null} delivery.zone - Delivery zone (null: CONFIG.MIN_ORDER_AMOUNT)
+ * @param {string|null} delivery.slotId - Delivery slot ID
+ * @param {boolean} delivery.isSubscription - Subscription delivery (always free: the fee
+ *   rules only apply to orders placed at checkout)
+ * @returns {Object} Pricing {items, subtotal, discount, coupon, deliveryCharge, deliveryRules,
+ *   total}; coupon is {code, description} or null, deliveryRules the fee rules applied
+ *   [{id, label, fee}]
+ * @throws {ApiError} If a product or variant is unknown or out of stock, the order is
+ *   below the minimum amount, or the coupon does not apply (400 INVALID_COUPON)
+ */
+export function priceItems(items, products, coupon = null, delivery = {}) {
+    const zone = delivery.zone || null;
+    const unavailable = [];
+    const pricedItems = [];
+
+    for (const item of items) {
+        const product = products.get(item.productId);
+        const variant = product ? getProductVariant(product, item.variantId) : null;
+
+        if (!variant) {
+            unavailable.push({ productId: item.productId, variantId: item.variantId || null, reason: 'not-found' });
+            continue;
+        }
+
+        if (!product.inStock || !variant.inStock) {
+            unavailable.push({
+                productId: item.productId,
+                variantId: variant.id,
+                productName: product.nameEnglish,
+                reason: 'out-of-stock'
+            });
+            continue;
+        }
+
+        // Bulk orders get the variant's tier price for the whole line
+        const price = getUnitPrice(variant, item.quantity);
+
+        pricedItems.push({
+            productId: product.id,
+            variantId: variant.id,
+            sku: variant.sku,
+            productName: product.nameEnglish,
+            productNameHindi: product.nameHindi,
+            quantity: item.quantity,
+            price,
+            unit: variant.unit,
+            category: product.category,
+            subtotal: price * item.quantity
+        });
+    }
+
+    if (unavailable.length > 0) {
+        throw new ApiError(
+            409,
+            'PRODUCT_UNAVAILABLE',
+            'Some items in your cart are no longer available. Please review your cart.',
+            { unavailable }
+        );
+    }
+
+    const subtotal = pricedItems.reduce((sum, item) => sum + item.subtotal, 0);
+
+    const minOrderAmount = getMinOrderAmount(zone);
+    if (subtotal < minOrderAmount) {
+        throw new ApiError(
+            400,
+            'BELOW_MINIMUM_ORDER',
+            `Minimum order amount${zone ? ` for ${zone.name}` : ''} is ₹${minOrderAmount}`
+        );
+    }
+
+    let discount = 0;
+    if (coupon) {
+        const check = checkCoupon(coupon, { items: pricedItems, subtotal, dateKey: getShopDateKey() });
+        if (!check.isValid) {
+            throw new ApiError(400, 'INVALID_COUPON', check.error, { code: coupon.code });
+        }
+        discount = check.discount;
+    }
+
+    const deliveryFee = delivery.isSubscription
+        ? { fee: 0, rules: [] }
+        : calculateDeliveryFee({ zone, slotId: delivery.slotId, subtotal });
+    const deliveryCharge = deliveryFee.fee;
+
+    return {
+        items: pricedItems,
+        subtotal,
+        discount,
+        coupon: coupon ? { code: coupon.code, description: coupon.description || '' } : null,
+        deliveryCharge,
+        deliveryRules: deliveryFee.rules,
+        total: subtotal - discount + deliveryCharge
+    };
+}
+
+/**
+ * Load products and price an order's items
+ *
+ * @param {Array} items - Requested items [{productId, variantId?, quantity}]
+ * @param {string} couponCode - Coupon code entered by the customer (optional)
+ * @param {Object} delivery - Delivery zone and slot of the order (see priceItems)
+ * @returns {Promise<Object>} Pricing (see priceItems)
+ * @throws {ApiError} 400 INVALID_COUPON if the code does not exist (see priceItems)
+ */
+export async function priceOrder(items, couponCode = '', delivery = {}) {
+    const [products, coupon] = await Promise.all([
+        loadProducts(items.map(item => item.productId)),
+        couponCode ? getCoupon(couponCode) : null
+    ]);
+
+    if (couponCode && !coupon) {
+        throw new ApiError(400, 'INVALID_COUPON', 'This coupon code is not valid.');
+    }
+
+    return priceItems(items, products, coupon, delivery);
+}
+
+/**
+ * Compare the prices the client submitted with the server pricing
+ *
+ * @param {Object} orderData - Order data as submitted by the browser
+ * @param {Object} pricing - Server pricing from priceOrder
+ * @returns {Array} List of mismatches (empty if everything matches)
+ *
+ * @example
+ * findPriceMismatches(orderData, pricing);
+ * // [{ field: 'price', productId: 'paneer', expected: 400, received: 350 }]
+ */
+export function findPriceMismatches(orderData, pricing) {
+    const mismatches = [];
+
+    pricing.items.forEach((pricedItem, index) => {
+        const claimed = orderData.items[index];
+
+        ['price', 'subtotal'].forEach(field => {
+            if (claimed[field] !== pricedItem[field]) {
+                mismatches.push({
+                    field,
+                    productId: pricedItem.productId,
+                    variantId: pricedItem.variantId,
+                    expected: pricedItem[field],
+                    received: claimed[field] ?? null
+                });
+            }
+        });
+    });
+
+    ['subtotal', 'discount', 'deliveryCharge', 'total'].forEach(field => {
+        if (orderData[field] !== pricing[field]) {
+            mismatches.push({
+                field,
+                expected: pricing[field],
+                received: orderData[field] ?? null
+            });
+        }
+    });
+
+    return mismatches;
+}
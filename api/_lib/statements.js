@@ -0,0 +1,137 @@
+/**
+ * Monthly Statement Rendering (Server-side)
+ *
+ * Turns a statement from getStatement into a standalone HTML document.
+ * The same document is emailed to the customer and opened in the browser
+ * for printing (or "Save as PDF") from the account and owner pages.
+ *
+ * @module api/_lib/statements
+ */
+
+import { CONFIG } from '../../js/config.js';
+import { formatCurrency, formatDateTime, sanitizeInput } from '../../js/utils.js';
+import { LEDGER_ENTRY_TYPE, formatLedgerBalance } from '../../js/ledger.js';
+
+/**
+ * Render a monthly statement as an HTML document
+ *
+ * @param {Object} statement - Statement from getStatement (account must not be null)
+ * @param {Object} options - Options
+ * @param {boolean} options.printable - Add a "Print" button (not for email)
+ * @returns {string} Complete HTML document
+ *
+ * @example
+ * res.setHeader('Content-Type', 'text/html; charset=utf-8');
+ * res.status(200).send(renderStatementHtml(statement, { printable: true }));
+ */
+export function renderStatementHtml(statement, { printable = false } = {}) {
+    const { account, period } = statement;
+    const customer = account.customer || {};
+
+    const rows = statement.entries
+        .map(entry => {
+            const isDebit = entry.type === LEDGER_ENTRY_TYPE.DEBIT;
+            const reference = entry.reference ? `<br><small>${sanitizeInput(entry.reference)}</small>` : '';
+
+            return `
+          <tr>
+            <td>${formatDateTime(entry.date, false)}</td>
+            <td>${sanitizeInput(entry.description)}${reference}</td>
+            <td class="amount">${isDebit ? formatCurrency(entry.amount) : ''}</td>
+            <td class="amount">${isDebit ? '' : formatCurrency(entry.amount)}</td>
+            <td class="amount">${formatLedgerBalance(entry.balanceAfter)}</td>
+          </tr>`;
+        })
+        .join('');
+
+    const emptyRow = `
+          <tr><td colspan="5" class="empty">No deliveries or payments this month.</td></tr>`;
+
+    const printButton = printable
+        ? '<p class="no-print"><button onclick="window.print()">Print / Save as PDF</button></p>'
+        : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>Statement ${period.label} - ${sanitizeInput(customer.name || '')}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.5; color: #333; }
+          .container { max-width: 800px; margin: 0 auto; padding: 20px; }
+          .header { border-bottom: 2px solid #2563EB; padding-bottom: 10px; margin-bottom: 20px; }
+          .header h1 { margin: 0; color: #2563EB; }
+          .meta { display: flex; justify-content: space-between; gap: 20px; margin-bottom: 20px; }
+          table { width: 100%; border-collapse: collapse; }
+          td, th { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+          th { background: #f3f4f6; }
+          .amount { text-align: right; white-space: nowrap; }
+          .empty { text-align: center; color: #666; }
+          .summary td { font-weight: bold; }
+          .closing { font-size: 18px; font-weight: bold; color: #2563EB; margin-top: 20px; }
+          .footer { margin-top: 30px; color: #666; font-size: 12px; }
+          @media print { .no-print { display: none; } }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${printButton}
+          <div class="header">
+            <h1>${CONFIG.SHOP_NAME}</h1>
+            <p>${CONFIG.SHOP_ADDRESS}<br>Phone: ${CONFIG.SHOP_PHONE}</p>
+          </div>
+
+          <div class="meta">
+            <div>
+              <strong>Statement for:</strong><br>
+              ${sanitizeInput(customer.name || '')}<br>
+              ${sanitizeInput(customer.phone || '')}
+            </div>
+            <div>
+              <strong>Period:</strong> ${period.label}<br>
+              ${formatDateTime(period.from, false)} - ${formatDateTime(period.to, false)}
+            </div>
+          </div>
+
+          <table>
+            <tr>
+              <th>Date</th>
+              <th>Details</th>
+              <th class="amount">Debit</th>
+              <th class="amount">Credit</th>
+              <th class="amount">Balance</th>
+            </tr>
+            <tr>
+              <td>${formatDateTime(period.from, false)}</td>
+              <td>Opening balance</td>
+              <td></td>
+              <td></td>
+              <td class="amount">${formatLedgerBalance(statement.openingBalance)}</td>
+            </tr>
+            ${statement.entries.length > 0 ? rows : emptyRow}
+            <tr class="summary">
+              <td></td>
+              <td>Total for ${period.label}</td>
+              <td class="amount">${formatCurrency(statement.totalDebits)}</td>
+              <td class="amount">${formatCurrency(statement.totalCredits)}</td>
+              <td class="amount">${formatLedgerBalance(statement.closingBalance)}</td>
+            </tr>
+          </table>
+
+          <p class="closing">
+            ${statement.closingBalance > 0
+                ? `Amount due: ${formatCurrency(statement.closingBalance)}`
+                : `Nothing due${statement.closingBalance < 0 ? ` (${formatCurrency(-statement.closingBalance)} paid in advance)` : ''}`}
+          </p>
+
+          <p class="footer">
+            Dr = amount you owe the shop, Cr = amount paid in advance.
+            Cash on delivery orders appear as both a debit and a credit.
+            For questions about this statement call ${CONFIG.SHOP_PHONE}.
+          </p>
+        </div>
+      </body>
+      </html>
+    `;
+}
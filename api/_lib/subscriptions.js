@@ -0,0 +1,488 @@
+/**
+ * Subscriptions (Server-side)
+ *
+ * Customers create, pause, skip and cancel subscriptions through
+ * /api/subscriptions.
+ * Every evening /api/generate-subscription-orders turns the subscriptions
+ * due the next day into regular orders with createOrder, so they show up
+ * in order history and the owner's order list like any other order.
+ *
+ * @module api/_lib/subscriptions
+ */
+
+import { getDeliverySlot } from '../../js/delivery-schedule.js';
+import {
+    checkDeliveryArea,
+    checkZoneSlot,
+    findDeliveryZone,
+    formatDeliveryAddress,
+    normalizePincode
+} from '../../js/delivery-zones.js';
+import { PAYMENT_METHOD, getPaymentMethod } from '../../js/payment-methods.js';
+import { getProductVariant } from '../../js/product-variants.js';
+import { getStockShortages } from '../../js/inventory.js';
+import {
+    SUBSCRIPTION_STATUS,
+    applyScheduleChange,
+    getNextSubscriptionDate,
+    isSubscriptionDeliveryDay,
+    validateSubscriptionAddress
+} from '../../js/subscription-schedule.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { loadProducts, priceItems } from './pricing.js';
+import { COLLECTIONS, createOrder } from './orders.js';
+import { isMonthlyBillingEnabled } from './ledger.js';
+
+/**
+ * Convert a stored subscription document to the shape returned by the API
+ *
+ * @param {DocumentSnapshot} snapshot - Subscription document snapshot
+ * @returns {Object} Subscription with ISO timestamps
+ */
+export function serializeSubscription(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        subscriptionId: snapshot.id,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+    };
+}
+
+/**
+ * List a customer's subscriptions, newest first
+ *
+ * @param {string} userId - Verified user ID
+ * @returns {Promise<Array>} Subscriptions
+ */
+export async function listUserSubscriptions(userId) {
+    const snapshot = await db.collection(COLLECTIONS.SUBSCRIPTIONS)
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+    return snapshot.docs.map(serializeSubscription);
+}
+
+/**
+ * Trim a submitted text field
+ *
+ * @private
+ * @param {*} value - Submitted value
+ * @returns {string} Trimmed string ('' if not a string)
+ */
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Build the stored address fields of a subscription's customer
+ *
+ * The address must already be in a delivery zone.
+ *
+ * @private
+ * @param {Object} customer - Validated {addressLine, pincode, locality, landmark?}
+ * @returns {Object} {address, addressLine, locality, pincode, landmark}
+ */
+function toSubscriptionAddress(customer) {
+    // The zone's spelling of the locality
+    const zone = findDeliveryZone(customer);
+    const locality = zone.localities.find(name => name.toLowerCase() === text(customer.locality).toLowerCase());
+    const address = {
+        addressLine: text(customer.addressLine),
+        locality,
+        pincode: normalizePincode(customer.pincode)
+    };
+
+    return {
+        address: formatDeliveryAddress(address),
+        ...address,
+        landmark: text(customer.landmark)
+    };
+}
+
+/**
+ * Create a subscription
+ *
+ * The data must already have passed validateSubscription, so the address
+ * is in a delivery zone. Products and their chosen pack sizes are checked
+ * against the catalog here (items without a variantId get the product's
+ * default pack size); prices are not stored because every generated order
+ * is priced on the day it is created.
+ *
+ * @param {string} userId - Verified user ID
+ * @param {Object} data - Validated subscription data
+ * @returns {Promise<Object>} The new subscription
+ * @throws {ApiError} 409 PRODUCT_UNAVAILABLE if a product or pack size is unknown or out of stock
+ */
+export async function createSubscription(userId, data) {
+    const products = await loadProducts(data.items.map(item => item.productId));
+    const variants = data.items.map(item => {
+        const product = products.get(item.productId);
+        return product ? getProductVariant(product, item.variantId) : null;
+    });
+    const unavailable = data.items
+        .filter((item, index) => !products.get(item.productId)?.inStock || !variants[index]?.inStock)
+        .map(item => ({ productId: item.productId, variantId: item.variantId || null }));
+
+    if (unavailable.length > 0) {
+        throw new ApiError(
+            409,
+            'PRODUCT_UNAVAILABLE',
+            'Some products are not available for subscription right now.',
+            { unavailable }
+        );
+    }
+
+    const ref = db.collection(COLLECTIONS.SUBSCRIPTIONS).doc();
+
+    const subscription = {
+        userId,
+        customer: {
+            name: text(data.customer.name),
+            email: text(data.customer.email),
+            phone: text(data.customer.phone),
+            ...toSubscriptionAddress(data.customer)
+        },
+        items: data.items.map((item, index) => ({
+            productId: item.productId,
+            variantId: variants[index].id,
+            productName: products.get(item.productId).nameEnglish,
+            quantity: item.quantity,
+            unit: variants[index].unit
+        })),
+        daysOfWeek: [...data.daysOfWeek].sort((a, b) => a - b),
+        deliverySlotId: data.deliverySlotId,
+        specialInstructions: text(data.specialInstructions),
+        // Tomorrow, or the day after if tomorrow's orders were already generated
+        startDate: getNextSubscriptionDate(),
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        pauses: [],
+        skipDates: [],
+        lastRun: null,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+    };
+
+    await ref.set(subscription);
+
+    return { ...subscription, subscriptionId: ref.id, createdAt: new Date().toISOString() };
+}
+
+/**
+ * Cancel a customer's subscription
+ *
+ * Orders already generated are not affected; they can be cancelled from
+ * order history like any other order.
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} userId - Verified user ID
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the subscription does not exist or is not the user's
+ */
+export async function cancelSubscription(subscriptionId, userId) {
+    const ref = db.collection(COLLECTIONS.SUBSCRIPTIONS).doc(subscriptionId);
+
+    await db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+
+        if (!snapshot.exists || snapshot.data().userId !== userId) {
+            throw new ApiError(404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found.');
+        }
+
+        transaction.update(ref, {
+            status: SUBSCRIPTION_STATUS.CANCELLED,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+    });
+}
+
+/**
+ * Pause a subscription for a date range, skip a day, or undo either
+ *
+ * Runs in a transaction so two quick changes from different devices
+ * can't overwrite each other.
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} userId - Verified user ID
+ * @param {Object} change - Change for applyScheduleChange ({action, from, to} or {action, date})
+ * @returns {Promise<Object>} Updated {pauses, skipDates}
+ * @throws {ApiError} 404 if the subscription is not the user's,
+ *   409 SCHEDULE_CHANGE_NOT_ALLOWED if the change is invalid or past the cutoff
+ *
+ * @example
+ * await updateSubscriptionSchedule(id, user.uid, { action: 'add-skip', date: '2026-02-14' });
+ */
+export async function updateSubscriptionSchedule(subscriptionId, userId, change) {
+    const ref = db.collection(COLLECTIONS.SUBSCRIPTIONS).doc(subscriptionId);
+
+    return db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+
+        if (!snapshot.exists || snapshot.data().userId !== userId) {
+            throw new ApiError(404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found.');
+        }
+
+        const result = applyScheduleChange(snapshot.data(), change);
+        if (!result.isValid) {
+            throw new ApiError(409, 'SCHEDULE_CHANGE_NOT_ALLOWED', result.error);
+        }
+
+        transaction.update(ref, {
+            pauses: result.pauses,
+            skipDates: result.skipDates,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        return { pauses: result.pauses, skipDates: result.skipDates };
+    });
+}
+
+/**
+ * Update the delivery address of a subscription
+ *
+ * Lets customers add a pincode and area to a subscription from before
+ * delivery zones (no orders are generated for it until they do), or move
+ * one to a new address. The address must be in a zone that offers the
+ * subscription's slot.
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} userId - Verified user ID
+ * @param {Object} customer - {addressLine, pincode, locality, landmark?}
+ * @returns {Promise<Object>} Updated customer
+ * @throws {ApiError} 404 if the subscription is not the user's,
+ *   409 SUBSCRIPTION_CANCELLED if it was cancelled,
+ *   400 INVALID_ADDRESS if the address is not in a zone offering the slot
+ *
+ * @example
+ * await updateSubscriptionAddress(id, user.uid, { addressLine: 'Flat 4, Shanti Niwas', pincode: '421301', locality: 'Syndicate' });
+ */
+export async function updateSubscriptionAddress(subscriptionId, userId, customer) {
+    const ref = db.collection(COLLECTIONS.SUBSCRIPTIONS).doc(subscriptionId);
+
+    return db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+
+        if (!snapshot.exists || snapshot.data().userId !== userId) {
+            throw new ApiError(404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found.');
+        }
+
+        const subscription = snapshot.data();
+        if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+            throw new ApiError(409, 'SUBSCRIPTION_CANCELLED', 'This subscription was cancelled.');
+        }
+
+        const validation = validateSubscriptionAddress(customer, getDeliverySlot(subscription.deliverySlotId));
+        if (!validation.isValid) {
+            throw new ApiError(400, 'INVALID_ADDRESS', validation.errors[0], { errors: validation.errors });
+        }
+
+        const updated = { ...subscription.customer, ...toSubscriptionAddress(customer) };
+
+        transaction.update(ref, {
+            customer: updated,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        return updated;
+    });
+}
+
+// ==================== Order Generation ====================
+
+/**
+ * Idempotency key for a subscription's order on a date
+ *
+ * Deterministic, so running the generator twice for the same date
+ * returns the existing order instead of creating a second one.
+ *
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @returns {string} Idempotency key
+ */
+export function getSubscriptionOrderKey(subscriptionId, dateKey) {
+    return `sub-${subscriptionId}-${dateKey}`;
+}
+
+/**
+ * Generate the order for one subscription and delivery date
+ *
+ * Out-of-stock products, and products with less counted stock left than
+ * the subscription's quantity, are left out of the order. If nothing is
+ * left, or what is left is below the zone's minimum order amount, no
+ * order is created. Nor is one when the address is no longer in a
+ * delivery zone (or has no pincode and area, from before zones) or the
+ * zone no longer offers the slot.
+ * Customers with monthly billing get monthly-account orders; everyone
+ * else pays cash on delivery.
+ *
+ * @param {Object} subscription - Subscription (serialized)
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @param {Map<string, Object>} products - Products loaded with loadProducts
+ * @returns {Promise<Object>} Result {subscriptionId, result, orderId, reason, skippedItems}
+ *   where result is "created", "existing" or "skipped"; skipped results
+ *   also have the customer {name, phone}
+ */
+export async function generateSubscriptionOrder(subscription, dateKey, products) {
+    const slot = getDeliverySlot(subscription.deliverySlotId);
+    const available = subscription.items.filter(item => {
+        const product = products.get(item.productId);
+        return product?.inStock && getProductVariant(product, item.variantId)?.inStock &&
+            getStockShortages([item], products).length === 0;
+    });
+    const skippedItems = subscription.items
+        .filter(item => !available.includes(item))
+        .map(item => item.productId);
+
+    const skip = reason => ({
+        subscriptionId: subscription.subscriptionId,
+        result: 'skipped',
+        orderId: null,
+        reason,
+        skippedItems,
+        // So the owner's summary can say who to call
+        customer: { name: subscription.customer.name, phone: subscription.customer.phone }
+    });
+
+    if (!slot) {
+        return skip('unknown-delivery-slot');
+    }
+
+    const area = checkDeliveryArea(subscription.customer);
+    if (!area.isValid) {
+        return skip('outside-delivery-area');
+    }
+
+    if (!checkZoneSlot(area.zone, slot).isValid) {
+        return skip('slot-not-in-area');
+    }
+
+    if (available.length === 0) {
+        return skip('out-of-stock');
+    }
+
+    let pricing;
+    try {
+        pricing = priceItems(available, products, null, { zone: area.zone, slotId: slot.id, isSubscription: true });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return skip(error.code === 'BELOW_MINIMUM_ORDER' ? 'below-minimum' : error.code);
+        }
+        throw error;
+    }
+
+    const paymentMethod = getPaymentMethod(
+        await isMonthlyBillingEnabled(subscription.userId)
+            ? PAYMENT_METHOD.MONTHLY_ACCOUNT
+            : PAYMENT_METHOD.CASH_ON_DELIVERY
+    );
+
+    let created;
+    try {
+        created = await createOrder(
+            {
+                userId: subscription.userId,
+                subscriptionId: subscription.subscriptionId,
+                customer: subscription.customer,
+                deliveryZoneId: area.zone.id,
+                items: pricing.items,
+                deliverySlotId: slot.id,
+                deliverySlot: slot.label,
+                deliveryDate: dateKey,
+                specialInstructions: subscription.specialInstructions || '',
+                paymentMethodId: paymentMethod.id,
+                paymentMethod: paymentMethod.label,
+                subtotal: pricing.subtotal,
+                deliveryCharge: pricing.deliveryCharge,
+                deliveryRules: pricing.deliveryRules,
+                total: pricing.total,
+                status: 'pending'
+            },
+            getSubscriptionOrderKey(subscription.subscriptionId, dateKey),
+            {
+                placedBy: { uid: null, role: 'system' },
+                note: 'Generated from subscription',
+                // Subscribers are promised their delivery; they still count towards the slot
+                enforceSlotCapacity: false
+            }
+        );
+    } catch (error) {
+        // Someone else bought the last units since the products were loaded
+        if (error instanceof ApiError && error.code === 'INSUFFICIENT_STOCK') {
+            return skip('insufficient-stock');
+        }
+        throw error;
+    }
+
+    const { order, replayed } = created;
+
+    return {
+        subscriptionId: subscription.subscriptionId,
+        result: replayed ? 'existing' : 'created',
+        orderId: order.orderId,
+        reason: null,
+        skippedItems,
+        order
+    };
+}
+
+/**
+ * Generate orders for every subscription due on a date
+ *
+ * One failing subscription does not stop the others; its error is
+ * reported in the results. The outcome is stored on each subscription as
+ * `lastRun` so customers can see why a delivery was skipped.
+ *
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @returns {Promise<Array>} One result per due subscription
+ *
+ * @example
+ * const results = await generateSubscriptionOrders('2026-02-14');
+ * results.filter(r => r.result === 'created').length;  // orders created
+ */
+export async function generateSubscriptionOrders(dateKey) {
+    const snapshot = await db.collection(COLLECTIONS.SUBSCRIPTIONS)
+        .where('status', '==', SUBSCRIPTION_STATUS.ACTIVE)
+        .get();
+
+    const due = snapshot.docs
+        .map(serializeSubscription)
+        .filter(subscription => isSubscriptionDeliveryDay(subscription, dateKey));
+
+    const products = await loadProducts(due.flatMap(sub => sub.items.map(item => item.productId)));
+    const results = [];
+
+    for (const subscription of due) {
+        let result;
+
+        try {
+            result = await generateSubscriptionOrder(subscription, dateKey, products);
+        } catch (error) {
+            console.error(`Subscription ${subscription.subscriptionId} failed:`, error);
+            result = {
+                subscriptionId: subscription.subscriptionId,
+                result: 'failed',
+                orderId: null,
+                reason: error.message,
+                skippedItems: []
+            };
+        }
+
+        await db.collection(COLLECTIONS.SUBSCRIPTIONS).doc(subscription.subscriptionId).update({
+            lastRun: {
+                date: dateKey,
+                result: result.result,
+                orderId: result.orderId,
+                reason: result.reason,
+                skippedItems: result.skippedItems
+            },
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        results.push(result);
+    }
+
+    return results;
+}
@@ -0,0 +1,133 @@
+/**
+ * UPI Payments (Server-side)
+ *
+ * UPI orders are created as `awaiting-payment`. The customer pays the
+ * shop's UPI ID directly using the intent link or QR code built here (the
+ * QR code is rendered on the server, no external service is called), and
+ * the shop owner marks the order paid with the UTR from their bank or UPI
+ * app. The order then moves to `pending` like any other order.
+ *
+ * @module api/_lib/upi
+ */
+
+import QRCode from 'qrcode';
+import { CONFIG } from '../../js/config.js';
+import { ORDER_STATUS } from '../../js/order-status.js';
+import { PAYMENT_METHOD } from '../../js/payment-methods.js';
+import { buildUpiPaymentLink } from '../../js/upi.js';
+import { db } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS, buildStatusUpdate, serializeOrder } from './orders.js';
+
+/**
+ * Check that an order is a UPI order still waiting for its payment
+ *
+ * @private
+ * @param {Object} order - Order data
+ * @throws {ApiError} 409 PAYMENT_NOT_DUE otherwise
+ */
+function assertAwaitingUpiPayment(order) {
+    if (order.paymentMethodId !== PAYMENT_METHOD.UPI || order.status !== ORDER_STATUS.AWAITING_PAYMENT) {
+        throw new ApiError(409, 'PAYMENT_NOT_DUE', 'This order is not waiting for a UPI payment.', {
+            currentStatus: order.status
+        });
+    }
+}
+
+/**
+ * Get the UPI payment details for an order
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Decoded token of the caller (the customer or the owner)
+ * @returns {Promise<Object>} {orderId, amount, payeeVpa, payeeName, link, qrSvg}
+ * @throws {ApiError} 404 if the order does not exist or is not the user's,
+ *   409 PAYMENT_NOT_DUE if it is not waiting for a UPI payment
+ *
+ * @example
+ * const payment = await getUpiPaymentRequest('ORD-20260212-004', user);
+ * // payment.link → "upi://pay?pa=...&am=180.00&..."
+ */
+export async function getUpiPaymentRequest(orderId, user) {
+    const orderSnap = await db.collection(COLLECTIONS.ORDERS).doc(orderId).get();
+
+    // Don't reveal whether another customer's order exists
+    if (!orderSnap.exists || (orderSnap.data().userId !== user.uid && user.admin !== true)) {
+        throw new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found.');
+    }
+
+    const order = orderSnap.data();
+    assertAwaitingUpiPayment(order);
+
+    const link = buildUpiPaymentLink(order);
+
+    return {
+        orderId: order.orderId,
+        amount: order.total,
+        payeeVpa: CONFIG.UPI_PAYEE_VPA,
+        payeeName: CONFIG.UPI_PAYEE_NAME,
+        link,
+        qrSvg: await QRCode.toString(link, { type: 'svg', margin: 1, width: 240 })
+    };
+}
+
+/**
+ * Mark a UPI order paid after the owner has seen the money arrive
+ *
+ * The UTR is stored on the order and used as the reference when the
+ * order is settled in the customer's ledger on delivery. One UTR pays
+ * for one order only, so a mistyped or reused UTR cannot settle a second
+ * order.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} options - Payment details
+ * @param {string} options.utr - Validated 12-digit UTR
+ * @param {Object} options.changedBy - Who confirmed it {uid, role}
+ * @returns {Promise<Object>} The order before the update
+ * @throws {ApiError} 404 if the order does not exist, 409 PAYMENT_NOT_DUE
+ *   if it is not waiting for a UPI payment, 409 DUPLICATE_UTR if another
+ *   order was already paid with the UTR
+ *
+ * @example
+ * await markUpiOrderPaid('ORD-20260212-004', {
+ *   utr: '402155667788',
+ *   changedBy: { uid: owner.uid, role: 'owner' }
+ * });
+ */
+export async function markUpiOrderPaid(orderId, { utr, changedBy }) {
+    const orderRef = db.collection(COLLECTIONS.ORDERS).doc(orderId);
+
+    return db.runTransaction(async transaction => {
+        const orderSnap = await transaction.get(orderRef);
+        if (!orderSnap.exists) {
+            throw new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found.');
+        }
+
+        const order = orderSnap.data();
+        assertAwaitingUpiPayment(order);
+
+        const paidWithUtr = await transaction.get(
+            db.collection(COLLECTIONS.ORDERS).where('payment.utr', '==', utr).limit(1)
+        );
+        if (!paidWithUtr.empty) {
+            const paidOrderId = paidWithUtr.docs[0].id;
+            throw new ApiError(409, 'DUPLICATE_UTR', `UTR ${utr} was already used for order ${paidOrderId}.`, {
+                orderId: paidOrderId
+            });
+        }
+
+        transaction.update(orderRef, {
+            ...buildStatusUpdate(order, ORDER_STATUS.PENDING, {
+                changedBy,
+                note: `UPI payment received (UTR ${utr})`
+            }),
+            payment: {
+                utr,
+                amount: order.total,
+                receivedAt: new Date().toISOString(),
+                recordedBy: { uid: changedBy.uid, role: changedBy.role }
+            }
+        });
+
+        return serializeOrder(orderSnap);
+    });
+}
@@ -0,0 +1,215 @@
+/**
+ * Prepaid Wallet (Server-side)
+ *
+ * Each customer's prepaid balance lives in `wallets/{userId}`, with one
+ * document per top-up, payment or refund in its `transactions`
+ * subcollection. Payments are taken inside the transaction that creates
+ * the order and refunds inside the one that cancels it, so the balance
+ * and the orders can never disagree.
+ *
+ * @module api/_lib/wallet
+ */
+
+import {
+    WALLET_TRANSACTION_TYPE,
+    checkWalletBalance,
+    getWalletBalanceChange
+} from '../../js/wallet.js';
+import { db, FieldValue } from './firebase-admin.js';
+import { ApiError } from './errors.js';
+import { COLLECTIONS } from './orders.js';
+
+/**
+ * Name of the transactions subcollection under each wallet
+ * @constant {string}
+ */
+const TRANSACTIONS_SUBCOLLECTION = 'transactions';
+
+/**
+ * Get a customer's wallet document
+ *
+ * @private
+ * @param {string} userId - Customer's user ID
+ * @returns {DocumentReference} Wallet document reference
+ */
+function getWalletRef(userId) {
+    return db.collection(COLLECTIONS.WALLETS).doc(userId);
+}
+
+/**
+ * Convert a stored wallet transaction to the shape returned by the API
+ *
+ * @param {DocumentSnapshot} snapshot - Transaction document snapshot
+ * @returns {Object} Transaction with its ID and ISO timestamp
+ */
+export function serializeWalletTransaction(snapshot) {
+    const data = snapshot.data();
+
+    return {
+        ...data,
+        transactionId: snapshot.id,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt
+    };
+}
+
+/**
+ * Queue a wallet transaction and the new balance on a Firestore transaction
+ *
+ * The wallet document must already have been read in the same Firestore
+ * transaction. Order payments and refunds use a fixed document ID, so the
+ * same order can never be charged or refunded twice.
+ *
+ * @private
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {DocumentSnapshot} walletSnap - Wallet snapshot read in this transaction
+ * @param {Object} entry - {id?, type, amount, description, orderId?, paymentMode?, reference?}
+ * @param {Object} recordedBy - Who caused it {uid, role}
+ * @returns {Object} The transaction as written
+ */
+function appendTransaction(transaction, walletSnap, { id, ...entry }, recordedBy) {
+    const wallet = walletSnap.exists ? walletSnap.data() : null;
+    const balance = (wallet ? wallet.balance : 0) + getWalletBalanceChange(entry);
+    const sequence = (wallet ? wallet.transactionCount : 0) + 1;
+    const transactionsRef = walletSnap.ref.collection(TRANSACTIONS_SUBCOLLECTION);
+
+    const record = {
+        orderId: null,
+        paymentMode: null,
+        reference: '',
+        ...entry,
+        sequence,
+        balanceAfter: balance,
+        recordedBy
+    };
+
+    transaction.create(id ? transactionsRef.doc(id) : transactionsRef.doc(), {
+        ...record,
+        createdAt: FieldValue.serverTimestamp()
+    });
+
+    transaction.set(walletSnap.ref, {
+        userId: walletSnap.id,
+        balance,
+        transactionCount: sequence,
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(wallet ? {} : { createdAt: FieldValue.serverTimestamp() })
+    }, { merge: true });
+
+    return record;
+}
+
+/**
+ * Check the wallet and prepare the payment for a new order
+ *
+ * Call inside the order-creation transaction, before any writes, then
+ * call the returned function once the order number is known.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {string} userId - Customer's user ID
+ * @param {number} amount - Order total
+ * @returns {Promise<Function>} pay(orderId, recordedBy) queuing the wallet writes
+ * @throws {ApiError} 409 INSUFFICIENT_BALANCE if the balance does not cover the amount
+ *
+ * @example
+ * const pay = await prepareWalletPayment(transaction, userId, 250);
+ * // ... create the order ...
+ * pay(orderId, placedBy);
+ */
+export async function prepareWalletPayment(transaction, userId, amount) {
+    const walletSnap = await transaction.get(getWalletRef(userId));
+    const balance = walletSnap.exists ? walletSnap.data().balance : 0;
+
+    const check = checkWalletBalance(balance, amount);
+    if (!check.isValid) {
+        throw new ApiError(409, 'INSUFFICIENT_BALANCE', check.error, { balance, required: amount });
+    }
+
+    return (orderId, recordedBy) => appendTransaction(transaction, walletSnap, {
+        id: `${orderId}-payment`,
+        type: WALLET_TRANSACTION_TYPE.PAYMENT,
+        amount,
+        description: `Payment for order ${orderId}`,
+        orderId
+    }, recordedBy);
+}
+
+/**
+ * Prepare the refund of a cancelled wallet order
+ *
+ * Call inside the cancelling transaction, before any writes, then call
+ * the returned function after the status update.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Object} order - Order data (must include orderId, userId, total)
+ * @returns {Promise<Function>} refund(recordedBy) queuing the wallet writes
+ */
+export async function prepareWalletRefund(transaction, order) {
+    const walletSnap = await transaction.get(getWalletRef(order.userId));
+
+    return recordedBy => appendTransaction(transaction, walletSnap, {
+        id: `${order.orderId}-refund`,
+        type: WALLET_TRANSACTION_TYPE.REFUND,
+        amount: order.total,
+        description: `Refund for cancelled order ${order.orderId}`,
+        orderId: order.orderId
+    }, recordedBy);
+}
+
+/**
+ * Add money to a customer's wallet after the shop received it
+ *
+ * The payment must already have passed validatePayment.
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {Object} payment - {amount, mode, reference}
+ * @param {Object} recordedBy - Who recorded it {uid, role}
+ * @returns {Promise<Object>} {transaction, balance}
+ *
+ * @example
+ * const { balance } = await topUpWallet(customer.uid, { amount: 1000, mode: 'Cash' }, {
+ *   uid: owner.uid,
+ *   role: 'owner'
+ * });
+ */
+export async function topUpWallet(userId, payment, recordedBy) {
+    const walletRef = getWalletRef(userId);
+
+    return db.runTransaction(async transaction => {
+        const walletSnap = await transaction.get(walletRef);
+
+        const record = appendTransaction(transaction, walletSnap, {
+            type: WALLET_TRANSACTION_TYPE.TOP_UP,
+            amount: payment.amount,
+            description: `Top-up (${payment.mode})`,
+            paymentMode: payment.mode,
+            reference: payment.reference || ''
+        }, recordedBy);
+
+        return { transaction: record, balance: record.balanceAfter };
+    });
+}
+
+/**
+ * Get a customer's wallet balance and latest transactions
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {number} limitCount - Maximum number of transactions
+ * @returns {Promise<Object>} {balance, transactions} (balance 0 and no
+ *   transactions if the customer never had a top-up)
+ */
+export async function getWallet(userId, limitCount = 50) {
+    const walletRef = getWalletRef(userId);
+
+    const [walletSnap, transactionsSnap] = await Promise.all([
+        walletRef.get(),
+        walletRef.collection(TRANSACTIONS_SUBCOLLECTION)
+            .orderBy('sequence', 'desc')
+            .limit(limitCount)
+            .get()
+    ]);
+
+    return {
+        balance: walletSnap.exists ? walletSnap.data().balance : 0,
+        transactions: transactionsSnap.docs.map(serializeWalletTransaction)
+    };
+}
@@ -0,0 +1,90 @@
+/**
+ * Production Batches Serverless Function
+ *
+ * The shop owner records each day's batches of paneer, dahi, chaas and
+ * lassi, which adds them to stock, and sees what is left to sell today
+ * and what has expired and must be thrown away.
+ *
+ * SECURITY FEATURES:
+ * - Owner only (`admin` custom claim)
+ * - Batches validated with the shared batch rules
+ *
+ * @module api/batches
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { validateBatch } from '../js/batches.js';
+import { getShopDateKey } from '../js/utils.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { requireOwner } from './_lib/auth.js';
+import { addBatch, getBatchOverview } from './_lib/batches.js';
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/batches - What is left of each product's batches (owner only)
+ * POST /api/batches - Record a batch (owner only)
+ *      Body: { productId, variantId?, quantity, madeOn, shelfLifeDays }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            await requireOwner(req);
+
+            const today = getShopDateKey();
+            const products = await getBatchOverview(today);
+            return res.status(200).json({ success: true, date: today, products });
+        }
+
+        if (req.method === 'POST') {
+            const owner = await requireOwner(req);
+            const { productId, variantId = null, quantity, madeOn, shelfLifeDays } = req.body || {};
+
+            if (typeof productId !== 'string' || !productId ||
+                (variantId !== null && typeof variantId !== 'string')) {
+                throw new ApiError(400, 'INVALID_PRODUCT', 'Please choose a product.');
+            }
+
+            const validation = validateBatch({ quantity, madeOn, shelfLifeDays }, getShopDateKey());
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid batch',
+                    errors: validation.errors
+                });
+            }
+
+            const result = await addBatch(
+                { productId, variantId, quantity, madeOn, shelfLifeDays },
+                { uid: owner.uid, role: 'owner' }
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: 'Batch recorded',
+                ...result
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process batch request. Please try again.');
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Order Cancellation Serverless Function
+ * 
+ * Lets a customer cancel their own order before the cancellation cutoff
+ * (CONFIG.CANCELLATION_CUTOFF_HOURS before the delivery slot starts).
+ * The reason is recorded in the order's status history and the shop
+ * owner is notified through the same channel as new orders.
+ * 
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (only the order's owner can cancel)
+ * - Status and cutoff checks run inside a Firestore transaction
+ * - Reasons are limited to CONFIG.CANCELLATION_REASONS
+ * 
+ * @module api/cancel-order
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from '../js/config.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser } from './_lib/auth.js';
+import { cancelOrderByCustomer } from './_lib/orders.js';
+import { sendCancellationToOwner } from './_lib/notifications.js';
+import { refundOnlinePayment } from './_lib/online-payment.js';
+
+/**
+ * Maximum length of the free-text details for the "Other" reason
+ * @constant {number}
+ */
+const MAX_DETAILS_LENGTH = 300;
+
+/**
+ * Validate the cancellation request and build the reason to record
+ * 
+ * @param {Object} body - Request body {orderId, reason, details}
+ * @returns {Object} {orderId, reason}
+ * @throws {ApiError} 400 if the order ID or reason is missing or invalid
+ */
+function parseCancellation(body) {
+    const { orderId, reason, details } = body || {};
+
+    if (typeof orderId !== 'string' || !orderId) {
+        throw new ApiError(400, 'INVALID_ORDER_ID', 'Order ID is required.');
+    }
+
+    if (!CONFIG.CANCELLATION_REASONS.includes(reason)) {
+        throw new ApiError(400, 'INVALID_REASON', 'Please choose a reason for cancelling.');
+    }
+
+    const extra = typeof details === 'string' ? details.trim().slice(0, MAX_DETAILS_LENGTH) : '';
+
+    return {
+        orderId,
+        reason: extra ? `${reason}: ${extra}` : reason
+    };
+}
+
+/**
+ * Main serverless function handler
+ * 
+ * POST /api/cancel-order
+ * Headers: Authorization: Bearer <Firebase ID token>
+ * Body: { orderId, reason, details? }
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        const user = await verifyRequestUser(req);
+        const { orderId, reason } = parseCancellation(req.body);
+
+        // Throws 404 / 409 if the order can't be cancelled by this user
+        const order = await cancelOrderByCustomer(orderId, { userId: user.uid, reason });
+
+        // Orders paid online are refunded through the provider (a failed
+        // refund is logged and does not undo the cancellation)
+        await refundOnlinePayment(orderId)
+            .catch(error => console.error(`Refund failed for ${orderId}:`, error));
+
+        // Don't fail the cancellation if the notification fails
+        const notified = await sendCancellationToOwner(order, reason);
+        console.log('Cancellation notification sent:', notified);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Order cancelled',
+            orderId
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to cancel order. Please try again.');
+    }
+}
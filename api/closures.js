@@ -0,0 +1,101 @@
+/**
+ * Shop Closures Serverless Function
+ *
+ * Lists the days the shop is closed, for the notice on the home and
+ * products pages and the delivery date picker at checkout, and lets the
+ * shop owner add and remove closures. Orders for closed dates are
+ * rejected in /api/submit-order and no subscription orders are generated
+ * for them.
+ *
+ * SECURITY FEATURES:
+ * - Listing closures needs no sign-in and shows dates and reasons only
+ * - Adding and removing closures is owner only (`admin` custom claim)
+ * - Closures validated with the shared delivery rules
+ *
+ * @module api/closures
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { validateClosure } from '../js/delivery-schedule.js';
+import { getShopDateKey } from '../js/utils.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { requireOwner } from './_lib/auth.js';
+import { addClosure, getClosures, removeClosure } from './_lib/closures.js';
+
+/**
+ * Main serverless function handler
+ *
+ * GET    /api/closures - Closures that have not ended yet
+ * POST   /api/closures - Add a closure (owner only)
+ *        Body: { startDate, endDate, reason }
+ * DELETE /api/closures?closureId=ID - Remove a closure (owner only)
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const closures = await getClosures(getShopDateKey());
+            return res.status(200).json({ success: true, closures });
+        }
+
+        if (req.method === 'POST') {
+            const owner = await requireOwner(req);
+            const { startDate, endDate, reason } = req.body || {};
+
+            const validation = validateClosure({ startDate, endDate, reason }, getShopDateKey());
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid closure',
+                    errors: validation.errors
+                });
+            }
+
+            const result = await addClosure(
+                { startDate, endDate, reason },
+                { uid: owner.uid, role: 'owner' }
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: 'Closure added',
+                ...result
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            await requireOwner(req);
+
+            const closureId = req.query.closureId;
+            if (typeof closureId !== 'string' || !closureId) {
+                throw new ApiError(400, 'INVALID_CLOSURE_ID', 'Closure ID is required.');
+            }
+
+            await removeClosure(closureId);
+            return res.status(200).json({
+                success: true,
+                message: 'Closure removed'
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process closure request. Please try again.');
+    }
+}
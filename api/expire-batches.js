@@ -0,0 +1,59 @@
+/**
+ * Batch Expiry (Scheduled)
+ *
+ * Runs just after midnight shop time via Vercel Cron (see vercel.json).
+ * Batches past their shelf life are marked expired and whatever was left
+ * of them is taken out of the product's stock, so expired paneer or dahi
+ * can no longer be ordered.
+ *
+ * Safe to re-run: a batch is only expired once.
+ *
+ * SECURITY: Only callable with the CRON_SECRET bearer token.
+ *
+ * @module api/expire-batches
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { getShopDateKey } from '../js/utils.js';
+import { sendError } from './_lib/errors.js';
+import { verifyCronRequest } from './_lib/auth.js';
+import { expireBatches } from './_lib/batches.js';
+
+/**
+ * Main serverless function handler
+ *
+ * GET /api/expire-batches
+ * Headers: Authorization: Bearer <CRON_SECRET>
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // Vercel Cron sends GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        verifyCronRequest(req);
+
+        const today = getShopDateKey();
+        const results = await expireBatches(today);
+
+        console.log(`Expired batches for ${today}:`, results.map(result =>
+            `${result.productName} (${result.unit}): ${result.discarded} discarded`
+        ));
+
+        return res.status(200).json({
+            success: true,
+            date: today,
+            results
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to expire batches.');
+    }
+}
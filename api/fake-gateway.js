@@ -0,0 +1,98 @@
+/**
+ * Fake Payment Gateway Serverless Function
+ *
+ * Plays the part of the payment gateway for the "fake" provider: when the
+ * customer presses Pay or Fail on fake-gateway.html, this applies the
+ * matching payment event to the order, just as /api/payment-webhook does
+ * when a real gateway reports a card or UPI payment. The event is applied
+ * in-process rather than posted over HTTP, so it can never be sent to
+ * another host. Nothing leaves the app.
+ *
+ * SECURITY FEATURES:
+ * - Only answers while online payment is on and PAYMENT_PROVIDER is set
+ *   to "fake"
+ * - The checkout details must carry the signature created with the intent,
+ *   so the amount cannot be changed on the page
+ *
+ * @module api/fake-gateway
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import process from 'process';
+import { CONFIG } from '../js/config.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { PAYMENT_EVENT } from './_lib/payments/index.js';
+import { fakeProvider, verifyFakeCheckout } from './_lib/payments/fake.js';
+import { applyPaymentEvent, refundOnlinePayment } from './_lib/online-payment.js';
+
+/**
+ * Outcomes the fake checkout page can ask for
+ * @constant {Object}
+ */
+const OUTCOME_EVENTS = Object.freeze({
+    succeeded: PAYMENT_EVENT.SUCCEEDED,
+    failed: PAYMENT_EVENT.FAILED
+});
+
+/**
+ * Main serverless function handler
+ *
+ * POST /api/fake-gateway
+ * Body: { intentId, orderId, amount, signature, outcome: "succeeded" | "failed" }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        // Only when the fake provider was chosen explicitly
+        if (!CONFIG.FEATURES.ONLINE_PAYMENT || process.env.PAYMENT_PROVIDER !== fakeProvider.name) {
+            throw new ApiError(404, 'NOT_FOUND', 'Not found.');
+        }
+
+        const { intentId, orderId, amount, signature, outcome } = req.body || {};
+        const type = OUTCOME_EVENTS[outcome];
+
+        if (!type) {
+            throw new ApiError(400, 'INVALID_OUTCOME', 'Outcome must be "succeeded" or "failed".');
+        }
+
+        if (!verifyFakeCheckout({ intentId, orderId, amount, signature })) {
+            throw new ApiError(400, 'INVALID_SIGNATURE', 'This payment link is not valid.');
+        }
+
+        // Apply the event the way /api/payment-webhook would
+        const { refundDue } = await applyPaymentEvent({ type, intentId, orderId, amount: Number(amount) });
+
+        if (refundDue) {
+            await refundOnlinePayment(orderId);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: outcome === 'succeeded' ? 'Payment succeeded' : 'Payment failed',
+            orderId
+        });
+    } catch (error) {
+        return sendError(res, error, 'Fake payment failed. Please try again.');
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Subscription Order Generator (Scheduled)
+ * 
+ * Runs every evening via Vercel Cron (see vercel.json) and creates the
+ * next day's orders from active subscriptions. Shop holidays
+ * (CONFIG.SHOP_HOLIDAYS) and the owner's closures (/api/closures) are
+ * skipped entirely, out-of-stock products are left out of the generated
+ * orders, and the owner gets one summary email.
+ * 
+ * Safe to re-run: each order uses a deterministic idempotency key per
+ * subscription and date, so a retry returns the existing orders.
+ * 
+ * SECURITY: Only callable with the CRON_SECRET bearer token.
+ * 
+ * @module api/generate-subscription-orders
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { getShopDateKey } from '../js/utils.js';
+import { addDaysToDateKey, getShopHoliday } from '../js/delivery-schedule.js';
+import { sendError } from './_lib/errors.js';
+import { verifyCronRequest } from './_lib/auth.js';
+import { generateSubscriptionOrders } from './_lib/subscriptions.js';
+import { getClosures } from './_lib/closures.js';
+import { sendSubscriptionSummaryToOwner } from './_lib/notifications.js';
+
+/**
+ * Main serverless function handler
+ * 
+ * GET /api/generate-subscription-orders
+ * Headers: Authorization: Bearer <CRON_SECRET>
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // Vercel Cron sends GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        verifyCronRequest(req);
+
+        const deliveryDate = addDaysToDateKey(getShopDateKey(), 1);
+        const holiday = getShopHoliday(deliveryDate, await getClosures(deliveryDate));
+
+        if (holiday) {
+            console.log(`No subscription orders for ${deliveryDate}: ${holiday.name}`);
+            return res.status(200).json({
+                success: true,
+                deliveryDate,
+                holiday: holiday.name,
+                results: []
+            });
+        }
+
+        const results = await generateSubscriptionOrders(deliveryDate);
+
+        if (results.length > 0) {
+            await sendSubscriptionSummaryToOwner(deliveryDate, results);
+        }
+
+        const count = result => results.filter(r => r.result === result).length;
+        console.log(`Subscription orders for ${deliveryDate}:`, {
+            created: count('created'),
+            existing: count('existing'),
+            skipped: count('skipped'),
+            failed: count('failed')
+        });
+
+        return res.status(200).json({
+            success: true,
+            deliveryDate,
+            // Orders are summarized, not returned in full
+            results: results.map(({ order: _order, customer: _customer, ...result }) => result)
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to generate subscription orders.');
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Inventory Serverless Function
+ *
+ * The shop owner sees the stock of every product and pack size, and sets
+ * the count after a delivery from the supplier or a stock take. Orders
+ * take counted stock themselves (/api/submit-order) and cancellations
+ * give it back.
+ *
+ * SECURITY FEATURES:
+ * - Owner only (`admin` custom claim)
+ * - Counts validated as whole numbers
+ *
+ * @module api/inventory
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { ApiError, sendError } from './_lib/errors.js';
+import { requireOwner } from './_lib/auth.js';
+import { getInventory, setStock } from './_lib/inventory.js';
+
+/**
+ * Largest stock count the owner can enter
+ * @constant {number}
+ */
+const MAX_STOCK = 100000;
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/inventory - Stock of every product and pack size (owner only)
+ * POST /api/inventory - Set a stock count (owner only)
+ *      Body: { productId, variantId?, stock } (stock null stops counting)
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            await requireOwner(req);
+
+            const inventory = await getInventory();
+            return res.status(200).json({ success: true, inventory });
+        }
+
+        if (req.method === 'POST') {
+            await requireOwner(req);
+            const { productId, variantId = null, stock } = req.body || {};
+
+            if (typeof productId !== 'string' || !productId ||
+                (variantId !== null && typeof variantId !== 'string')) {
+                throw new ApiError(400, 'INVALID_PRODUCT', 'Please choose a product.');
+            }
+
+            if (stock !== null && (!Number.isInteger(stock) || stock < 0 || stock > MAX_STOCK)) {
+                throw new ApiError(400, 'INVALID_STOCK', `Stock must be a whole number from 0 to ${MAX_STOCK}.`);
+            }
+
+            const update = await setStock(productId, variantId, stock);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Stock updated',
+                inStock: update.inStock
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process inventory request. Please try again.');
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Customer Ledger (Khata) Serverless Function
+ *
+ * Customers read their own monthly statement. The shop owner can read
+ * any customer's statement, list all accounts, record payments and turn
+ * monthly billing on or off. Debits are never posted here: they are
+ * written when an order is marked delivered (/api/update-order-status).
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (customers only see their own account)
+ * - Writes and the account list require the owner's `admin` custom claim
+ * - Payments validated with the shared ledger rules
+ *
+ * @module api/ledger
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { getShopMonthKey, isValidStatementMonth, validatePayment } from '../js/ledger.js';
+import { CONFIG } from '../js/config.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser, requireOwner, resolveTargetUserId } from './_lib/auth.js';
+import {
+    getStatement,
+    listLedgerAccounts,
+    recordPayment,
+    setMonthlyBilling
+} from './_lib/ledger.js';
+
+/**
+ * Maximum length of a payment reference (UTR, cheque number, note)
+ * @constant {number}
+ */
+const MAX_REFERENCE_LENGTH = 100;
+
+/**
+ * Main serverless function handler
+ *
+ * GET   /api/ledger?month=YYYY-MM&userId=...  - Statement (userId: owner only)
+ * GET   /api/ledger?view=accounts             - All accounts (owner only)
+ * POST  /api/ledger                           - Record a payment (owner only)
+ *       Body: { userId, amount, mode, reference? }
+ * PATCH /api/ledger                           - Monthly billing on/off (owner only)
+ *       Body: { email, monthlyBilling }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET' && req.query.view === 'accounts') {
+            await requireOwner(req);
+            const accounts = await listLedgerAccounts();
+            return res.status(200).json({ success: true, accounts });
+        }
+
+        if (req.method === 'GET') {
+            const user = await verifyRequestUser(req);
+            const userId = resolveTargetUserId(user, req.query.userId);
+            const month = req.query.month || getShopMonthKey();
+
+            if (!isValidStatementMonth(month)) {
+                throw new ApiError(400, 'INVALID_MONTH', 'Month must be in YYYY-MM format.');
+            }
+
+            const statement = await getStatement(userId, month);
+            return res.status(200).json({ success: true, statement });
+        }
+
+        if (req.method === 'POST') {
+            const owner = await requireOwner(req);
+            const { userId, amount, mode, reference } = req.body || {};
+
+            if (typeof userId !== 'string' || !userId) {
+                throw new ApiError(400, 'INVALID_USER_ID', 'Customer is required.');
+            }
+
+            const validation = validatePayment({ amount, mode });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid payment',
+                    errors: validation.errors
+                });
+            }
+
+            const result = await recordPayment(userId, {
+                amount,
+                mode,
+                reference: typeof reference === 'string' ? reference.trim().slice(0, MAX_REFERENCE_LENGTH) : ''
+            }, { uid: owner.uid, role: 'owner' });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Payment recorded',
+                ...result
+            });
+        }
+
+        if (req.method === 'PATCH') {
+            await requireOwner(req);
+            const { email, monthlyBilling } = req.body || {};
+
+            if (typeof email !== 'string' || !CONFIG.EMAIL_REGEX.test(email.trim())) {
+                throw new ApiError(400, 'INVALID_EMAIL', 'Please enter the customer\'s email address.');
+            }
+
+            if (typeof monthlyBilling !== 'boolean') {
+                throw new ApiError(400, 'INVALID_MONTHLY_BILLING', 'monthlyBilling must be true or false.');
+            }
+
+            const account = await setMonthlyBilling(email.trim().toLowerCase(), monthlyBilling);
+            return res.status(200).json({
+                success: true,
+                message: monthlyBilling ? 'Monthly billing enabled' : 'Monthly billing disabled',
+                account
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process account request. Please try again.');
+    }
+}
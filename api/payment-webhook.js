@@ -0,0 +1,69 @@
+/**
+ * Payment Webhook Serverless Function
+ *
+ * Receives payment events from the payment provider (see
+ * api/_lib/payments). A successful payment confirms its order; a payment
+ * that arrives after the order was cancelled is refunded straight away.
+ *
+ * SECURITY FEATURES:
+ * - The provider's signature is checked over the raw request body before
+ *   anything is parsed (Vercel's body parser is disabled for this reason)
+ * - The intent and amount must match what is stored on the order
+ * - Events are idempotent, so provider retries are harmless
+ *
+ * @module api/payment-webhook
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { sendError } from './_lib/errors.js';
+import { getPaymentProvider, readRawBody } from './_lib/payments/index.js';
+import { applyPaymentEvent, refundOnlinePayment } from './_lib/online-payment.js';
+
+/**
+ * Vercel function config: keep the raw body for signature verification
+ * @constant {Object}
+ */
+export const config = {
+    api: {
+        bodyParser: false
+    }
+};
+
+/**
+ * Main serverless function handler
+ *
+ * POST /api/payment-webhook
+ * Headers: the provider's signature header
+ * Body: the provider's event (raw JSON)
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // Called by the payment provider, never by browsers: no CORS headers
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        const rawBody = await readRawBody(req);
+
+        // Throws 400 INVALID_SIGNATURE before the body is trusted
+        const event = getPaymentProvider().verifyWebhook(rawBody, req.headers);
+        const { applied, refundDue } = await applyPaymentEvent(event);
+
+        if (refundDue) {
+            await refundOnlinePayment(event.orderId);
+        }
+
+        console.log('Payment webhook processed:', { type: event.type, orderId: event.orderId, applied });
+
+        return res.status(200).json({ success: true, received: true, applied });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process payment event.');
+    }
+}
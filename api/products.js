@@ -13,32 +13,7 @@
  * @returns {Object} { products: Array<Product> }
  */
 
-import { initializeApp, getApps, cert } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
-
-// ==================== Firebase Admin Initialization ====================
-
-// Initialize Firebase Admin (only once)
-if (!getApps().length) {
-    // In production, use service account from environment variable
-    // In development, can use default credentials
-    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
-        ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
-        : null;
-
-    if (serviceAccount) {
-        initializeApp({
-            credential: cert(serviceAccount)
-        });
-    } else {
-        // Fallback: Use Firebase config from environment
-        initializeApp({
-            projectId: process.env.VITE_FIREBASE_PROJECT_ID
-        });
-    }
-}
-
-const db = getFirestore();
+import { db } from './_lib/firebase-admin.js';
 
 // ==================== Helper Functions ====================
 
@@ -93,7 +68,12 @@ async function getProductsFromFirestore() {
  *       nameHindi: "भैंस का घी",
  *       nameMarathi: "म्हशीचे तूप",
  *       price: 800,
+ *       priceTiers: [{ minQuantity: 5, price: 760 }],
  *       unit: "1kg",
+ *       variants: [
+ *         { id: "1kg", unit: "1kg", price: 800, sku: "BG-1000", inStock: true, priceTiers: [...] },
+ *         { id: "500g", unit: "500g", price: 410, sku: "BG-500", inStock: true, priceTiers: [] }
+ *       ],
  *       category: "premium",
  *       inStock: true,
  *       featured: true,
@@ -0,0 +1,93 @@
+/**
+ * Delivery Slot Availability Serverless Function
+ *
+ * Tells checkout how many more orders each delivery slot can take, so
+ * full slots can be disabled, and lets the shop owner change a slot's
+ * capacity for one date (e.g. when a delivery boy is on leave). Orders
+ * book their place in /api/submit-order, which rejects a slot that filled
+ * up in the meantime.
+ *
+ * SECURITY FEATURES:
+ * - Reading availability needs no sign-in and shows counts only
+ * - Changing capacity is owner only (`admin` custom claim)
+ *
+ * @module api/slot-availability
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { isDateKey } from '../js/delivery-schedule.js';
+import { getShopDateKey } from '../js/utils.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { requireOwner } from './_lib/auth.js';
+import { getDeliverySlotAvailability, setSlotCapacity } from './_lib/delivery-slots.js';
+
+/**
+ * Largest capacity the owner can set for one slot
+ * @constant {number}
+ */
+const MAX_SLOT_CAPACITY = 500;
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/slot-availability?date=YYYY-MM-DD - Room left in each slot on a date
+ * POST /api/slot-availability - Set a slot's capacity for a date (owner only)
+ *      Body: { date, slotId, capacity } (capacity null restores the usual capacity)
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const { date } = req.query;
+
+            if (!isDateKey(date)) {
+                throw new ApiError(400, 'INVALID_DATE', 'Please choose a valid date.');
+            }
+
+            const slots = await getDeliverySlotAvailability(date);
+            return res.status(200).json({ success: true, slots });
+        }
+
+        if (req.method === 'POST') {
+            await requireOwner(req);
+            const { date, slotId, capacity = null } = req.body || {};
+
+            if (!isDateKey(date) || date < getShopDateKey()) {
+                throw new ApiError(400, 'INVALID_DATE', 'Please choose today or a later date.');
+            }
+
+            if (capacity !== null &&
+                (!Number.isInteger(capacity) || capacity < 0 || capacity > MAX_SLOT_CAPACITY)) {
+                throw new ApiError(400, 'INVALID_CAPACITY', `Capacity must be a whole number from 0 to ${MAX_SLOT_CAPACITY}.`);
+            }
+
+            const slot = await setSlotCapacity(date, slotId, capacity);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Slot capacity updated',
+                slot
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process slot availability request. Please try again.');
+    }
+}
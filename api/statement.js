@@ -0,0 +1,107 @@
+/**
+ * Monthly Statement Serverless Function
+ *
+ * Returns a customer's monthly statement as a printable HTML page, or
+ * (for the shop owner) emails it to the customer.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (customers only get their own statement)
+ * - Emailing requires the owner's `admin` custom claim
+ *
+ * @module api/statement
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { getShopMonthKey, isValidStatementMonth } from '../js/ledger.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser, requireOwner, resolveTargetUserId } from './_lib/auth.js';
+import { getStatement } from './_lib/ledger.js';
+import { renderStatementHtml } from './_lib/statements.js';
+import { sendStatementToCustomer } from './_lib/notifications.js';
+
+/**
+ * Load a statement that has an account behind it
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {string} month - Month in YYYY-MM format (default: current shop month)
+ * @returns {Promise<Object>} Statement from getStatement
+ * @throws {ApiError} 400 for a malformed month, 404 if the customer has no account
+ */
+async function loadStatement(userId, month = getShopMonthKey()) {
+    if (!isValidStatementMonth(month)) {
+        throw new ApiError(400, 'INVALID_MONTH', 'Month must be in YYYY-MM format.');
+    }
+
+    const statement = await getStatement(userId, month);
+    if (!statement.account) {
+        throw new ApiError(404, 'LEDGER_NOT_FOUND', 'There is no account to show yet.');
+    }
+
+    return statement;
+}
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/statement?month=YYYY-MM&userId=...  - Statement as HTML (userId: owner only)
+ * POST /api/statement                           - Email the statement (owner only)
+ *      Body: { userId, month }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const user = await verifyRequestUser(req);
+            const userId = resolveTargetUserId(user, req.query.userId);
+            const statement = await loadStatement(userId, req.query.month);
+
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.setHeader('Cache-Control', 'private, no-store');
+            return res.status(200).send(renderStatementHtml(statement, { printable: true }));
+        }
+
+        if (req.method === 'POST') {
+            await requireOwner(req);
+            const { userId, month } = req.body || {};
+
+            if (typeof userId !== 'string' || !userId) {
+                throw new ApiError(400, 'INVALID_USER_ID', 'Customer is required.');
+            }
+
+            const statement = await loadStatement(userId, month);
+            if (!statement.account.customer?.email) {
+                throw new ApiError(409, 'NO_CUSTOMER_EMAIL', 'This customer has no email address on file.');
+            }
+
+            const sent = await sendStatementToCustomer(statement, renderStatementHtml(statement));
+            if (!sent) {
+                throw new ApiError(502, 'EMAIL_FAILED', 'The statement could not be emailed. Please try again.');
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: `Statement sent to ${statement.account.customer.email}`
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to load statement. Please try again.');
+    }
+}
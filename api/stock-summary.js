@@ -0,0 +1,58 @@
+/**
+ * Daily Stock Summary (Scheduled)
+ *
+ * Runs at 07:00 shop time via Vercel Cron (see vercel.json), after the nightly
+ * batch expiry. Emails the shop owner one list of every counted product
+ * and pack size that is low or sold out, so nothing is forgotten when
+ * ordering from suppliers. No email is sent when everything is stocked.
+ *
+ * SECURITY: Only callable with the CRON_SECRET bearer token.
+ *
+ * @module api/stock-summary
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { getShopDateKey } from '../js/utils.js';
+import { sendError } from './_lib/errors.js';
+import { verifyCronRequest } from './_lib/auth.js';
+import { getLowStock } from './_lib/inventory.js';
+import { sendLowStockSummaryToOwner } from './_lib/notifications.js';
+
+/**
+ * Main serverless function handler
+ *
+ * GET /api/stock-summary
+ * Headers: Authorization: Bearer <CRON_SECRET>
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // Vercel Cron sends GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        verifyCronRequest(req);
+
+        const today = getShopDateKey();
+        const items = await getLowStock();
+
+        if (items.length > 0) {
+            await sendLowStockSummaryToOwner(today, items);
+        }
+
+        return res.status(200).json({
+            success: true,
+            date: today,
+            items
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to send the stock summary.');
+    }
+}
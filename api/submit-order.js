@@ -1,11 +1,35 @@
 /**
  * Order Submission Serverless Function
  * 
- * This Vercel serverless function handles order submission and sends
- * notifications via WhatsApp and email.
+ * This Vercel serverless function handles order submission, persists the
+ * order to Firestore and sends notifications via WhatsApp and email.
+ * It is the only writer of the `orders` collection.
  * 
  * SECURITY FEATURES:
+ * - Firebase ID token verification (the order's userId comes from the token)
  * - Input validation and sanitization
+ * - Server-side pricing (item prices, delivery charge and total are
+ *   recomputed from Firestore; the browser's totals are only checked)
+ * - Coupons are re-validated against the server prices, and their usage
+ *   limits checked in the transaction that creates the order
+ * - Idempotency keys (a retried submission returns the original order and
+ *   never re-sends notifications)
+ * - Monthly account (khata) orders only for customers the shop has
+ *   enabled for monthly billing
+ * - Prepaid wallet orders are charged in the same transaction that
+ *   creates them, and rejected if the balance is too low
+ * - Counted stock is taken in the same transaction, so the last units
+ *   cannot be sold twice
+ * - Delivery dates and slots are checked against shop holidays, the
+ *   owner's closures, closed days and slot cutoffs (js/delivery-schedule.js)
+ * - The address must be in a delivery zone (js/delivery-zones.js), which
+ *   sets the minimum order, delivery charge and the slots offered
+ * - Delivery slots have a daily capacity; the slot is booked in the same
+ *   transaction, so an order into a slot that filled up meanwhile is
+ *   rejected (409 SLOT_FULL)
+ * - UPI orders wait in `awaiting-payment` until the owner confirms the
+ *   payment with its UTR; "Pay Online" orders wait until the payment
+ *   provider's webhook confirms them
  * - Rate limiting (5 requests per hour per IP)
  * - CORS restrictions
  * - Environment variable protection
@@ -19,47 +43,37 @@
  * @version 1.0.0
  */
 
-import { Resend } from 'resend';
-// import twilio from 'twilio'; // DISABLED: Uncomment to enable Twilio WhatsApp
+import { ApiError, sendError } from './_lib/errors.js';
+import { priceOrder, findPriceMismatches } from './_lib/pricing.js';
+import {
+    createOrder,
+    findOrderByIdempotencyKey,
+    isValidIdempotencyKey
+} from './_lib/orders.js';
+import { verifyRequestUser } from './_lib/auth.js';
+import { isMonthlyBillingEnabled } from './_lib/ledger.js';
+import { getClosures } from './_lib/closures.js';
+import { needsPaymentIntent, startOnlinePayment } from './_lib/online-payment.js';
+import { sendEmailToOwner, sendEmailConfirmation } from './_lib/notifications.js';
+import { getDeliverySlot, checkDeliveryChoice, isDateKey } from '../js/delivery-schedule.js';
+import {
+    checkDeliveryArea,
+    checkZoneSlot,
+    formatDeliveryAddress,
+    normalizePincode
+} from '../js/delivery-zones.js';
+import { PAYMENT_METHOD, getPaymentMethod } from '../js/payment-methods.js';
+import { ORDER_STATUS } from '../js/order-status.js';
+import { getShopDateKey } from '../js/utils.js';
 
 // ==================== Configuration ====================
 
-const SHOP_OWNER_PHONE = process.env.SHOP_OWNER_PHONE || '+919320056114';
-
-// ==================== Twilio Configuration (DISABLED) ====================
-// To re-enable Twilio WhatsApp notifications:
-// 1. Uncomment the import statement above
-// 2. Uncomment the configuration below
-// 3. Uncomment the twilioClient initialization
-// 4. Uncomment the sendWhatsAppNotification function (line ~130)
-// 5. Update the handler to call sendWhatsAppNotification (line ~330)
-// 6. Add Twilio environment variables to Vercel:
-//    - TWILIO_ACCOUNT_SID
-//    - TWILIO_AUTH_TOKEN
-//    - TWILIO_WHATSAPP_FROM
-//    - TWILIO_WHATSAPP_TO
-
-// const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || '';
-// const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || '';
-// const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM || 'whatsapp:+14155238886';
-// const TWILIO_WHATSAPP_TO = process.env.TWILIO_WHATSAPP_TO || `whatsapp:${SHOP_OWNER_PHONE}`;
-
-// Initialize Twilio (DISABLED)
-// const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN 
-//   ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN)
-//   : null;
-
-// ==================== Resend Configuration ====================
-
-const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
-const RESEND_FROM_EMAIL = process.env.RESEND_FROM_EMAIL || 'orders@omyashodadairy.com';
-
-// Initialize Resend
-const resend = RESEND_API_KEY ? new Resend(RESEND_API_KEY) : null;
-
 // Rate limiting store (in-memory, resets on function cold start)
 const rateLimitStore = new Map();
 
+// Longest coupon code accepted
+const MAX_COUPON_CODE_LENGTH = 30;
+
 // ==================== Rate Limiting ====================
 
 /**
@@ -109,18 +123,50 @@ function validateOrderData(orderData) {
     const errors = [];
 
     // Required fields
-    if (!orderData.orderId) errors.push('Order ID is required');
-    if (!orderData.userId) errors.push('User ID is required');
     if (!orderData.customer) errors.push('Customer details are required');
     if (!orderData.items || !Array.isArray(orderData.items) || orderData.items.length === 0) {
         errors.push('Order must contain at least one item');
     }
 
+    // Item validation (prices are recomputed server-side, only IDs and quantities matter)
+    if (Array.isArray(orderData.items)) {
+        orderData.items.forEach((item, index) => {
+            if (!item || typeof item.productId !== 'string' || !item.productId) {
+                errors.push(`Item ${index + 1} has no product ID`);
+            } else if (item.variantId != null && typeof item.variantId !== 'string') {
+                errors.push(`Invalid pack size for ${item.productId}`);
+            } else if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 99) {
+                errors.push(`Invalid quantity for ${item.productId}`);
+            }
+        });
+    }
+
+    // Delivery slot must be one of the configured slots
+    if (!getDeliverySlot(orderData.deliverySlotId)) {
+        errors.push('Please select a valid delivery slot');
+    }
+
+    // Delivery date is checked against holidays and cutoffs separately
+    if (!isDateKey(orderData.deliveryDate)) {
+        errors.push('Please select a delivery date');
+    }
+
+    // Payment method must be one of the configured methods
+    if (!getPaymentMethod(orderData.paymentMethodId)) {
+        errors.push('Please select a valid payment method');
+    }
+
     // Customer validation
     if (orderData.customer) {
         if (!orderData.customer.name) errors.push('Customer name is required');
         if (!orderData.customer.phone) errors.push('Customer phone is required');
-        if (!orderData.customer.address) errors.push('Customer address is required');
+        if (!orderData.customer.addressLine) errors.push('Customer address is required');
+    }
+
+    // Coupon code is optional; its rules are checked when pricing
+    if (orderData.couponCode !== undefined &&
+        (typeof orderData.couponCode !== 'string' || orderData.couponCode.length > MAX_COUPON_CODE_LENGTH)) {
+        errors.push('Invalid coupon code');
     }
 
     // Validate totals
@@ -134,257 +180,82 @@ function validateOrderData(orderData) {
     };
 }
 
-// ==================== WhatsApp Notification (DISABLED) ====================
-
 /**
- * Send WhatsApp notification via Twilio (DISABLED)
- * 
- * To re-enable:
- * 1. Uncomment this entire function
- * 2. Uncomment Twilio import and initialization at top of file
- * 3. Uncomment the sendWhatsAppNotification call in the handler (line ~330)
- * 4. Add Twilio environment variables to Vercel
+ * Build the order record to persist
  * 
- * Twilio provides reliable WhatsApp messaging with:
- * - Free trial: $15 credit (~1000 messages)
- * - Production: ~₹3 per message
- * - Automatic fallback to email if Twilio fails
+ * SECURITY: Only whitelisted fields are copied from the request body.
+ * Prices come exclusively from the server-side pricing.
  * 
- * Setup: https://www.twilio.com/console/sms/whatsapp/sandbox
- * 
- * @param {Object} orderData - Order details
- * @returns {Promise<boolean>} Success status
+ * @param {Object} submittedOrder - Validated request body
+ * @param {Object} pricing - Server pricing from priceOrder
+ * @param {string} userId - Verified user ID from the ID token
+ * @param {Object} zone - Delivery zone of the customer's address
+ * @returns {Object} Order data ready for createOrder
  */
-/*
-async function sendWhatsAppNotification(orderData) {
-    if (!twilioClient) {
-        console.warn('Twilio not configured, skipping WhatsApp notification');
-        return false;
-    }
-
-    try {
-        // Format order items
-        const itemsList = orderData.items
-            .map(item => `• ${item.productNameHindi || item.productName} (${item.quantity}x) - ₹${item.subtotal}`)
-            .join('\n');
-
-        // Create message
-        const message = `
-🛒 *NEW ORDER - OM Yashoda Dairy*
-
-*Order ID:* ${orderData.orderId}
-*Time:* ${new Date(orderData.createdAt).toLocaleString('en-IN')}
-
-*Customer Details:*
-Name: ${orderData.customer.name}
-Phone: ${orderData.customer.phone}
-Address: ${orderData.customer.address}
-${orderData.customer.landmark ? `Landmark: ${orderData.customer.landmark}` : ''}
-
-*Items:*
-${itemsList}
-
-*Total: ₹${orderData.total}*
-
-Delivery: ${orderData.deliverySlot}
-Payment: Cash on Delivery
-
-${orderData.specialInstructions ? `Note: ${orderData.specialInstructions}` : ''}
-    `.trim();
-
-        // Send via Twilio WhatsApp API
-        const twilioMessage = await twilioClient.messages.create({
-            body: message,
-            from: TWILIO_WHATSAPP_FROM,
-            to: TWILIO_WHATSAPP_TO
-        });
-
-        console.log('WhatsApp notification sent successfully:', twilioMessage.sid);
-        return true;
-
-    } catch (error) {
-        console.error('Error sending WhatsApp notification:', error.message);
-
-        // If Twilio fails, try email as fallback
-        console.log('Attempting email fallback...');
-        try {
-            await sendEmailToOwner(orderData);
-            return true;
-        } catch (emailError) {
-            console.error('Email fallback also failed:', emailError.message);
-            return false;
-        }
-    }
-}
-*/
-
-/**
- * Send email notification to shop owner (fallback)
- * 
- * @param {Object} orderData - Order details
- * @returns {Promise<boolean>} Success status
- */
-async function sendEmailToOwner(orderData) {
-    if (!resend) {
-        console.log('Resend not configured');
-        return false;
-    }
-
-    try {
-        const itemsList = orderData.items
-            .map(item => `<li>${item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}</li>`)
-            .join('');
-
-        const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #EF4444; color: white; padding: 20px; text-align: center; }
-          .content { padding: 20px; background: #f9f9f9; }
-          .order-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
-          .total { font-size: 20px; font-weight: bold; color: #2563EB; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🛒 NEW ORDER!</h1>
-          </div>
-          
-          <div class="content">
-            <div class="order-details">
-              <h3>Order #${orderData.orderId}</h3>
-              <p><strong>Time:</strong> ${new Date(orderData.createdAt).toLocaleString('en-IN')}</p>
-              
-              <h4>Customer Details:</h4>
-              <p>
-                <strong>Name:</strong> ${orderData.customer.name}<br>
-                <strong>Phone:</strong> ${orderData.customer.phone}<br>
-                <strong>Address:</strong> ${orderData.customer.address}
-                ${orderData.customer.landmark ? `<br><strong>Landmark:</strong> ${orderData.customer.landmark}` : ''}
-              </p>
-              
-              <h4>Items:</h4>
-              <ul>${itemsList}</ul>
-              
-              <p class="total">Total: ₹${orderData.total}</p>
-              
-              <p>
-                <strong>Delivery Slot:</strong> ${orderData.deliverySlot}<br>
-                <strong>Payment:</strong> Cash on Delivery
-              </p>
-              
-              ${orderData.specialInstructions ? `<p><strong>Special Instructions:</strong> ${orderData.specialInstructions}</p>` : ''}
-            </div>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-        await resend.emails.send({
-            from: RESEND_FROM_EMAIL,
-            to: process.env.SHOP_OWNER_EMAIL || 'owner@omyashodadairy.com',
-            subject: `🛒 NEW ORDER - ${orderData.orderId}`,
-            html
-        });
+function buildOrderRecord(submittedOrder, pricing, userId, zone) {
+    const customer = submittedOrder.customer;
+    const slot = getDeliverySlot(submittedOrder.deliverySlotId);
+    const paymentMethod = getPaymentMethod(submittedOrder.paymentMethodId);
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+
+    // The zone's spelling of the locality
+    const locality = zone.localities.find(name => name.toLowerCase() === text(customer.locality).toLowerCase());
+    const address = {
+        addressLine: text(customer.addressLine),
+        locality,
+        pincode: normalizePincode(customer.pincode)
+    };
 
-        console.log('Email notification sent to owner');
-        return true;
-    } catch (error) {
-        console.error('Error sending email to owner:', error);
-        return false;
-    }
+    return {
+        userId,
+        customer: {
+            name: text(customer.name),
+            email: text(customer.email),
+            phone: text(customer.phone),
+            address: formatDeliveryAddress(address),
+            ...address,
+            landmark: text(customer.landmark)
+        },
+        deliveryZoneId: zone.id,
+        items: pricing.items,
+        deliverySlotId: slot.id,
+        deliverySlot: slot.label,
+        deliveryDate: submittedOrder.deliveryDate,
+        specialInstructions: text(submittedOrder.specialInstructions),
+        paymentMethodId: paymentMethod.id,
+        paymentMethod: paymentMethod.label,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        coupon: pricing.coupon,
+        deliveryCharge: pricing.deliveryCharge,
+        deliveryRules: pricing.deliveryRules,
+        total: pricing.total,
+        // UPI and online orders are only accepted once the payment has arrived
+        status: [PAYMENT_METHOD.UPI, PAYMENT_METHOD.ONLINE].includes(paymentMethod.id)
+            ? ORDER_STATUS.AWAITING_PAYMENT
+            : ORDER_STATUS.PENDING
+    };
 }
 
-// ==================== Email Notification ====================
+// ==================== Main Handler ====================
 
 /**
- * Send email confirmation to customer
+ * Send the success response for a persisted order
  * 
- * Uses Resend API for reliable email delivery
- * 
- * @param {Object} orderData - Order details
- * @returns {Promise<boolean>} Success status
+ * @param {Object} res - Response object
+ * @param {Object} order - Persisted order
+ * @param {boolean} replayed - True if this is a retry of an earlier submission
  */
-async function sendEmailConfirmation(orderData) {
-    if (!resend || !orderData.customer.email) {
-        console.log('Email not configured or customer email not provided');
-        return false;
-    }
-
-    try {
-        const itemsList = orderData.items
-            .map(item => `<li>${item.productName} (${item.quantity}x ${item.unit}) - ₹${item.subtotal}</li>`)
-            .join('');
-
-        const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #2563EB; color: white; padding: 20px; text-align: center; }
-          .content { padding: 20px; background: #f9f9f9; }
-          .order-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
-          .total { font-size: 20px; font-weight: bold; color: #2563EB; }
-          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🥛 Order Confirmed!</h1>
-          </div>
-          
-          <div class="content">
-            <p>Dear ${orderData.customer.name},</p>
-            <p>Thank you for your order! We've received it and will prepare it fresh for delivery.</p>
-            
-            <div class="order-details">
-              <h3>Order #${orderData.orderId}</h3>
-              <p><strong>Delivery Slot:</strong> ${orderData.deliverySlot}</p>
-              <p><strong>Delivery Address:</strong><br>${orderData.customer.address}</p>
-              
-              <h4>Items:</h4>
-              <ul>${itemsList}</ul>
-              
-              <p class="total">Total: ₹${orderData.total}</p>
-              <p><strong>Payment:</strong> Cash on Delivery</p>
-            </div>
-            
-            <p>If you have any questions, please contact us at ${SHOP_OWNER_PHONE}</p>
-          </div>
-          
-          <div class="footer">
-            <p>OM Yashoda Dairy<br>Kalyan West, Maharashtra</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-        await resend.emails.send({
-            from: RESEND_FROM_EMAIL,
-            to: orderData.customer.email,
-            subject: `Order Confirmed - ${orderData.orderId}`,
-            html
-        });
-
-        console.log('Email confirmation sent successfully');
-        return true;
-    } catch (error) {
-        console.error('Error sending email:', error);
-        return false;
-    }
+function sendOrderResponse(res, order, replayed) {
+    return res.status(200).json({
+        success: true,
+        message: replayed ? 'Order already received' : 'Order received successfully',
+        orderId: order.orderId,
+        order,
+        replayed
+    });
 }
 
-// ==================== Main Handler ====================
-
 /**
  * Main serverless function handler
  * 
@@ -395,7 +266,7 @@ export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
     // Handle preflight request
     if (req.method === 'OPTIONS') {
@@ -422,10 +293,30 @@ export default async function handler(req, res) {
             });
         }
 
+        // Verify the signed-in user (401 if missing or invalid)
+        const user = await verifyRequestUser(req);
+
+        // Every submission must carry the checkout's idempotency key
+        const idempotencyKey = req.headers['idempotency-key'];
+        if (!isValidIdempotencyKey(idempotencyKey)) {
+            throw new ApiError(400, 'INVALID_IDEMPOTENCY_KEY', 'Missing or invalid Idempotency-Key header.');
+        }
+
+        // Retried request: return the original order, skip pricing and notifications
+        const existingOrder = await findOrderByIdempotencyKey(user.uid, idempotencyKey);
+        if (existingOrder) {
+            return sendOrderResponse(res, existingOrder, true);
+        }
+
         // Parse and validate order data
-        const orderData = req.body;
+        const submittedOrder = req.body;
+
+        // The body may only claim the verified user
+        if (submittedOrder.userId && submittedOrder.userId !== user.uid) {
+            throw new ApiError(403, 'USER_MISMATCH', 'You can only place orders for your own account.');
+        }
 
-        const validation = validateOrderData(orderData);
+        const validation = validateOrderData(submittedOrder);
         if (!validation.isValid) {
             return res.status(400).json({
                 success: false,
@@ -434,10 +325,73 @@ export default async function handler(req, res) {
             });
         }
 
+        // The address must be in a delivery zone
+        const area = checkDeliveryArea(submittedOrder.customer);
+        if (!area.isValid) {
+            throw new ApiError(400, 'OUTSIDE_DELIVERY_AREA', area.error);
+        }
+
+        // The date must be open for delivery and the slot's cutoff not passed
+        const deliveryCheck = checkDeliveryChoice(
+            submittedOrder.deliveryDate,
+            getDeliverySlot(submittedOrder.deliverySlotId),
+            new Date(),
+            await getClosures(getShopDateKey())
+        );
+        if (!deliveryCheck.isValid) {
+            throw new ApiError(409, 'DELIVERY_UNAVAILABLE', deliveryCheck.error);
+        }
+
+        // The slot must be offered in the customer's zone
+        const zoneSlotCheck = checkZoneSlot(area.zone, getDeliverySlot(submittedOrder.deliverySlotId));
+        if (!zoneSlotCheck.isValid) {
+            throw new ApiError(409, 'DELIVERY_UNAVAILABLE', zoneSlotCheck.error);
+        }
+
+        // Monthly account orders need an account opened by the shop
+        if (submittedOrder.paymentMethodId === PAYMENT_METHOD.MONTHLY_ACCOUNT &&
+            !(await isMonthlyBillingEnabled(user.uid))) {
+            throw new ApiError(
+                403,
+                'MONTHLY_ACCOUNT_NOT_ENABLED',
+                'Monthly account is not enabled for you yet. Please choose Cash on Delivery or contact the shop.'
+            );
+        }
+
+        // Re-price the order from Firestore and reject stale or tampered carts
+        const pricing = await priceOrder(submittedOrder.items, submittedOrder.couponCode, {
+            zone: area.zone,
+            slotId: submittedOrder.deliverySlotId
+        });
+        const mismatches = findPriceMismatches(submittedOrder, pricing);
+
+        if (mismatches.length > 0) {
+            throw new ApiError(
+                409,
+                'PRICE_MISMATCH',
+                'Some prices have changed since you added items to your cart. Please review your cart and try again.',
+                { mismatches, pricing }
+            );
+        }
+
+        // Persist the order (assigns the final order number)
+        const { order: orderData, replayed } = await createOrder(
+            buildOrderRecord(submittedOrder, pricing, user.uid, area.zone),
+            idempotencyKey
+        );
+
+        if (replayed) {
+            // Starting the online payment failed last time: try again
+            if (needsPaymentIntent(orderData)) {
+                orderData.paymentIntent = await startOnlinePayment(orderData);
+            }
+            return sendOrderResponse(res, orderData, true);
+        }
+
         // Send notifications
         const notifications = [];
 
-        // Send WhatsApp notification (DISABLED - uncomment to enable)
+        // Send WhatsApp notification (DISABLED - see api/_lib/notifications.js)
         // notifications.push(sendWhatsAppNotification(orderData));
 
         // Send email to shop owner (PRIMARY NOTIFICATION)
@@ -457,19 +411,17 @@ export default async function handler(req, res) {
             email: notifications[1].status === 'fulfilled' && notifications[1].value
         });
 
-        // Return success response
-        return res.status(200).json({
-            success: true,
-            message: 'Order received successfully',
-            orderId: orderData.orderId
-        });
+        // "Pay Online": the response carries the provider's checkout URL.
+        // If this fails the order stays awaiting payment and a retry with
+        // the same idempotency key starts the payment again.
+        if (needsPaymentIntent(orderData)) {
+            orderData.paymentIntent = await startOnlinePayment(orderData);
+        }
 
-    } catch (error) {
-        console.error('Order processing error:', error);
+        // Return success response with the persisted order
+        return sendOrderResponse(res, orderData, false);
 
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to process order. Please try again.'
-        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process order. Please try again.');
     }
 }
@@ -0,0 +1,126 @@
+/**
+ * Subscriptions Serverless Function
+ * 
+ * Lets a signed-in customer list, create, pause, skip and cancel their
+ * recurring deliveries, and change their delivery address. Orders are
+ * generated from active subscriptions by /api/generate-subscription-orders.
+ * 
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (customers only see their own subscriptions)
+ * - Subscription data validated with the shared subscription-schedule rules
+ * - Products checked against the Firestore catalog
+ * 
+ * @module api/subscriptions
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { validateSubscription } from '../js/subscription-schedule.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser } from './_lib/auth.js';
+import {
+    listUserSubscriptions,
+    createSubscription,
+    updateSubscriptionSchedule,
+    updateSubscriptionAddress,
+    cancelSubscription
+} from './_lib/subscriptions.js';
+
+/**
+ * Main serverless function handler
+ * 
+ * GET    /api/subscriptions                      - List the user's subscriptions
+ * POST   /api/subscriptions                      - Create a subscription
+ *        Body: { items: [{productId, variantId?, quantity}], daysOfWeek, deliverySlotId,
+ *                customer, specialInstructions? }
+ * PATCH  /api/subscriptions                      - Pause / skip (or undo), or change the address
+ *        Body: { subscriptionId, action: 'add-pause' | 'remove-pause', from, to }
+ *           or { subscriptionId, action: 'add-skip' | 'remove-skip', date }
+ *           or { subscriptionId, action: 'update-address',
+ *                customer: {addressLine, pincode, locality, landmark?} }
+ * DELETE /api/subscriptions?subscriptionId=...   - Cancel a subscription
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyRequestUser(req);
+
+        if (req.method === 'GET') {
+            const subscriptions = await listUserSubscriptions(user.uid);
+            return res.status(200).json({ success: true, subscriptions });
+        }
+
+        if (req.method === 'POST') {
+            const validation = validateSubscription(req.body || {});
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid subscription',
+                    errors: validation.errors
+                });
+            }
+
+            const subscription = await createSubscription(user.uid, req.body);
+            return res.status(201).json({
+                success: true,
+                message: 'Subscription created',
+                subscription
+            });
+        }
+
+        if (req.method === 'PATCH') {
+            const { subscriptionId, ...change } = req.body || {};
+            if (typeof subscriptionId !== 'string' || !subscriptionId) {
+                throw new ApiError(400, 'INVALID_SUBSCRIPTION_ID', 'Subscription ID is required.');
+            }
+
+            if (change.action === 'update-address') {
+                const customer = await updateSubscriptionAddress(subscriptionId, user.uid, change.customer || {});
+                return res.status(200).json({
+                    success: true,
+                    message: 'Subscription address updated',
+                    customer
+                });
+            }
+
+            const schedule = await updateSubscriptionSchedule(subscriptionId, user.uid, change);
+            return res.status(200).json({
+                success: true,
+                message: 'Subscription updated',
+                ...schedule
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            const subscriptionId = req.query.subscriptionId;
+            if (typeof subscriptionId !== 'string' || !subscriptionId) {
+                throw new ApiError(400, 'INVALID_SUBSCRIPTION_ID', 'Subscription ID is required.');
+            }
+
+            await cancelSubscription(subscriptionId, user.uid);
+            return res.status(200).json({
+                success: true,
+                message: 'Subscription cancelled'
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process subscription request. Please try again.');
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Order Status Serverless Function (Shop Owner)
+ *
+ * Lets the shop owner move an order through its lifecycle (confirm, pack,
+ * send out, deliver, cancel). Marking an order delivered posts it to the
+ * customer's ledger in the same transaction, which is why status changes
+ * go through the server instead of a direct Firestore write.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token verification with the owner's `admin` custom claim
+ * - Transitions enforced by the shared order-status rules
+ *
+ * @module api/update-order-status
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { ORDER_STATUS } from '../js/order-status.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { requireOwner } from './_lib/auth.js';
+import { updateOrderStatus } from './_lib/orders.js';
+import { refundOnlinePayment } from './_lib/online-payment.js';
+
+/**
+ * Maximum length of the note stored with the status change
+ * @constant {number}
+ */
+const MAX_NOTE_LENGTH = 300;
+
+/**
+ * Main serverless function handler
+ *
+ * POST /api/update-order-status
+ * Headers: Authorization: Bearer <Firebase ID token of the owner>
+ * Body: { orderId, status, note? }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        const owner = await requireOwner(req);
+        const { orderId, status, note } = req.body || {};
+
+        if (typeof orderId !== 'string' || !orderId) {
+            throw new ApiError(400, 'INVALID_ORDER_ID', 'Order ID is required.');
+        }
+
+        if (!Object.values(ORDER_STATUS).includes(status)) {
+            throw new ApiError(400, 'INVALID_STATUS', 'Unknown order status.');
+        }
+
+        // Throws 404 / 409 if the order is missing or the move is not allowed
+        await updateOrderStatus(orderId, status, {
+            changedBy: { uid: owner.uid, role: 'owner' },
+            note: typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : ''
+        });
+
+        // Orders paid online are refunded through the provider (a failed
+        // refund is logged and does not undo the cancellation)
+        if (status === ORDER_STATUS.CANCELLED) {
+            await refundOnlinePayment(orderId)
+                .catch(error => console.error(`Refund failed for ${orderId}:`, error));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Order status updated',
+            orderId,
+            status
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to update order status. Please try again.');
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * UPI Payment Serverless Function
+ *
+ * Customers fetch the UPI intent link and QR code for their own order
+ * while it is awaiting payment. The shop owner marks the order paid with
+ * the UTR once the money shows up in the shop's bank or UPI app; there is
+ * no payment gateway, so this manual check is the reconciliation.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (customers only see their own orders)
+ * - Marking an order paid requires the owner's `admin` custom claim
+ * - The amount in the link always comes from the stored order total
+ *
+ * @module api/upi-payment
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { normalizeUtr, validateUtr } from '../js/upi.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser, requireOwner } from './_lib/auth.js';
+import { getUpiPaymentRequest, markUpiOrderPaid } from './_lib/upi.js';
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/upi-payment?orderId=...  - UPI link and QR code (SVG) for the order
+ * POST /api/upi-payment              - Mark the order paid (owner only)
+ *      Body: { orderId, utr }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const user = await verifyRequestUser(req);
+            const { orderId } = req.query;
+
+            if (typeof orderId !== 'string' || !orderId) {
+                throw new ApiError(400, 'INVALID_ORDER_ID', 'Order ID is required.');
+            }
+
+            const payment = await getUpiPaymentRequest(orderId, user);
+            return res.status(200).json({ success: true, payment });
+        }
+
+        if (req.method === 'POST') {
+            const owner = await requireOwner(req);
+            const { orderId } = req.body || {};
+            const utr = normalizeUtr(req.body?.utr);
+
+            if (typeof orderId !== 'string' || !orderId) {
+                throw new ApiError(400, 'INVALID_ORDER_ID', 'Order ID is required.');
+            }
+
+            const validation = validateUtr(utr);
+            if (!validation.isValid) {
+                throw new ApiError(400, 'INVALID_UTR', validation.error);
+            }
+
+            // Throws 404 / 409 if the order is missing or not awaiting payment
+            await markUpiOrderPaid(orderId, {
+                utr,
+                changedBy: { uid: owner.uid, role: 'owner' }
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Payment recorded',
+                orderId,
+                utr
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process UPI payment request. Please try again.');
+    }
+}
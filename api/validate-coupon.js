@@ -0,0 +1,109 @@
+/**
+ * Coupon Validation Serverless Function
+ *
+ * Checks a coupon code against the customer's cart when they apply it on
+ * the cart page, and returns the coupon's rules so the cart can keep the
+ * discount up to date as quantities change. The order itself is checked
+ * again by /api/submit-order.
+ *
+ * SECURITY FEATURES:
+ * - Coupons are only readable through this endpoint, one code at a time
+ * - Cart prices come from Firestore, not from the request
+ * - Per-customer limits are checked when a Firebase ID token is sent
+ *
+ * @module api/validate-coupon
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { checkCoupon } from '../js/coupons.js';
+import { getShopDateKey } from '../js/utils.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { verifyRequestUser } from './_lib/auth.js';
+import { getCoupon, getCouponUsage, serializeCoupon } from './_lib/coupons.js';
+import { loadProducts, priceItems } from './_lib/pricing.js';
+
+/**
+ * Check that the cart items have product IDs and sensible quantities
+ *
+ * @private
+ * @param {*} items - Items from the request body
+ * @returns {boolean} True for a non-empty array of {productId, variantId?, quantity}
+ */
+function isValidCart(items) {
+    return Array.isArray(items) && items.length > 0 && items.every(item =>
+        item && typeof item.productId === 'string' && item.productId &&
+        (item.variantId == null || typeof item.variantId === 'string') &&
+        Number.isInteger(item.quantity) && item.quantity >= 1 && item.quantity <= 99
+    );
+}
+
+/**
+ * Main serverless function handler
+ *
+ * POST /api/validate-coupon
+ * Headers: Authorization: Bearer <Firebase ID token> (optional)
+ * Body: { code, items: [{productId, variantId?, quantity}] }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    }
+
+    try {
+        const { code, items } = req.body || {};
+
+        if (typeof code !== 'string' || !code.trim()) {
+            throw new ApiError(400, 'INVALID_COUPON', 'Please enter a coupon code.');
+        }
+
+        if (!isValidCart(items)) {
+            throw new ApiError(400, 'INVALID_CART', 'Your cart is empty or invalid.');
+        }
+
+        // Signed-out customers can try a code; their own limit is checked at checkout
+        const user = req.headers.authorization ? await verifyRequestUser(req) : null;
+
+        const [coupon, products] = await Promise.all([
+            getCoupon(code),
+            loadProducts(items.map(item => item.productId))
+        ]);
+        const pricing = priceItems(items, products);
+
+        const check = checkCoupon(coupon, {
+            items: pricing.items,
+            subtotal: pricing.subtotal,
+            dateKey: getShopDateKey(),
+            usage: coupon ? await getCouponUsage(coupon, user?.uid || null) : null
+        });
+
+        if (!check.isValid) {
+            throw new ApiError(400, 'INVALID_COUPON', check.error);
+        }
+
+        return res.status(200).json({
+            success: true,
+            coupon: serializeCoupon(coupon),
+            discount: check.discount
+        });
+    } catch (error) {
+        return sendError(res, error, 'Could not check the coupon. Please try again.');
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Prepaid Wallet Serverless Function
+ *
+ * Customers read their own wallet balance and transactions. The shop
+ * owner can read any customer's wallet and top it up after receiving
+ * cash or UPI. Payments and refunds are never posted here: they are
+ * written with the order (/api/submit-order) and its cancellation.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token verification (customers only see their own wallet)
+ * - Top-ups require the owner's `admin` custom claim
+ * - Amounts validated with the shared payment rules
+ *
+ * @module api/wallet
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { validatePayment } from '../js/ledger.js';
+import { CONFIG } from '../js/config.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import {
+    verifyRequestUser,
+    requireOwner,
+    resolveTargetUserId,
+    findUserByEmail
+} from './_lib/auth.js';
+import { getWallet, topUpWallet } from './_lib/wallet.js';
+
+/**
+ * Maximum length of a top-up reference (UTR, note)
+ * @constant {number}
+ */
+const MAX_REFERENCE_LENGTH = 100;
+
+/**
+ * Main serverless function handler
+ *
+ * GET  /api/wallet?userId=...  - Balance and transactions (userId: owner only)
+ * POST /api/wallet             - Top up a customer's wallet (owner only)
+ *      Body: { email, amount, mode, reference? }
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*'); // In production, set to your domain
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const user = await verifyRequestUser(req);
+            const userId = resolveTargetUserId(user, req.query.userId);
+
+            const wallet = await getWallet(userId);
+            return res.status(200).json({ success: true, wallet });
+        }
+
+        if (req.method === 'POST') {
+            const owner = await requireOwner(req);
+            const { email, amount, mode, reference } = req.body || {};
+
+            if (typeof email !== 'string' || !CONFIG.EMAIL_REGEX.test(email.trim())) {
+                throw new ApiError(400, 'INVALID_EMAIL', 'Please enter the customer\'s email address.');
+            }
+
+            const validation = validatePayment({ amount, mode });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid top-up',
+                    errors: validation.errors
+                });
+            }
+
+            const customer = await findUserByEmail(email.trim().toLowerCase());
+            const result = await topUpWallet(customer.uid, {
+                amount,
+                mode,
+                reference: typeof reference === 'string' ? reference.trim().slice(0, MAX_REFERENCE_LENGTH) : ''
+            }, { uid: owner.uid, role: 'owner' });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Wallet topped up',
+                ...result
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            message: 'Method not allowed'
+        });
+    } catch (error) {
+        return sendError(res, error, 'Failed to process wallet request. Please try again.');
+    }
+}
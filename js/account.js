@@ -0,0 +1,319 @@
+/**
+ * Account (Khata) Module
+ *
+ * Client side of the customer ledger:
+ * - Loads monthly statements from /api/ledger
+ * - Opens the printable statement from /api/statement
+ * - Loads the prepaid wallet from /api/wallet
+ * - Renders the balance summary, statement table and wallet
+ *
+ * Used by the customer's account page and, with a `userId`, by the shop
+ * owner's page.
+ *
+ * @module account
+ * @requires ./config.js
+ * @requires ./firebase-config.js
+ * @requires ./ledger.js
+ * @requires ./wallet.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './firebase-config.js';
+import { LEDGER_ENTRY_TYPE, formatBalance, formatLedgerBalance } from './ledger.js';
+import { WALLET_TRANSACTION_LABELS, getWalletBalanceChange } from './wallet.js';
+import { formatCurrency, formatDateTime, sanitizeInput } from './utils.js';
+
+// ==================== API ====================
+
+/**
+ * Build the query string for a statement request
+ *
+ * @private
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} userId - Customer (owner only; omit for the current user)
+ * @returns {string} Query string starting with "?"
+ */
+function buildStatementQuery(month, userId) {
+    const params = new URLSearchParams({ month });
+    if (userId) {
+        params.set('userId', userId);
+    }
+    return `?${params}`;
+}
+
+/**
+ * Fetch a statement endpoint as the current user
+ *
+ * @private
+ * @param {string} path - Path under CONFIG.API_BASE_URL (with query string)
+ * @returns {Promise<Response>} Successful response
+ * @throws {Error} If the request fails (with `code` when the API rejected it)
+ */
+async function fetchWithToken(path) {
+    const idToken = await AuthService.getIdToken();
+    if (!idToken) {
+        throw new Error('Please login to continue');
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}${path}`, {
+        headers: { 'Authorization': `Bearer ${idToken}` }
+    });
+
+    if (!response.ok) {
+        const data = await response.json();
+        const error = new Error(data.message || 'Could not load your account');
+        error.code = data.code;
+        throw error;
+    }
+
+    return response;
+}
+
+/**
+ * Get a monthly statement
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} userId - Customer (owner only; omit for the current user)
+ * @returns {Promise<Object>} Statement {account, period, entries, openingBalance,
+ *   totalDebits, totalCredits, closingBalance}; account is null if there is none yet
+ *
+ * @example
+ * const statement = await fetchStatement('2026-02');
+ */
+export async function fetchStatement(month, userId = null) {
+    const response = await fetchWithToken(`/ledger${buildStatementQuery(month, userId)}`);
+    const data = await response.json();
+    return data.statement;
+}
+
+/**
+ * Get a prepaid wallet's balance and latest transactions
+ *
+ * @param {string} userId - Customer (owner only; omit for the current user)
+ * @returns {Promise<Object>} Wallet {balance, transactions}, newest first
+ *
+ * @example
+ * const { balance } = await fetchWallet();
+ */
+export async function fetchWallet(userId = null) {
+    const query = userId ? `?${new URLSearchParams({ userId })}` : '';
+    const response = await fetchWithToken(`/wallet${query}`);
+    const data = await response.json();
+    return data.wallet;
+}
+
+/**
+ * Open the printable statement in a new tab
+ *
+ * The tab is opened before the request so pop-up blockers allow it,
+ * then shows the HTML returned by /api/statement.
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} userId - Customer (owner only; omit for the current user)
+ * @returns {Promise<void>}
+ * @throws {Error} If the statement cannot be loaded (the tab is closed again)
+ *
+ * @example
+ * await openPrintableStatement('2026-02');
+ */
+export async function openPrintableStatement(month, userId = null) {
+    const statementWindow = window.open('', '_blank');
+
+    try {
+        const response = await fetchWithToken(`/statement${buildStatementQuery(month, userId)}`);
+        const html = await response.text();
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+
+        if (statementWindow) {
+            statementWindow.location.href = url;
+        } else {
+            window.location.href = url;
+        }
+    } catch (error) {
+        statementWindow?.close();
+        throw error;
+    }
+}
+
+// ==================== Rendering ====================
+
+/**
+ * Render the balance summary for a statement
+ *
+ * @param {Object} statement - Statement from fetchStatement
+ * @param {string} containerId - ID of the container element
+ */
+export function renderAccountSummary(statement, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const account = statement.account;
+    const billing = account?.monthlyBilling
+        ? '<span class="badge badge-success">Monthly billing</span>'
+        : '<span class="badge badge-info">Cash on delivery</span>';
+
+    container.innerHTML = `
+    <div class="account-summary">
+      <div class="account-summary-item">
+        <span>Current balance</span>
+        <strong>${formatBalance(account ? account.balance : 0)}</strong>
+        ${account ? billing : ''}
+      </div>
+      <div class="account-summary-item">
+        <span>Opening (${statement.period.label})</span>
+        <strong>${formatLedgerBalance(statement.openingBalance)}</strong>
+      </div>
+      <div class="account-summary-item">
+        <span>Delivered this month</span>
+        <strong>${formatCurrency(statement.totalDebits)}</strong>
+      </div>
+      <div class="account-summary-item">
+        <span>Paid this month</span>
+        <strong>${formatCurrency(statement.totalCredits)}</strong>
+      </div>
+      <div class="account-summary-item">
+        <span>Closing balance</span>
+        <strong>${formatLedgerBalance(statement.closingBalance)}</strong>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the entries of a statement as a table
+ *
+ * @param {Object} statement - Statement from fetchStatement
+ * @param {string} containerId - ID of the container element
+ */
+export function renderStatement(statement, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (statement.entries.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <p>No deliveries or payments in ${statement.period.label}.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const rows = statement.entries.map(entry => {
+        const isDebit = entry.type === LEDGER_ENTRY_TYPE.DEBIT;
+        const description = entry.orderId
+            ? `<a href="/orders.html?orderId=${encodeURIComponent(entry.orderId)}">${sanitizeInput(entry.description)}</a>`
+            : sanitizeInput(entry.description);
+
+        return `
+      <tr>
+        <td>${formatDateTime(entry.date, false)}</td>
+        <td>
+          ${description}
+          ${entry.reference ? `<br><small>${sanitizeInput(entry.reference)}</small>` : ''}
+        </td>
+        <td class="statement-amount">${isDebit ? formatCurrency(entry.amount) : ''}</td>
+        <td class="statement-amount">${isDebit ? '' : formatCurrency(entry.amount)}</td>
+        <td class="statement-amount">${formatLedgerBalance(entry.balanceAfter)}</td>
+      </tr>
+    `;
+    }).join('');
+
+    container.innerHTML = `
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Details</th>
+            <th class="statement-amount">Debit</th>
+            <th class="statement-amount">Credit</th>
+            <th class="statement-amount">Balance</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the wallet balance and its transactions
+ *
+ * @param {Object} wallet - Wallet from fetchWallet
+ * @param {string} containerId - ID of the container element
+ */
+export function renderWallet(wallet, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const summary = `
+    <div class="account-summary">
+      <div class="account-summary-item">
+        <span>Wallet balance</span>
+        <strong>${formatCurrency(wallet.balance)}</strong>
+      </div>
+    </div>
+  `;
+
+    if (wallet.transactions.length === 0) {
+        container.innerHTML = `
+      ${summary}
+      <div class="empty-state">
+        <p>No wallet transactions yet. Pay the shop in cash or UPI to top up your wallet.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const rows = wallet.transactions.map(transaction => {
+        const change = getWalletBalanceChange(transaction);
+        const description = transaction.orderId
+            ? `<a href="/orders.html?orderId=${encodeURIComponent(transaction.orderId)}">${sanitizeInput(transaction.description)}</a>`
+            : sanitizeInput(transaction.description);
+
+        return `
+      <tr>
+        <td>${transaction.createdAt ? formatDateTime(transaction.createdAt) : ''}</td>
+        <td>
+          ${WALLET_TRANSACTION_LABELS[transaction.type] || sanitizeInput(transaction.type)}<br>
+          <small>${description}</small>
+          ${transaction.reference ? `<br><small>${sanitizeInput(transaction.reference)}</small>` : ''}
+        </td>
+        <td class="statement-amount">${change < 0 ? '−' : '+'}${formatCurrency(transaction.amount)}</td>
+        <td class="statement-amount">${formatCurrency(transaction.balanceAfter)}</td>
+      </tr>
+    `;
+    }).join('');
+
+    container.innerHTML = `
+    ${summary}
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Details</th>
+            <th class="statement-amount">Amount</th>
+            <th class="statement-amount">Balance</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
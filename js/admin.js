@@ -0,0 +1,631 @@
+/**
+ * Shop Owner Module
+ *
+ * Client side of the owner's page:
+ * - Moves orders through their lifecycle via /api/update-order-status
+ * - Marks UPI orders paid with their UTR via /api/upi-payment
+ * - Lists customer accounts, records payments and toggles monthly
+ *   billing via /api/ledger
+ * - Tops up prepaid wallets via /api/wallet
+ * - Shows and sets stock counts via /api/inventory
+ * - Shows slot bookings and sets daily slot capacity via /api/slot-availability
+ * - Adds and removes shop closures via /api/closures
+ * - Records production batches and shows what is left of them via
+ *   /api/batches
+ * - Emails monthly statements via /api/statement
+ *
+ * Every endpoint checks the owner's `admin` claim; hiding the page from
+ * other users is only a convenience.
+ *
+ * @module admin
+ * @requires ./config.js
+ * @requires ./firebase-config.js
+ * @requires ./order-status.js
+ * @requires ./orders.js
+ * @requires ./payment-methods.js
+ * @requires ./ledger.js
+ * @requires ./inventory.js
+ * @requires ./delivery-schedule.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './firebase-config.js';
+import { ORDER_STATUS, ORDER_STATUS_LABELS, getAllowedTransitions } from './order-status.js';
+import { renderStatusBadge } from './orders.js';
+import { PAYMENT_METHOD, getOrderPaymentMethodId } from './payment-methods.js';
+import { formatLedgerBalance } from './ledger.js';
+import { STOCK_ALERT } from './inventory.js';
+import { formatClosureDates } from './delivery-schedule.js';
+import { formatCurrency, formatDateTime, sanitizeInput } from './utils.js';
+
+// ==================== API ====================
+
+/**
+ * Call an owner-only API endpoint
+ *
+ * @private
+ * @param {string} path - Path under CONFIG.API_BASE_URL (with query string)
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} If the request fails (with `code` when the API rejected it)
+ */
+async function callOwnerApi(path, method = 'GET', body = undefined) {
+    const idToken = await AuthService.getIdToken();
+    if (!idToken) {
+        throw new Error('Please login to continue');
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const message = data.errors ? data.errors.join(', ') : data.message;
+        const error = new Error(message || 'Request failed');
+        error.code = data.code;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Move an order to a new status
+ *
+ * Marking an order delivered also posts it to the customer's ledger.
+ *
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status (see ORDER_STATUS)
+ * @param {string} note - Optional note for the status history
+ * @returns {Promise<Object>} API response
+ *
+ * @example
+ * await updateOrderStatus('ORD-20260212-004', 'delivered');
+ */
+export async function updateOrderStatus(orderId, status, note = '') {
+    return callOwnerApi('/update-order-status', 'POST', { orderId, status, note });
+}
+
+/**
+ * Mark a UPI order paid once the money has arrived
+ *
+ * Moves the order from awaiting-payment to pending.
+ *
+ * @param {string} orderId - Order ID
+ * @param {string} utr - 12-digit UTR of the UPI payment
+ * @returns {Promise<Object>} API response
+ *
+ * @example
+ * await markOrderPaid('ORD-20260212-004', '402155667788');
+ */
+export async function markOrderPaid(orderId, utr) {
+    return callOwnerApi('/upi-payment', 'POST', { orderId, utr });
+}
+
+/**
+ * Get every customer account, largest balance due first
+ *
+ * @returns {Promise<Array>} Ledger accounts
+ */
+export async function fetchLedgerAccounts() {
+    const data = await callOwnerApi('/ledger?view=accounts');
+    return data.accounts;
+}
+
+/**
+ * Record a payment received from a customer
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {Object} payment - {amount, mode, reference}
+ * @returns {Promise<Object>} {entry, balance}
+ *
+ * @example
+ * await recordPayment(userId, { amount: 1500, mode: 'UPI', reference: 'UTR 4021' });
+ */
+export async function recordPayment(userId, payment) {
+    return callOwnerApi('/ledger', 'POST', { userId, ...payment });
+}
+
+/**
+ * Turn monthly billing on or off for a customer
+ *
+ * @param {string} email - Customer's sign-in email
+ * @param {boolean} monthlyBilling - Whether monthly-account orders are allowed
+ * @returns {Promise<Object>} The customer's account
+ */
+export async function setMonthlyBilling(email, monthlyBilling) {
+    const data = await callOwnerApi('/ledger', 'PATCH', { email, monthlyBilling });
+    return data.account;
+}
+
+/**
+ * Add money to a customer's prepaid wallet
+ *
+ * @param {string} email - Customer's sign-in email
+ * @param {Object} payment - {amount, mode, reference}
+ * @returns {Promise<Object>} {transaction, balance}
+ *
+ * @example
+ * const { balance } = await topUpWallet('asha@example.com', { amount: 1000, mode: 'UPI' });
+ */
+export async function topUpWallet(email, payment) {
+    return callOwnerApi('/wallet', 'POST', { email, ...payment });
+}
+
+/**
+ * Email a monthly statement to the customer
+ *
+ * @param {string} userId - Customer's user ID
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<string>} Confirmation message
+ */
+export async function emailStatement(userId, month) {
+    const data = await callOwnerApi('/statement', 'POST', { userId, month });
+    return data.message;
+}
+
+/**
+ * Get how many orders each delivery slot has on a date
+ *
+ * @param {string} date - Delivery date (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{id, label, deliveryDate, capacity, booked, remaining, isFull}]
+ */
+export async function fetchSlotBookings(date) {
+    const data = await callOwnerApi(`/slot-availability?${new URLSearchParams({ date })}`);
+    return data.slots;
+}
+
+/**
+ * Set how many orders a delivery slot can take on a date
+ *
+ * @param {string} date - Delivery date (YYYY-MM-DD)
+ * @param {string} slotId - Slot ID
+ * @param {number|null} capacity - Orders (null: back to the usual capacity)
+ * @returns {Promise<Object>} API response
+ *
+ * @example
+ * await setSlotCapacity('2026-03-14', 'morning', 15);  // one delivery boy on leave
+ */
+export async function setSlotCapacity(date, slotId, capacity) {
+    return callOwnerApi('/slot-availability', 'POST', { date, slotId, capacity });
+}
+
+/**
+ * Close the shop for a period (no orders or subscription deliveries)
+ *
+ * @param {Object} closure - {startDate, endDate, reason}
+ * @returns {Promise<Object>} {closure, ordersBooked} where ordersBooked counts the
+ *   orders already due in the period
+ *
+ * @example
+ * await addClosure({ startDate: '2026-05-11', endDate: '2026-05-13', reason: 'Family wedding' });
+ */
+export async function addClosure(closure) {
+    return callOwnerApi('/closures', 'POST', closure);
+}
+
+/**
+ * Remove a closure (the dates open for orders again)
+ *
+ * @param {string} closureId - Closure ID
+ * @returns {Promise<Object>} API response
+ */
+export async function removeClosure(closureId) {
+    return callOwnerApi(`/closures?${new URLSearchParams({ closureId })}`, 'DELETE');
+}
+
+/**
+ * Get the stock of every product and pack size
+ *
+ * @returns {Promise<Array>} [{productId, variantId, productName, unit, sku, stock, inStock}]
+ */
+export async function fetchInventory() {
+    const data = await callOwnerApi('/inventory');
+    return data.inventory;
+}
+
+/**
+ * Set the stock count of a product or pack size
+ *
+ * The product goes out of stock at zero and back in stock above it.
+ *
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Pack size (null for products without variants)
+ * @param {number|null} stock - Units on hand (null stops counting)
+ * @returns {Promise<Object>} API response
+ *
+ * @example
+ * await setStockCount('buffalo-ghee', '500g', 24);
+ */
+export async function setStockCount(productId, variantId, stock) {
+    return callOwnerApi('/inventory', 'POST', { productId, variantId, stock });
+}
+
+/**
+ * Get what is left of each product's production batches
+ *
+ * @returns {Promise<Array>} [{productId, variantId, productName, unit, stock, toSell,
+ *   toDiscard, batches}]
+ */
+export async function fetchBatches() {
+    const data = await callOwnerApi('/batches');
+    return data.products;
+}
+
+/**
+ * Record a production batch (adds it to stock)
+ *
+ * @param {Object} batch - {productId, variantId, quantity, madeOn, shelfLifeDays}
+ * @returns {Promise<Object>} {batch, stock}
+ *
+ * @example
+ * await recordBatch({ productId: 'paneer', variantId: null, quantity: 40,
+ *   madeOn: '2026-03-10', shelfLifeDays: 3 });
+ */
+export async function recordBatch(batch) {
+    return callOwnerApi('/batches', 'POST', batch);
+}
+
+// ==================== Rendering ====================
+
+/**
+ * Render the owner's list of orders with their next-step buttons
+ *
+ * Buttons carry `data-order-id` and `data-status` for the page to handle.
+ * Orders awaiting a UPI payment get a UTR form (`data-payment-order-id`)
+ * instead of a button to accept them; orders awaiting an online payment
+ * can only be cancelled (the payment webhook confirms them).
+ *
+ * @param {Array} orders - Orders to render
+ * @param {string} containerId - ID of the container element
+ */
+export function renderOwnerOrderList(orders, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (orders.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <p>No orders with this status.</p>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = orders.map(order => {
+        const awaitingPayment = order.status === ORDER_STATUS.AWAITING_PAYMENT;
+        const awaitingUpi = awaitingPayment && getOrderPaymentMethodId(order) === PAYMENT_METHOD.UPI;
+        const actions = getAllowedTransitions(order.status)
+            .filter(status => !awaitingPayment || status === ORDER_STATUS.CANCELLED)
+            .map(status => `
+          <button class="btn ${status === ORDER_STATUS.CANCELLED ? 'btn-secondary' : 'btn-primary'} btn-sm"
+                  data-order-id="${sanitizeInput(order.orderId)}" data-status="${status}">
+            ${ORDER_STATUS_LABELS[status]}
+          </button>`)
+            .join('');
+
+        return `
+      <div class="order-card">
+        <div class="order-card-header">
+          <span class="order-card-id">${sanitizeInput(order.orderId)}</span>
+          ${renderStatusBadge(order.status)}
+        </div>
+        <p class="order-card-date">
+          ${order.deliveryDate ? formatDateTime(order.deliveryDate, false) : ''} · ${sanitizeInput(order.deliverySlot)}
+        </p>
+        <p class="order-card-items">
+          <strong>${sanitizeInput(order.customer.name)}</strong> · ${sanitizeInput(order.customer.phone)}<br>
+          ${sanitizeInput(order.customer.address)}
+        </p>
+        <p class="order-card-items">
+          ${order.items.map(item => `${sanitizeInput(item.productName)} (${sanitizeInput(item.unit)}) ×${item.quantity}`).join(', ')}
+        </p>
+        <div class="order-card-footer">
+          <span>${sanitizeInput(order.paymentMethod)}</span>
+          <span class="order-card-total">${formatCurrency(order.total)}</span>
+        </div>
+        ${awaitingPayment && !awaitingUpi ? '<p class="order-card-items">Waiting for the online payment.</p>' : ''}
+        ${awaitingUpi ? `
+        <form class="owner-inline-form" data-payment-order-id="${sanitizeInput(order.orderId)}">
+          <div class="form-group">
+            <label class="form-label" for="utr-${sanitizeInput(order.orderId)}">UTR of the UPI payment</label>
+            <input type="text" id="utr-${sanitizeInput(order.orderId)}" name="utr" class="form-input"
+                   inputmode="numeric" maxlength="16" placeholder="12-digit UTR" required>
+          </div>
+          <button type="submit" class="btn btn-primary btn-sm">Mark Paid</button>
+        </form>` : ''}
+        ${actions ? `<div class="owner-order-actions">${actions}</div>` : ''}
+      </div>
+    `;
+    }).join('');
+}
+
+/**
+ * Render the list of customer accounts
+ *
+ * Rows carry `data-user-id` for the page to open the statement.
+ *
+ * @param {Array} accounts - Ledger accounts from fetchLedgerAccounts
+ * @param {string} containerId - ID of the container element
+ */
+export function renderLedgerAccounts(accounts, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (accounts.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <p>No customer accounts yet. Accounts are created when an order is delivered.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const rows = accounts.map(account => `
+      <tr>
+        <td>
+          ${sanitizeInput(account.customer?.name || '')}
+          ${account.monthlyBilling ? '<span class="badge badge-success">Monthly</span>' : ''}
+        </td>
+        <td>${sanitizeInput(account.customer?.phone || '')}</td>
+        <td class="statement-amount">${formatLedgerBalance(account.balance)}</td>
+        <td>
+          <button class="btn btn-outline btn-sm" data-user-id="${sanitizeInput(account.userId)}">Statement</button>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Customer</th>
+            <th>Phone</th>
+            <th class="statement-amount">Balance</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the stock table
+ *
+ * Each row has a form (`data-stock-product-id`, `data-stock-variant-id`)
+ * for the page to save a new count; an empty count stops counting.
+ *
+ * @param {Array} inventory - Stock from fetchInventory
+ * @param {string} containerId - ID of the container element
+ */
+export function renderInventory(inventory, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const rows = inventory.map(item => `
+      <tr>
+        <td>
+          ${sanitizeInput(item.productName)} (${sanitizeInput(item.unit)})
+          ${item.inStock ? '' : '<span class="badge badge-danger">Out of Stock</span>'}
+          ${item.inStock && item.stockLevel === STOCK_ALERT.LOW
+              ? `<span class="badge badge-warning">Low (alert at ${item.lowStockThreshold})</span>`
+              : ''}
+        </td>
+        <td>${sanitizeInput(item.sku)}</td>
+        <td>
+          <form class="owner-stock-form" data-stock-product-id="${sanitizeInput(item.productId)}"
+                data-stock-variant-id="${sanitizeInput(item.variantId || '')}">
+            <input type="number" name="stock" class="form-input" min="0" step="1"
+                   value="${item.stock ?? ''}" placeholder="Not counted" aria-label="Stock">
+            <button type="submit" class="btn btn-outline btn-sm">Save</button>
+          </form>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>SKU</th>
+            <th>Stock</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render how full each delivery slot is on a date, with capacity forms
+ *
+ * @param {Array} slots - Slots from fetchSlotBookings
+ * @param {string} containerId - ID of the container element
+ */
+export function renderSlotCapacity(slots, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const rows = slots.map(slot => `
+      <tr>
+        <td>
+          ${sanitizeInput(slot.label)}
+          ${slot.isFull ? '<span class="badge badge-danger">Full</span>' : ''}
+        </td>
+        <td>${slot.booked}</td>
+        <td>
+          <form class="owner-stock-form" data-slot-id="${sanitizeInput(slot.id)}">
+            <input type="number" name="capacity" class="form-input" min="0" step="1"
+                   value="${slot.capacity}" aria-label="Capacity">
+            <button type="submit" class="btn btn-outline btn-sm">Save</button>
+          </form>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Slot</th>
+            <th>Orders</th>
+            <th>Capacity</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the shop's upcoming closures with remove buttons
+ *
+ * Buttons carry `data-closure-id` for the page to handle.
+ *
+ * @param {Array} closures - Closures from fetchClosures (js/closures.js)
+ * @param {string} containerId - ID of the container element
+ */
+export function renderClosures(closures, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (closures.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <p>No closures planned. Shop holidays in the settings still apply.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const rows = closures.map(closure => `
+      <tr>
+        <td>${formatClosureDates(closure)}</td>
+        <td>${sanitizeInput(closure.reason)}</td>
+        <td>
+          <button class="btn btn-outline btn-sm" data-closure-id="${sanitizeInput(closure.closureId)}">Remove</button>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="statement-table-wrapper">
+      <table class="statement-table">
+        <thead>
+          <tr>
+            <th>Dates</th>
+            <th>Reason</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render what is left to sell and what must be thrown away
+ *
+ * @param {Array} products - Batches per product from fetchBatches
+ * @param {string} containerId - ID of the container element
+ */
+export function renderBatchOverview(products, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (products.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <p>No batches on hand. Record today's paneer, dahi, chaas and lassi above.</p>
+      </div>
+    `;
+        return;
+    }
+
+    const batchStatus = batch => {
+        if (batch.expired) {
+            return batch.remaining > 0 ? '<span class="badge badge-danger">Discard</span>' : 'Expired';
+        }
+        if (batch.remaining === 0) {
+            return 'Sold out';
+        }
+        return batch.lastDay ? '<span class="badge badge-warning">Last day</span>' : 'Selling';
+    };
+
+    container.innerHTML = products.map(product => `
+    <div class="order-card">
+      <div class="order-card-header">
+        <span class="order-card-id">${sanitizeInput(product.productName)} (${sanitizeInput(product.unit)})</span>
+        <span>To sell: <strong>${product.toSell}</strong> · To discard: <strong>${product.toDiscard}</strong></span>
+      </div>
+      <div class="statement-table-wrapper">
+        <table class="statement-table">
+          <thead>
+            <tr>
+              <th>Made on</th>
+              <th>Expires</th>
+              <th class="statement-amount">Made</th>
+              <th class="statement-amount">Left</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${product.batches.map(batch => `
+            <tr>
+              <td>${formatDateTime(batch.madeOn, false)}</td>
+              <td>${formatDateTime(batch.expiresOn, false)}</td>
+              <td class="statement-amount">${batch.quantity}</td>
+              <td class="statement-amount">${batch.remaining}</td>
+              <td>${batchStatus(batch)}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `).join('');
+}
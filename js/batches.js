@@ -0,0 +1,160 @@
+/**
+ * Production Batches
+ *
+ * Paneer, dahi, chaas and lassi are made in daily batches that keep only
+ * a few days. Each batch records how much was made, when, and its shelf
+ * life; making a batch adds to the product's counted stock (see
+ * js/inventory.js), and a nightly job takes out what is left of expired
+ * batches.
+ *
+ * Orders take stock from the product count, not from a particular batch.
+ * Sales are assumed to use the oldest batch first, so the stock left
+ * belongs to the newest batches: that is how allocateStock works out what
+ * remains of each batch.
+ *
+ * A batch made on 10 March with a shelf life of 2 days is sold on 10 and
+ * 11 March and expires on 12 March.
+ *
+ * Pure functions only, so the owner page and the serverless functions
+ * agree on what is left.
+ *
+ * @module batches
+ * @requires ./delivery-schedule.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { addDaysToDateKey } from './delivery-schedule.js';
+
+/**
+ * Batch status values
+ * @constant {Object}
+ */
+export const BATCH_STATUS = {
+    ACTIVE: 'active',
+    EXPIRED: 'expired'
+};
+
+/**
+ * Limits for a new batch
+ * @constant {Object}
+ */
+const BATCH_LIMITS = {
+    MAX_QUANTITY: 10000,
+    MAX_SHELF_LIFE_DAYS: 365
+};
+
+/**
+ * Get the date a batch expires
+ *
+ * @param {string} madeOn - Date made (YYYY-MM-DD)
+ * @param {number} shelfLifeDays - Days the batch can be sold
+ * @returns {string} First date it can no longer be sold (YYYY-MM-DD)
+ *
+ * @example
+ * getBatchExpiryDate('2026-03-10', 2);  // "2026-03-12"
+ */
+export function getBatchExpiryDate(madeOn, shelfLifeDays) {
+    return addDaysToDateKey(madeOn, shelfLifeDays);
+}
+
+/**
+ * Check whether a batch can no longer be sold
+ *
+ * @param {Object} batch - Batch {expiresOn}
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {boolean} True on or after its expiry date
+ */
+export function isBatchExpired(batch, dateKey) {
+    return dateKey >= batch.expiresOn;
+}
+
+/**
+ * Work out how much of each batch is still unsold
+ *
+ * The stock left is given to the newest batches first (oldest sold first).
+ *
+ * @param {number} stock - Counted stock of the product or pack size
+ * @param {Array} batches - Active batches {quantity, madeOn, ...}
+ * @returns {Array} The batches, oldest first, each with `remaining`
+ *
+ * @example
+ * allocateStock(15, [{ madeOn: '2026-03-10', quantity: 20 }, { madeOn: '2026-03-11', quantity: 10 }]);
+ * // [{ madeOn: '2026-03-10', quantity: 20, remaining: 5 },
+ * //  { madeOn: '2026-03-11', quantity: 10, remaining: 10 }]
+ */
+export function allocateStock(stock, batches) {
+    let left = Math.max(stock || 0, 0);
+
+    return [...batches]
+        .sort((a, b) => b.madeOn.localeCompare(a.madeOn))
+        .map(batch => {
+            const remaining = Math.min(batch.quantity, left);
+            left -= remaining;
+            return { ...batch, remaining };
+        })
+        .reverse();
+}
+
+/**
+ * Summarize what is left to sell and what must be thrown away
+ *
+ * @param {number} stock - Counted stock of the product or pack size
+ * @param {Array} batches - Active batches
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {Object} {batches, toSell, toDiscard} where each batch has `remaining`,
+ *   `expired` and `lastDay` (today is its last day for sale)
+ *
+ * @example
+ * const { toSell, toDiscard } = summarizeBatches(product.stock, batches, getShopDateKey());
+ */
+export function summarizeBatches(stock, batches, dateKey) {
+    const tomorrow = addDaysToDateKey(dateKey, 1);
+    const allocated = allocateStock(stock, batches).map(batch => ({
+        ...batch,
+        expired: isBatchExpired(batch, dateKey),
+        lastDay: batch.expiresOn === tomorrow
+    }));
+
+    const toDiscard = allocated
+        .filter(batch => batch.expired)
+        .reduce((sum, batch) => sum + batch.remaining, 0);
+
+    return {
+        batches: allocated,
+        toSell: Math.max(stock || 0, 0) - toDiscard,
+        toDiscard
+    };
+}
+
+/**
+ * Validate a new batch
+ *
+ * @param {Object} batch - {quantity, madeOn, shelfLifeDays}
+ * @param {string} today - Shop date (YYYY-MM-DD)
+ * @returns {Object} Validation result {isValid, errors}
+ */
+export function validateBatch(batch, today) {
+    const errors = [];
+    const hasMadeOn = typeof batch.madeOn === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(batch.madeOn);
+
+    if (!Number.isInteger(batch.quantity) || batch.quantity < 1 || batch.quantity > BATCH_LIMITS.MAX_QUANTITY) {
+        errors.push(`Quantity must be a whole number from 1 to ${BATCH_LIMITS.MAX_QUANTITY}`);
+    }
+
+    if (!hasMadeOn || batch.madeOn > today) {
+        errors.push('Made-on date must be today or earlier');
+    }
+
+    if (!Number.isInteger(batch.shelfLifeDays) || batch.shelfLifeDays < 1 ||
+        batch.shelfLifeDays > BATCH_LIMITS.MAX_SHELF_LIFE_DAYS) {
+        errors.push(`Shelf life must be from 1 to ${BATCH_LIMITS.MAX_SHELF_LIFE_DAYS} days`);
+    } else if (hasMadeOn && getBatchExpiryDate(batch.madeOn, batch.shelfLifeDays) <= today) {
+        errors.push('This batch has already expired');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
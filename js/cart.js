@@ -4,7 +4,8 @@
  * This module handles all shopping cart operations including:
  * - Adding/removing/updating items
  * - Cart persistence using localStorage
- * - Cart calculations (subtotal, total)
+ * - Cart calculations (subtotal, coupon discount, delivery fee for the
+ *   chosen delivery area and slot, total)
  * - Cart UI rendering
  * 
  * SECURITY NOTE: Cart data is stored client-side only. Final validation
@@ -14,6 +15,13 @@
  * @requires ./config.js
  * @requires ./utils.js
  * @requires ./products.js
+ * @requires ./coupons.js
+ * @requires ./price-tiers.js
+ * @requires ./product-variants.js
+ * @requires ./inventory.js
+ * @requires ./delivery-zones.js
+ * @requires ./delivery-fees.js
+ * @requires ./firebase-config.js
  * @author OM Yashoda Dairy Development Team
  * @version 1.0.0
  */
@@ -25,16 +33,32 @@ import {
     saveToStorage,
     loadFromStorage,
     removeFromStorage,
-    showToast
+    showToast,
+    getShopDateKey
 } from './utils.js';
 import { getProductById } from './products.js';
+import { checkCoupon, normalizeCouponCode } from './coupons.js';
+import { getUnitPrice, getNextPriceTier } from './price-tiers.js';
+import { getProductVariant, isSameVariant } from './product-variants.js';
+import { formatStockShortage, getStockShortages } from './inventory.js';
+import {
+    checkDeliveryArea,
+    findDeliveryZone,
+    getMinOrderAmount,
+    getServiceableLocalities,
+    isValidPincode,
+    normalizePincode
+} from './delivery-zones.js';
+import { calculateDeliveryFee, getNextDeliveryFeeRule } from './delivery-fees.js';
+import { AuthService } from './firebase-config.js';
 
 // ==================== Cart State Management ====================
 
 /**
  * Get current cart from localStorage
  * 
- * Cart structure: Array of {productId, quantity}
+ * Cart structure: Array of {productId, variantId?, quantity}; a product
+ * can be in the cart once per variant (pack size)
  * 
  * @returns {Array} Array of cart items
  * 
@@ -56,6 +80,9 @@ export function getCart() {
 function saveCart(cart) {
     const success = saveToStorage(CONFIG.STORAGE_KEYS.CART, cart);
 
+    // A different cart is a different order - retries must not replay the old one
+    removeFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+
     // Update cart badge count in UI
     updateCartBadge();
 
@@ -67,23 +94,25 @@ function saveCart(cart) {
  * 
  * @param {string} productId - Product ID to add
  * @param {number} quantity - Quantity to add (default: 1)
+ * @param {string|null} variantId - Pack size (default: the product's default variant)
  * @returns {Promise<boolean>} True if successful
  * 
  * @example
- * await addToCart('buffalo-ghee', 2);
+ * await addToCart('buffalo-ghee', 2, '500g');
  * showToast('Added to cart!', 'success');
  */
-export async function addToCart(productId, quantity = 1) {
+export async function addToCart(productId, quantity = 1, variantId = null) {
     try {
-        // Validate product exists and is in stock
+        // Validate product and variant exist and are in stock
         const product = await getProductById(productId);
+        const variant = product ? getProductVariant(product, variantId) : null;
 
-        if (!product) {
+        if (!variant) {
             showToast('Product not found', 'error');
             return false;
         }
 
-        if (!product.inStock) {
+        if (!product.inStock || !variant.inStock) {
             showToast('Product is out of stock', 'error');
             return false;
         }
@@ -91,8 +120,8 @@ export async function addToCart(productId, quantity = 1) {
         // Get current cart
         const cart = getCart();
 
-        // Check if product already in cart
-        const existingItem = cart.find(item => item.productId === productId);
+        // Check if product already in cart in this size
+        const existingItem = cart.find(item => isSameVariant(item, productId, variant.id));
 
         if (existingItem) {
             // Increase quantity
@@ -101,6 +130,7 @@ export async function addToCart(productId, quantity = 1) {
             // Add new item
             cart.push({
                 productId,
+                ...(variant.id ? { variantId: variant.id } : {}),
                 quantity,
                 addedAt: new Date().toISOString()
             });
@@ -110,7 +140,7 @@ export async function addToCart(productId, quantity = 1) {
         const success = saveCart(cart);
 
         if (success) {
-            showToast(`Added ${product.nameEnglish} to cart`, 'success');
+            showToast(`Added ${product.nameEnglish} (${variant.unit}) to cart`, 'success');
         }
 
         return success;
@@ -126,18 +156,19 @@ export async function addToCart(productId, quantity = 1) {
  * 
  * @param {string} productId - Product ID
  * @param {number} newQuantity - New quantity (must be > 0)
+ * @param {string|null} variantId - Variant ID of the cart item (null if the product has none)
  * @returns {boolean} True if successful
  * 
  * @example
- * updateCartItem('buffalo-ghee', 3);
+ * updateCartItem('buffalo-ghee', 3, '1kg');
  */
-export function updateCartItem(productId, newQuantity) {
+export function updateCartItem(productId, newQuantity, variantId = null) {
     if (newQuantity < 1) {
-        return removeFromCart(productId);
+        return removeFromCart(productId, variantId);
     }
 
     const cart = getCart();
-    const item = cart.find(item => item.productId === productId);
+    const item = cart.find(item => isSameVariant(item, productId, variantId));
 
     if (!item) {
         showToast('Item not found in cart', 'error');
@@ -152,15 +183,16 @@ export function updateCartItem(productId, newQuantity) {
  * Remove item from cart
  * 
  * @param {string} productId - Product ID to remove
+ * @param {string|null} variantId - Variant ID of the cart item (null if the product has none)
  * @returns {boolean} True if successful
  * 
  * @example
- * removeFromCart('buffalo-ghee');
+ * removeFromCart('buffalo-ghee', '500g');
  * showToast('Item removed from cart', 'info');
  */
-export function removeFromCart(productId) {
+export function removeFromCart(productId, variantId = null) {
     const cart = getCart();
-    const filteredCart = cart.filter(item => item.productId !== productId);
+    const filteredCart = cart.filter(item => !isSameVariant(item, productId, variantId));
 
     if (filteredCart.length === cart.length) {
         // Item wasn't in cart
@@ -186,24 +218,270 @@ export function removeFromCart(productId) {
  */
 export function clearCart() {
     removeFromStorage(CONFIG.STORAGE_KEYS.CART);
+    removeFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+    removeFromStorage(CONFIG.STORAGE_KEYS.COUPON);
     updateCartBadge();
     return true;
 }
 
+/**
+ * Replace the cart with a list of items (e.g. when reordering)
+ * 
+ * Items whose product or pack size is no longer in the catalog or is out
+ * of stock are skipped. Products are looked up once and the cart is saved once, so no
+ * per-item toasts are shown - callers report the result themselves.
+ * If none of the items can be added, the cart is left untouched.
+ * 
+ * @param {Array} items - Array of {productId, variantId?, quantity}
+ * @returns {Promise<Object>} {added: [{productId, variantId, quantity, product, variant}],
+ *   skipped: [{productId, variantId, quantity}]}
+ * 
+ * @example
+ * const { added, skipped } = await replaceCart(order.items);
+ * if (skipped.length > 0) showToast(`${skipped.length} item(s) unavailable`, 'info');
+ */
+export async function replaceCart(items) {
+    const added = [];
+    const skipped = [];
+
+    for (const item of items) {
+        const product = await getProductById(item.productId);
+        const variant = product ? getProductVariant(product, item.variantId) : null;
+        const variantId = variant ? variant.id : (item.variantId || null);
+
+        if (!variant || !product.inStock || !variant.inStock) {
+            skipped.push({ productId: item.productId, variantId, quantity: item.quantity });
+            continue;
+        }
+
+        added.push({ productId: item.productId, variantId, quantity: item.quantity, product, variant });
+    }
+
+    if (added.length === 0) {
+        return { added, skipped };
+    }
+
+    saveCart(added.map(item => ({
+        productId: item.productId,
+        ...(item.variantId ? { variantId: item.variantId } : {}),
+        quantity: item.quantity,
+        addedAt: new Date().toISOString()
+    })));
+
+    return { added, skipped };
+}
+
+/**
+ * Get the idempotency key for checking out the current cart
+ * 
+ * The key is created on the first checkout attempt and stored next to the
+ * cart, so a double-click or a retry after a dropped connection sends the
+ * same key and the server returns the original order instead of creating
+ * a duplicate. Changing or clearing the cart discards the key.
+ * 
+ * @returns {string} Idempotency key
+ * 
+ * @example
+ * const key = getCheckoutKey();  // "3f1c2a9e-..."
+ */
+export function getCheckoutKey() {
+    let key = loadFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+
+    if (!key) {
+        key = crypto.randomUUID();
+        saveToStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY, key);
+    }
+
+    return key;
+}
+
+// ==================== Coupons ====================
+
+/**
+ * Get the coupon applied to the cart
+ * 
+ * @returns {Object|null} Coupon rules from applyCoupon, or null
+ */
+export function getAppliedCoupon() {
+    return loadFromStorage(CONFIG.STORAGE_KEYS.COUPON);
+}
+
+/**
+ * Check a coupon code against the cart and apply it
+ * 
+ * The server checks the code, its validity window and usage limits (the
+ * customer's own limit only when signed in). The coupon's rules are kept
+ * with the cart so calculateTotal can update the discount as the cart
+ * changes; checkout sends the code and the server checks it again.
+ * 
+ * @param {string} code - Code as entered by the customer
+ * @returns {Promise<Object>} {coupon, discount}
+ * @throws {Error} If the coupon cannot be used (message is user-friendly, with `code`)
+ * 
+ * @example
+ * const { coupon, discount } = await applyCoupon('diwali10');
+ * showToast(`${coupon.code} applied: you save ${formatCurrency(discount)}`, 'success');
+ */
+export async function applyCoupon(code) {
+    const idToken = await AuthService.getIdToken();
+    const headers = { 'Content-Type': 'application/json' };
+    if (idToken) {
+        headers['Authorization'] = `Bearer ${idToken}`;
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}/validate-coupon`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            code: normalizeCouponCode(code),
+            items: getCart().map(item => ({
+                productId: item.productId,
+                variantId: item.variantId || null,
+                quantity: item.quantity
+            }))
+        })
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(body.message || 'Could not apply the coupon');
+        error.code = body.code;
+        throw error;
+    }
+
+    saveToStorage(CONFIG.STORAGE_KEYS.COUPON, body.coupon);
+
+    // A different discount is a different order - retries must not replay the old one
+    removeFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+
+    return { coupon: body.coupon, discount: body.discount };
+}
+
+/**
+ * Remove the coupon from the cart
+ * 
+ * @returns {boolean} True if successful
+ */
+export function removeCoupon() {
+    removeFromStorage(CONFIG.STORAGE_KEYS.COUPON);
+    removeFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+    return true;
+}
+
+// ==================== Delivery Area ====================
+
+/**
+ * Get the delivery area chosen in the cart or at checkout
+ * 
+ * @returns {Object|null} {pincode, locality} or null if none yet
+ */
+export function getDeliveryArea() {
+    return loadFromStorage(CONFIG.STORAGE_KEYS.DELIVERY_AREA);
+}
+
+/**
+ * Choose the delivery area, which sets the delivery charge and minimum order
+ * 
+ * The area is only saved if the shop delivers there. It is kept when the
+ * cart is cleared, for the customer's next order.
+ * 
+ * @param {Object} area - {pincode, locality}
+ * @returns {Object} {isValid, error, zone} (see checkDeliveryArea)
+ * 
+ * @example
+ * const check = setDeliveryArea({ pincode: '421301', locality: 'Rambaug' });
+ * if (!check.isValid) showToast(check.error, 'error');
+ */
+export function setDeliveryArea(area) {
+    const check = checkDeliveryArea(area);
+
+    if (check.isValid) {
+        const previous = getDeliveryArea();
+        saveToStorage(CONFIG.STORAGE_KEYS.DELIVERY_AREA, {
+            pincode: normalizePincode(area.pincode),
+            locality: area.locality
+        });
+
+        // A different delivery charge is a different order - retries must not replay the old one
+        if (findDeliveryZone(previous)?.id !== check.zone.id) {
+            removeFromStorage(CONFIG.STORAGE_KEYS.CHECKOUT_KEY);
+        }
+    }
+
+    return check;
+}
+
+/**
+ * Set up a pincode input and locality select for choosing the delivery area
+ * 
+ * Both start from the saved area. The locality list follows the pincode,
+ * and choosing a locality saves the area.
+ * 
+ * @param {string} pincodeId - ID of the pincode input
+ * @param {string} localityId - ID of the locality select
+ * @param {Function} onChange - Called with the zone after a new area is saved (optional)
+ * 
+ * @example
+ * initDeliveryAreaPicker('area-pincode', 'area-locality', () => renderCartSummary('cart-summary'));
+ */
+export function initDeliveryAreaPicker(pincodeId, localityId, onChange = null) {
+    const pincodeInput = document.getElementById(pincodeId);
+    const localitySelect = document.getElementById(localityId);
+
+    if (!pincodeInput || !localitySelect) {
+        console.error(`Delivery area fields "${pincodeId}" / "${localityId}" not found`);
+        return;
+    }
+
+    const fillLocalities = selected => {
+        const localities = getServiceableLocalities(pincodeInput.value);
+
+        localitySelect.innerHTML = '<option value="">Select your area</option>' + localities
+            .map(name => `<option value="${sanitizeInput(name)}" ${name === selected ? 'selected' : ''}>${sanitizeInput(name)}</option>`)
+            .join('');
+        localitySelect.disabled = localities.length === 0;
+    };
+
+    const area = getDeliveryArea();
+    pincodeInput.value = area?.pincode || '';
+    fillLocalities(area?.locality);
+
+    pincodeInput.addEventListener('input', () => {
+        fillLocalities(localitySelect.value);
+
+        // A complete pincode the shop does not serve
+        const pincode = normalizePincode(pincodeInput.value);
+        if (isValidPincode(pincode) && localitySelect.disabled) {
+            showToast(checkDeliveryArea({ pincode }).error, 'error');
+        }
+    });
+
+    localitySelect.addEventListener('change', async () => {
+        const check = setDeliveryArea({ pincode: pincodeInput.value, locality: localitySelect.value });
+
+        if (check.isValid && onChange) {
+            await onChange(check.zone);
+        }
+    });
+}
+
 // ==================== Cart Calculations ====================
 
 /**
  * Get cart with full product details
  * 
  * This function enriches cart items with complete product information
- * from the products catalog.
+ * from the products catalog. `variant` is the chosen pack size and
+ * `price` the unit price for the item's quantity, so bulk quantities get
+ * the variant's tier price. Items whose variant no longer exists are left out.
  * 
- * @returns {Promise<Array>} Array of cart items with product details
+ * @returns {Promise<Array>} Array of cart items with product details (product, variant, price, subtotal)
  * 
  * @example
  * const cartItems = await getCartWithDetails();
  * cartItems.forEach(item => {
- *   console.log(`${item.product.nameEnglish}: ${item.quantity} x ${item.product.price}`);
+ *   console.log(`${item.product.nameEnglish}: ${item.quantity} x ${item.price}`);
  * });
  */
 export async function getCartWithDetails() {
@@ -212,12 +490,18 @@ export async function getCartWithDetails() {
 
     for (const item of cart) {
         const product = await getProductById(item.productId);
+        const variant = product ? getProductVariant(product, item.variantId) : null;
+
+        if (variant) {
+            const price = getUnitPrice(variant, item.quantity);
 
-        if (product) {
             cartWithDetails.push({
                 ...item,
+                variantId: variant.id,
                 product,
-                subtotal: product.price * item.quantity
+                variant,
+                price,
+                subtotal: price * item.quantity
             });
         }
     }
@@ -240,41 +524,54 @@ export async function calculateSubtotal() {
 }
 
 /**
- * Calculate delivery charge based on order amount
+ * Calculate cart total (subtotal - coupon discount + delivery)
  * 
- * @param {number} subtotal - Order subtotal
- * @returns {number} Delivery charge in rupees
+ * The applied coupon is re-checked against the current cart; if it no
+ * longer applies (e.g. the cart dropped below its minimum), the discount
+ * is 0 and `couponError` says why. The coupon stays applied in case the
+ * cart changes back. The delivery fee follows CONFIG.DELIVERY_FEE_RULES
+ * for the chosen delivery area and slot.
  * 
- * @example
- * const deliveryCharge = calculateDeliveryCharge(500);
- */
-export function calculateDeliveryCharge(subtotal) {
-    // Free delivery if subtotal meets minimum order amount
-    if (subtotal >= CONFIG.MIN_ORDER_AMOUNT) {
-        return CONFIG.DELIVERY_CHARGE;
-    }
-
-    // Could implement distance-based or tiered delivery charges here
-    return CONFIG.DELIVERY_CHARGE;
-}
-
-/**
- * Calculate cart total (subtotal + delivery)
- * 
- * @returns {Promise<Object>} Object with subtotal, delivery, and total
+ * @param {string|null} deliverySlotId - Chosen delivery slot (null before checkout)
+ * @returns {Promise<Object>} Object with subtotal, discount, coupon, couponError, zone,
+ *   delivery, deliveryRules (the fee rules applied) and total (zone is null until a
+ *   delivery area is chosen)
  * 
  * @example
  * const totals = await calculateTotal();
  * console.log(`Total: ${formatCurrency(totals.total)}`);
  */
-export async function calculateTotal() {
-    const subtotal = await calculateSubtotal();
-    const delivery = calculateDeliveryCharge(subtotal);
-    const total = subtotal + delivery;
+export async function calculateTotal(deliverySlotId = null) {
+    const cartItems = await getCartWithDetails();
+    const subtotal = cartItems.reduce((sum, item) => sum + item.subtotal, 0);
+    const coupon = getAppliedCoupon();
+
+    const check = coupon
+        ? checkCoupon(coupon, {
+            items: cartItems.map(item => ({
+                productId: item.productId,
+                category: item.product.category,
+                subtotal: item.subtotal
+            })),
+            subtotal,
+            dateKey: getShopDateKey()
+        })
+        : null;
+
+    const discount = check?.isValid ? check.discount : 0;
+    const zone = findDeliveryZone(getDeliveryArea());
+    const deliveryFee = calculateDeliveryFee({ subtotal, zone, slotId: deliverySlotId });
+    const delivery = deliveryFee.fee;
+    const total = subtotal - discount + delivery;
 
     return {
         subtotal,
+        discount,
+        coupon,
+        couponError: check && !check.isValid ? check.error : null,
+        zone,
         delivery,
+        deliveryRules: deliveryFee.rules,
         total
     };
 }
@@ -373,9 +670,12 @@ export async function renderCartItems(containerId, language = 'en') {
         const primaryName = language === 'hi' ? product.nameHindi :
             language === 'mr' ? product.nameMarathi :
                 product.nameEnglish;
+        const variant = item.variant;
+        const nextTier = getNextPriceTier(variant, item.quantity);
+        const itemData = `data-product-id="${product.id}" data-variant-id="${sanitizeInput(variant.id || '')}"`;
 
         return `
-      <div class="cart-item" data-product-id="${product.id}">
+      <div class="cart-item" ${itemData}>
         <img 
           src="${sanitizeInput(product.image)}" 
           alt="${sanitizeInput(primaryName)}"
@@ -384,13 +684,18 @@ export async function renderCartItems(containerId, language = 'en') {
         
         <div class="cart-item-details">
           <h3 class="cart-item-name">${sanitizeInput(primaryName)}</h3>
-          <p class="cart-item-unit">${formatCurrency(product.price)} per ${sanitizeInput(product.unit)}</p>
+          <p class="cart-item-unit">
+            ${item.price < variant.price ? `<s>${formatCurrency(variant.price)}</s> ` : ''}${formatCurrency(item.price)} per ${sanitizeInput(variant.unit)}
+          </p>
+          ${nextTier ? `
+          <p class="cart-item-tier">Buy ${nextTier.minQuantity} or more for ${formatCurrency(nextTier.price)} each</p>
+          ` : ''}
         </div>
         
         <div class="cart-item-quantity">
           <button 
             class="btn-quantity btn-decrease" 
-            data-product-id="${product.id}"
+            ${itemData}
             aria-label="Decrease quantity"
           >
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -404,13 +709,13 @@ export async function renderCartItems(containerId, language = 'en') {
             value="${item.quantity}"
             min="1"
             max="99"
-            data-product-id="${product.id}"
+            ${itemData}
             aria-label="Quantity"
           />
           
           <button 
             class="btn-quantity btn-increase" 
-            data-product-id="${product.id}"
+            ${itemData}
             aria-label="Increase quantity"
           >
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -425,7 +730,7 @@ export async function renderCartItems(containerId, language = 'en') {
         
         <button 
           class="btn-remove" 
-          data-product-id="${product.id}"
+          ${itemData}
           aria-label="Remove item"
         >
           <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
@@ -440,14 +745,18 @@ export async function renderCartItems(containerId, language = 'en') {
 }
 
 /**
- * Render cart summary (subtotal, delivery, total)
+ * Render cart summary (subtotal, discount, delivery, total)
+ * 
+ * The delivery fee rules applied are listed under the delivery charges,
+ * with how much more to add for a lower fee.
  * 
  * @param {string} containerId - ID of container element
+ * @param {string|null} deliverySlotId - Chosen delivery slot (null before checkout)
  * 
  * @example
  * await renderCartSummary('cart-summary');
  */
-export async function renderCartSummary(containerId) {
+export async function renderCartSummary(containerId, deliverySlotId = null) {
     const container = document.getElementById(containerId);
 
     if (!container) {
@@ -455,10 +764,14 @@ export async function renderCartSummary(containerId) {
         return;
     }
 
-    const totals = await calculateTotal();
+    const totals = await calculateTotal(deliverySlotId);
     const itemCount = getCartCount();
+    const nextFeeRule = getNextDeliveryFeeRule({ subtotal: totals.subtotal, zone: totals.zone, slotId: deliverySlotId });
 
     const deliveryText = totals.delivery === 0 ? 'FREE' : formatCurrency(totals.delivery);
+    const deliveryRules = totals.deliveryRules.map(rule => `
+    <p class="summary-note">${sanitizeInput(rule.label)}${rule.fee > 0 ? `: ${formatCurrency(rule.fee)}` : ''}</p>
+    `).join('');
 
     container.innerHTML = `
     <div class="summary-row">
@@ -466,11 +779,32 @@ export async function renderCartSummary(containerId) {
       <span>${formatCurrency(totals.subtotal)}</span>
     </div>
     
+    ${totals.discount > 0 ? `
+    <div class="summary-row text-success">
+      <span>Discount (${sanitizeInput(totals.coupon.code)})</span>
+      <span>-${formatCurrency(totals.discount)}</span>
+    </div>
+    ` : ''}
+    
+    ${totals.couponError ? `
+    <p class="summary-note">${sanitizeInput(totals.coupon.code)}: ${sanitizeInput(totals.couponError)}</p>
+    ` : ''}
+    
     <div class="summary-row">
-      <span>Delivery Charges</span>
+      <span>Delivery Charges${totals.zone ? ` (${sanitizeInput(totals.zone.name)})` : ''}</span>
       <span class="${totals.delivery === 0 ? 'text-success' : ''}">${deliveryText}</span>
     </div>
     
+    ${deliveryRules}
+    
+    ${nextFeeRule ? `
+    <p class="summary-note">Add ${formatCurrency(nextFeeRule.amountToAdd)} more: ${sanitizeInput(nextFeeRule.rule.label)}</p>
+    ` : ''}
+    
+    ${totals.zone ? '' : `
+    <p class="summary-note">Choose your delivery area to see any extra delivery charge for it.</p>
+    `}
+    
     <div class="summary-divider"></div>
     
     <div class="summary-row summary-total">
@@ -503,12 +837,14 @@ export function initCartEventListeners() {
         const productId = target.dataset.productId;
         if (!productId) return;
 
+        const variantId = target.dataset.variantId || null;
+
         // Handle quantity decrease
         if (target.classList.contains('btn-decrease')) {
             const cart = getCart();
-            const item = cart.find(i => i.productId === productId);
+            const item = cart.find(i => isSameVariant(i, productId, variantId));
             if (item) {
-                updateCartItem(productId, item.quantity - 1);
+                updateCartItem(productId, item.quantity - 1, variantId);
                 await refreshCartUI();
             }
         }
@@ -516,16 +852,16 @@ export function initCartEventListeners() {
         // Handle quantity increase
         if (target.classList.contains('btn-increase')) {
             const cart = getCart();
-            const item = cart.find(i => i.productId === productId);
+            const item = cart.find(i => isSameVariant(i, productId, variantId));
             if (item) {
-                updateCartItem(productId, item.quantity + 1);
+                updateCartItem(productId, item.quantity + 1, variantId);
                 await refreshCartUI();
             }
         }
 
         // Handle remove item
         if (target.classList.contains('btn-remove')) {
-            removeFromCart(productId);
+            removeFromCart(productId, variantId);
             await refreshCartUI();
         }
     });
@@ -534,15 +870,16 @@ export function initCartEventListeners() {
     document.addEventListener('change', async (e) => {
         if (e.target.classList.contains('quantity-input')) {
             const productId = e.target.dataset.productId;
+            const variantId = e.target.dataset.variantId || null;
             const newQuantity = parseInt(e.target.value, 10);
 
             if (newQuantity > 0 && newQuantity <= 99) {
-                updateCartItem(productId, newQuantity);
+                updateCartItem(productId, newQuantity, variantId);
                 await refreshCartUI();
             } else {
                 // Reset to current quantity if invalid
                 const cart = getCart();
-                const item = cart.find(i => i.productId === productId);
+                const item = cart.find(i => isSameVariant(i, productId, variantId));
                 if (item) {
                     e.target.value = item.quantity;
                 }
@@ -571,7 +908,9 @@ async function refreshCartUI() {
  * Checks for:
  * - Empty cart
  * - Out of stock items
- * - Minimum order amount
+ * - Quantities above the stock left
+ * - A delivery area the shop serves
+ * - The area's minimum order amount
  * 
  * @returns {Promise<Object>} Validation result {isValid, errors}
  * 
@@ -593,18 +932,29 @@ export async function validateCart() {
 
     // Check if all items are still in stock
     const cartItems = await getCartWithDetails();
-    const outOfStockItems = cartItems.filter(item => !item.product.inStock);
+    const outOfStockItems = cartItems.filter(item => !item.product.inStock || !item.variant.inStock);
 
     if (outOfStockItems.length > 0) {
         outOfStockItems.forEach(item => {
-            errors.push(`${item.product.nameEnglish} is out of stock`);
+            errors.push(`${item.product.nameEnglish} (${item.variant.unit}) is out of stock`);
         });
     }
 
-    // Check minimum order amount
+    // Check counted stock (checked again when the order is placed)
+    const products = new Map(cartItems.map(item => [item.productId, item.product]));
+    getStockShortages(cartItems.filter(item => item.variant.inStock), products)
+        .filter(shortage => shortage.available > 0)
+        .forEach(shortage => errors.push(formatStockShortage(shortage)));
+
+    // Check the delivery area and its minimum order amount
     const totals = await calculateTotal();
-    if (totals.subtotal < CONFIG.MIN_ORDER_AMOUNT) {
-        errors.push(`Minimum order amount is ${formatCurrency(CONFIG.MIN_ORDER_AMOUNT)}`);
+    if (!totals.zone) {
+        errors.push('Please choose your delivery area');
+    }
+
+    const minOrderAmount = getMinOrderAmount(totals.zone);
+    if (totals.subtotal < minOrderAmount) {
+        errors.push(`Minimum order amount${totals.zone ? ` for ${totals.zone.name}` : ''} is ${formatCurrency(minOrderAmount)}`);
     }
 
     return {
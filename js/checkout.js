@@ -10,6 +10,9 @@
  * @requires ./config.js
  * @requires ./firebase-config.js
  * @requires ./cart.js
+ * @requires ./payment-methods.js
+ * @requires ./delivery-schedule.js
+ * @requires ./delivery-zones.js
  * @requires ./utils.js
  * @author OM Yashoda Dairy Development Team
  * @version 1.0.0
@@ -17,15 +20,18 @@
 
 import { CONFIG } from './config.js';
 import { AuthService, DatabaseService } from './firebase-config.js';
-import { getCartWithDetails, calculateTotal, clearCart } from './cart.js';
+import { getCartWithDetails, calculateTotal, clearCart, getCheckoutKey, setDeliveryArea } from './cart.js';
+import { getPaymentMethod } from './payment-methods.js';
+import { checkDeliveryChoice, getDeliverySlot } from './delivery-schedule.js';
+import { checkDeliveryArea, checkZoneSlot, getMinOrderAmount, normalizePincode } from './delivery-zones.js';
 import {
     validatePhone,
     validateEmail,
     sanitizeInput,
+    formatCurrency,
     showToast,
     showLoading,
-    hideLoading,
-    generateOrderId
+    hideLoading
 } from './utils.js';
 
 /**
@@ -58,14 +64,36 @@ export function validateCheckoutForm(formData) {
         errors.push('Please enter a valid email address');
     }
 
-    // Validate address
+    // Validate address (house, building and street) and delivery area
     if (!formData.address || formData.address.trim().length < 10) {
-        errors.push('Please enter a complete delivery address');
+        errors.push('Please enter your house or flat number, building and street');
     }
 
-    // Validate delivery slot
-    if (!formData.deliverySlot) {
+    const area = checkDeliveryArea({ pincode: formData.pincode, locality: formData.locality });
+    if (!area.isValid) {
+        errors.push(area.error);
+    }
+
+    // Validate delivery date and slot (holidays, closed days and cutoffs)
+    if (!formData.deliveryDate) {
+        errors.push('Please select a delivery date');
+    } else if (!formData.deliverySlotId) {
         errors.push('Please select a delivery time slot');
+    } else {
+        const slot = getDeliverySlot(formData.deliverySlotId);
+        const check = checkDeliveryChoice(formData.deliveryDate, slot);
+        const zoneCheck = area.isValid && slot ? checkZoneSlot(area.zone, slot) : null;
+
+        if (!check.isValid) {
+            errors.push(check.error);
+        } else if (zoneCheck && !zoneCheck.isValid) {
+            errors.push(zoneCheck.error);
+        }
+    }
+
+    // Validate payment method
+    if (!getPaymentMethod(formData.paymentMethodId)) {
+        errors.push('Please select a payment method');
     }
 
     return {
@@ -77,27 +105,44 @@ export function validateCheckoutForm(formData) {
 /**
  * Submit order to backend API
  * 
+ * Sends the current user's Firebase ID token so the server can verify who
+ * is placing the order. The server re-prices every item. If the prices
+ * sent here no longer match, the request fails with code 'PRICE_MISMATCH'
+ * and the thrown error carries the server's `code` and response `details`.
+ * 
  * @param {Object} orderData - Complete order data
+ * @param {string} idempotencyKey - Key identifying this checkout across retries
  * @returns {Promise<Object>} API response with order ID
- * @throws {Error} If submission fails
+ * @throws {Error} If submission fails (with `code` and `details` when the API rejected it)
  * 
  * @example
- * const response = await submitOrder(orderData);
+ * const response = await submitOrder(orderData, getCheckoutKey());
  * console.log('Order ID:', response.orderId);
  */
-export async function submitOrder(orderData) {
+export async function submitOrder(orderData, idempotencyKey) {
     try {
+        // The API derives the user from this token, not from orderData.userId
+        const idToken = await AuthService.getIdToken();
+        if (!idToken) {
+            throw new Error('Please login to continue');
+        }
+
         const response = await fetch(`${CONFIG.API_BASE_URL}/submit-order`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`,
+                'Idempotency-Key': idempotencyKey
             },
             body: JSON.stringify(orderData)
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to submit order');
+            const body = await response.json();
+            const error = new Error(body.message || 'Failed to submit order');
+            error.code = body.code;
+            error.details = body;
+            throw error;
         }
 
         return await response.json();
@@ -107,24 +152,48 @@ export async function submitOrder(orderData) {
     }
 }
 
+/**
+ * Get how many more orders each delivery slot can take on a date
+ * 
+ * The server checks again when the order is submitted.
+ * 
+ * @param {string} date - Delivery date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Slots [{id, label, deliveryDate, capacity, booked, remaining, isFull}]
+ * @throws {Error} If availability cannot be loaded
+ * 
+ * @example
+ * const slots = await fetchSlotAvailability('2026-02-14');
+ * const full = slots.filter(slot => slot.isFull).map(slot => slot.id);
+ */
+export async function fetchSlotAvailability(date) {
+    const response = await fetch(`${CONFIG.API_BASE_URL}/slot-availability?${new URLSearchParams({ date })}`);
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error(body.message || 'Could not load delivery slots');
+    }
+
+    return body.slots;
+}
+
 /**
  * Process checkout and create order
  * 
  * This is the main checkout function that:
  * 1. Validates form data
  * 2. Gets cart items
- * 3. Creates order in database
- * 4. Sends notifications
- * 5. Clears cart
+ * 3. Submits the order to the API, which prices, persists and
+ *    notifies (the browser never writes to the orders collection)
+ * 4. Clears cart
  * 
  * @param {Object} formData - Checkout form data
  * @param {Object} user - Authenticated user object
- * @returns {Promise<string>} Order ID
+ * @returns {Promise<Object>} The persisted order returned by the API
  * @throws {Error} If checkout fails
  * 
  * @example
- * const orderId = await processCheckout(formData, user);
- * window.location.href = `/confirmation.html?orderId=${orderId}`;
+ * const order = await processCheckout(formData, user);
+ * window.location.href = `/confirmation.html?orderId=${order.orderId}`;
  */
 export async function processCheckout(formData, user) {
     // Validate form
@@ -139,63 +208,84 @@ export async function processCheckout(formData, user) {
         throw new Error('Your cart is empty');
     }
 
-    // Calculate totals
-    const totals = await calculateTotal();
+    // Calculate totals for the chosen delivery area and slot
+    setDeliveryArea({ pincode: formData.pincode, locality: formData.locality });
+    const totals = await calculateTotal(formData.deliverySlotId);
 
-    // Generate order ID
-    const orderId = generateOrderId();
+    const minOrderAmount = getMinOrderAmount(totals.zone);
+    if (totals.subtotal < minOrderAmount) {
+        throw new Error(`Minimum order amount for ${totals.zone.name} is ${formatCurrency(minOrderAmount)}`);
+    }
 
-    // Prepare order data
+    // Prepare order data (order number, status and timestamps are set by the server)
     const orderData = {
-        orderId,
         userId: user.uid,
         customer: {
             name: sanitizeInput(formData.name),
             email: formData.email ? sanitizeInput(formData.email) : user.email,
             phone: sanitizeInput(formData.phone),
-            address: sanitizeInput(formData.address),
+            addressLine: sanitizeInput(formData.address),
+            locality: formData.locality,
+            pincode: normalizePincode(formData.pincode),
             landmark: formData.landmark ? sanitizeInput(formData.landmark) : ''
         },
         items: cartItems.map(item => ({
             productId: item.productId,
+            variantId: item.variantId,
             productName: item.product.nameEnglish,
             productNameHindi: item.product.nameHindi,
             quantity: item.quantity,
-            price: item.product.price,
-            unit: item.product.unit,
+            price: item.price,
+            unit: item.variant.unit,
             subtotal: item.subtotal
         })),
-        deliverySlot: formData.deliverySlot,
+        deliveryDate: formData.deliveryDate,
+        deliverySlotId: formData.deliverySlotId,
+        paymentMethodId: formData.paymentMethodId,
         specialInstructions: formData.specialInstructions ? sanitizeInput(formData.specialInstructions) : '',
-        paymentMethod: 'Cash on Delivery',
+        // Only a coupon that applies to this cart is sent; the server checks it again
+        ...(totals.discount > 0 ? { couponCode: totals.coupon.code } : {}),
         subtotal: totals.subtotal,
+        discount: totals.discount,
         deliveryCharge: totals.delivery,
-        total: totals.total,
-        status: 'pending',
-        createdAt: new Date().toISOString()
+        total: totals.total
     };
 
+    let order;
+
     try {
-        // Save order to Firestore
-        await DatabaseService.createOrder(orderData);
+        // Submit to backend (prices, persists and sends notifications).
+        // The same key is reused if this checkout is retried.
+        const response = await submitOrder(orderData, getCheckoutKey());
+        order = response.order;
+    } catch (error) {
+        console.error('Checkout error:', error);
 
-        // Submit to backend for notifications
-        await submitOrder(orderData);
+        // Errors reported by the API already carry a user-friendly message
+        if (error.code) {
+            throw error;
+        }
 
-        // Update user profile with phone if not already set
-        if (formData.phone) {
+        throw new Error('Failed to process order. Please try again.');
+    }
+
+    // Clear cart - the order is placed
+    clearCart();
+
+    // Update user profile with phone if not already set
+    // (best effort: the order already exists, so a failure here must not fail checkout)
+    if (formData.phone) {
+        try {
             await DatabaseService.updateUser(user.uid, {
                 phone: formData.phone,
-                address: formData.address
+                address: formData.address,
+                locality: formData.locality,
+                pincode: normalizePincode(formData.pincode)
             });
+        } catch (error) {
+            console.warn('Could not update user profile after checkout:', error);
         }
-
-        // Clear cart
-        clearCart();
-
-        return orderId;
-    } catch (error) {
-        console.error('Checkout error:', error);
-        throw new Error('Failed to process order. Please try again.');
     }
+
+    return order;
 }
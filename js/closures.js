@@ -0,0 +1,88 @@
+/**
+ * Shop Closures Module
+ *
+ * Loads the days the shop is closed (the owner's closures from
+ * /api/closures) for the delivery date picker, and shows customers a
+ * notice on the home and products pages ahead of a closure or shop
+ * holiday. Which dates are closed is decided in delivery-schedule.js.
+ *
+ * @module closures
+ * @requires ./config.js
+ * @requires ./delivery-schedule.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { formatClosureDates, getUpcomingClosures } from './delivery-schedule.js';
+import { sanitizeInput } from './utils.js';
+
+/**
+ * Get the closures that have not ended yet
+ *
+ * Never throws: if they cannot be loaded, only CONFIG.SHOP_HOLIDAYS apply
+ * in the browser (the server still refuses orders for closed dates).
+ *
+ * @returns {Promise<Array>} [{closureId, startDate, endDate, reason}]
+ *
+ * @example
+ * const dates = getDeliveryDates(new Date(), await fetchClosures());
+ */
+export async function fetchClosures() {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/closures`);
+        const body = await response.json();
+
+        if (!response.ok) {
+            throw new Error(body.message || 'Could not load shop closures');
+        }
+
+        return body.closures;
+    } catch (error) {
+        console.warn('Could not load shop closures:', error);
+        return [];
+    }
+}
+
+/**
+ * Show a notice about upcoming closures
+ *
+ * The container is hidden when nothing closes within
+ * CONFIG.CLOSURE_NOTICE_DAYS.
+ *
+ * @param {string} containerId - ID of the container element
+ * @returns {Promise<void>}
+ *
+ * @example
+ * renderClosureNotice('closure-notice');
+ */
+export async function renderClosureNotice(containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const closures = getUpcomingClosures(await fetchClosures());
+
+    if (closures.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const dates = closures
+        .map(closure => `${formatClosureDates(closure)} (${sanitizeInput(closure.reason)})`)
+        .join(' · ');
+
+    container.innerHTML = `
+    <div class="container">
+      <div class="alert alert-warning" role="status">
+        <strong>Shop closed:</strong> ${dates}<br>
+        No deliveries on these days. Please order for another date.
+      </div>
+    </div>
+  `;
+    container.style.display = 'block';
+}
@@ -53,6 +53,21 @@ export const CONFIG = {
    */
   SHOP_EMAIL: 'info@omyashodadairy.com',
   
+  /**
+   * IANA time zone of the shop
+   * Order numbers and delivery dates are based on the shop's calendar day,
+   * not the browser's or server's local time
+   * @type {string}
+   */
+  SHOP_TIME_ZONE: 'Asia/Kolkata',
+  
+  /**
+   * UTC offset of the shop time zone (India has no daylight saving time)
+   * Used to turn a shop date and slot time into an exact moment
+   * @type {string}
+   */
+  SHOP_UTC_OFFSET: '+05:30',
+  
   // ==================== Business Hours ====================
   
   /**
@@ -76,33 +91,249 @@ export const CONFIG = {
      * Days of operation
      * @type {string}
      */
-    days: 'Monday - Sunday'
+    days: 'Monday - Sunday',
+    
+    /**
+     * Days of the week without deliveries (0 = Sunday ... 6 = Saturday)
+     * Keep in line with `days` above.
+     * @type {Array<number>}
+     */
+    closedDays: []
   },
   
   // ==================== Delivery Settings ====================
   
   /**
-   * Delivery charge in rupees (0 = free delivery)
-   * @type {number}
+   * Delivery fee rules, applied by js/delivery-fees.js
+   * The fee is the first matching `base` rule plus every matching `extra`
+   * rule. A rule matches when the order meets all of its conditions:
+   * `minSubtotal` (rupees, item subtotal before any coupon), `zoneIds`
+   * (from DELIVERY_ZONES) and `slotIds` (from DELIVERY_SLOTS). Keep a base
+   * rule without conditions last. The label is what the cart summary
+   * shows.
+   * A premium slot can be charged extra with `slotIds`, e.g.
+   * `{ id: 'express', type: 'extra', label: 'Express delivery', slotIds: ['express'], fee: 30 }`
+   * once the slot is added to DELIVERY_SLOTS. Subscription deliveries
+   * are always free and do not use these rules.
+   * @type {Array<Object>}
    */
-  DELIVERY_CHARGE: 0,
+  DELIVERY_FEE_RULES: [
+    { id: 'free-over-300', type: 'base', label: 'Free delivery on orders of ₹300 or more', minSubtotal: 300, fee: 0 },
+    { id: 'standard', type: 'base', label: 'Delivery on orders under ₹300', fee: 20 },
+    { id: 'outer-area', type: 'extra', label: 'Outer area', zoneIds: ['kalyan-west-outer'], fee: 20 }
+  ],
   
   /**
    * Minimum order amount for delivery in rupees
+   * Used until the customer has chosen a delivery area. Keep it at or
+   * below every zone's `minOrderAmount`.
    * @type {number}
    */
   MIN_ORDER_AMOUNT: 50,
   
+  /**
+   * Areas the shop delivers to
+   * An address is served by the zone listing both its pincode and its
+   * locality. Each zone has its own `minOrderAmount` (rupees) and the
+   * delivery slots offered there (`slotIds`, from DELIVERY_SLOTS); extra
+   * delivery fees for far zones are in DELIVERY_FEE_RULES. Customers pick
+   * their locality from these lists, so spell them the way customers
+   * know them.
+   * @type {Array<Object>}
+   */
+  DELIVERY_ZONES: [
+    {
+      id: 'kalyan-west',
+      name: 'Kalyan West',
+      pincodes: ['421301'],
+      localities: [
+        'Rambaug', 'Santoshi Mata Road', 'Syndicate', 'Birla College Road',
+        'Khadakpada', 'Shivaji Chowk', 'Kalyan Station Area'
+      ],
+      minOrderAmount: 50,
+      slotIds: ['morning', 'afternoon', 'evening']
+    },
+    {
+      id: 'kalyan-west-outer',
+      name: 'Kalyan West (outer)',
+      pincodes: ['421301'],
+      localities: ['Adharwadi', 'Gandhare', 'Barave', 'Wayle Nagar', 'Godrej Hill'],
+      minOrderAmount: 150,
+      slotIds: ['morning', 'evening']
+    }
+  ],
+  
   /**
    * Available delivery time slots
-   * @type {Array<string>}
+   * Times are shop-local, 24-hour format. The label is what customers,
+   * emails and stored orders show. `capacity` is how many orders the
+   * delivery boys can take in the slot on one day; the owner can change it
+   * for a particular date on the owner page. Orders for a slot close at
+   * `cutoffTime`, `cutoffDaysBefore` days before the delivery date (the
+   * morning slot closes at 10 PM the night before). Slots must lie within
+   * BUSINESS_HOURS.
+   * @type {Array<Object>}
    */
   DELIVERY_SLOTS: [
-    'Morning (7 AM - 10 AM)',
-    'Afternoon (12 PM - 3 PM)',
-    'Evening (5 PM - 8 PM)'
+    {
+      id: 'morning', label: 'Morning (7 AM - 10 AM)', start: '07:00', end: '10:00',
+      capacity: 30, cutoffDaysBefore: 1, cutoffTime: '22:00'
+    },
+    {
+      id: 'afternoon', label: 'Afternoon (12 PM - 3 PM)', start: '12:00', end: '15:00',
+      capacity: 20, cutoffDaysBefore: 0, cutoffTime: '09:00'
+    },
+    {
+      id: 'evening', label: 'Evening (5 PM - 8 PM)', start: '17:00', end: '20:00',
+      capacity: 30, cutoffDaysBefore: 0, cutoffTime: '14:00'
+    }
+  ],
+  
+  /**
+   * How many days ahead customers can choose a delivery date
+   * (today up to today + this many days)
+   * @type {number}
+   */
+  DELIVERY_DAYS_AHEAD: 7,
+  
+  // ==================== Cancellation Settings ====================
+  
+  /**
+   * Customers can cancel an order until this many hours before
+   * the start of its delivery slot
+   * @type {number}
+   */
+  CANCELLATION_CUTOFF_HOURS: 2,
+  
+  /**
+   * Reasons offered when a customer cancels an order
+   * @type {Array<string>}
+   */
+  CANCELLATION_REASONS: [
+    'Ordered by mistake',
+    'Need to change items or quantity',
+    'Will not be home for delivery',
+    'Delivery slot no longer suits me',
+    'Other'
+  ],
+  
+  // ==================== Subscription Settings ====================
+  
+  /**
+   * Days the shop does not deliver (shop dates, YYYY-MM-DD)
+   * No subscription orders are generated for these dates.
+   * Update this list at the start of every year. One-off closures
+   * (family events, extra festival days) are added on the owner page.
+   * @type {Array<Object>}
+   */
+  SHOP_HOLIDAYS: [
+    { date: '2026-03-04', name: 'Holi' },
+    { date: '2026-11-08', name: 'Diwali (Lakshmi Puja)' }
   ],
   
+  /**
+   * Days before a closure that customers see a notice about it
+   * on the home and products pages
+   * @type {number}
+   */
+  CLOSURE_NOTICE_DAYS: 7,
+  
+  /**
+   * Longest closure the owner can add at once, in days
+   * @type {number}
+   */
+  CLOSURE_MAX_DAYS: 31,
+  
+  /**
+   * Shop-local time at which the next day's subscription orders are generated
+   * Keep in sync with the cron schedule in vercel.json (15:30 UTC = 21:00 IST).
+   * Pauses, skips and other changes made after this time apply from the
+   * day after tomorrow.
+   * @type {string}
+   */
+  SUBSCRIPTION_ORDER_CUTOFF: '21:00',
+  
+  /**
+   * Longest vacation pause a customer can set in one go (days)
+   * @type {number}
+   */
+  SUBSCRIPTION_MAX_PAUSE_DAYS: 60,
+  
+  /**
+   * Maximum quantity of one product per subscription delivery
+   * @type {number}
+   */
+  SUBSCRIPTION_MAX_QUANTITY: 20,
+  
+  // ==================== Stock Settings ====================
+  
+  /**
+   * The owner is emailed when a counted product or pack size drops to this
+   * many units or fewer (products can set their own `lowStockThreshold`)
+   * @type {number}
+   */
+  LOW_STOCK_THRESHOLD: 5,
+  
+  // ==================== Payment Settings ====================
+  
+  /**
+   * Payment methods offered at checkout
+   * Monthly account orders are added to the customer's ledger (khata) and
+   * settled against the monthly statement; only customers the shop has
+   * enabled for monthly billing can choose it. "Pay Online" is only
+   * offered when FEATURES.ONLINE_PAYMENT is on.
+   * @type {Array<Object>}
+   */
+  PAYMENT_METHODS: [
+    {
+      id: 'cod',
+      label: 'Cash on Delivery',
+      description: 'Pay when you receive your order.'
+    },
+    {
+      id: 'monthly-account',
+      label: 'Monthly Account (Khata)',
+      description: 'Added to your monthly bill. Available once the shop has opened a monthly account for you.'
+    },
+    {
+      id: 'wallet',
+      label: 'Prepaid Wallet',
+      description: 'Paid from your wallet balance. The shop tops up your wallet when you pay in cash or UPI.'
+    },
+    {
+      id: 'upi',
+      label: 'UPI (Google Pay, PhonePe, Paytm)',
+      description: 'Pay the exact amount with any UPI app after placing the order. We start preparing it once the payment is confirmed.'
+    },
+    {
+      id: 'online',
+      label: 'Pay Online',
+      description: 'Card, UPI or netbanking through our payment partner. Your order is confirmed as soon as the payment goes through.'
+    }
+  ],
+  
+  /**
+   * UPI ID (VPA) that customers pay for UPI orders
+   * Payments go straight to the shop's bank account; the owner confirms
+   * each one with its UTR, so no payment gateway is involved.
+   * @type {string}
+   */
+  UPI_PAYEE_VPA: '9320056114@upi',
+  
+  /**
+   * Payee name shown in the customer's UPI app
+   * @type {string}
+   */
+  UPI_PAYEE_NAME: 'OM Yashoda Dairy',
+  
+  /**
+   * Ways a customer can pay the shop directly
+   * Shown when the shop owner records a monthly account payment or a
+   * wallet top-up
+   * @type {Array<string>}
+   */
+  LEDGER_PAYMENT_MODES: ['Cash', 'UPI', 'Bank Transfer', 'Cheque'],
+  
   // ==================== API Configuration ====================
   
   /**
@@ -131,6 +362,25 @@ export const CONFIG = {
      */
     CART: 'om_dairy_cart',
     
+    /**
+     * Idempotency key for the current cart's checkout
+     * Reused when an order submission is retried, reset when the cart changes
+     * @type {string}
+     */
+    CHECKOUT_KEY: 'om_dairy_checkout_key',
+    
+    /**
+     * Coupon applied to the cart (its rules, as returned by /api/validate-coupon)
+     * @type {string}
+     */
+    COUPON: 'om_dairy_coupon',
+    
+    /**
+     * Delivery area chosen in the cart or at checkout ({pincode, locality})
+     * @type {string}
+     */
+    DELIVERY_AREA: 'om_dairy_delivery_area',
+    
     /**
      * User information (cached for convenience)
      * @type {string}
@@ -159,6 +409,12 @@ export const CONFIG = {
    */
   PRODUCTS_PER_PAGE: 12,
   
+  /**
+   * Number of orders to load per page in order history
+   * @type {number}
+   */
+  ORDERS_PER_PAGE: 10,
+  
   /**
    * Toast notification duration in milliseconds
    * @type {number}
@@ -227,7 +483,9 @@ export const CONFIG = {
     EMAIL_NOTIFICATIONS: true,
     
     /**
-     * Enable online payment (future feature)
+     * Offer "Pay Online" at checkout
+     * Payments go through the provider set by the PAYMENT_PROVIDER
+     * environment variable ("fake" is a local test gateway)
      * @type {boolean}
      */
     ONLINE_PAYMENT: false,
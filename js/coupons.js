@@ -0,0 +1,153 @@
+/**
+ * Coupon Rules
+ *
+ * Festival offers and promo codes. A coupon gives a percentage or flat
+ * discount, optionally limited to some products or categories, with a
+ * minimum order amount, a validity window (shop dates, inclusive) and
+ * usage limits per customer and overall.
+ *
+ * The cart applies these rules for display; /api/submit-order applies
+ * them again to the server-side prices and checks the usage limits in the
+ * transaction that creates the order.
+ *
+ * Pure functions only, so the same rules run in the browser and in the
+ * serverless functions.
+ *
+ * @module coupons
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { formatCurrency } from './utils.js';
+
+/**
+ * Discount types
+ * @constant {Object}
+ */
+export const COUPON_TYPE = Object.freeze({
+    PERCENT: 'percent',
+    FLAT: 'flat'
+});
+
+/**
+ * Normalize a coupon code as typed by a customer
+ *
+ * @param {string} code - Code as entered
+ * @returns {string} Upper-case code without surrounding spaces ('' if not a string)
+ *
+ * @example
+ * normalizeCouponCode(' diwali10 ');  // "DIWALI10"
+ */
+export function normalizeCouponCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Check whether a coupon covers an item
+ *
+ * A coupon without products or categories covers the whole order.
+ *
+ * @param {Object} coupon - Coupon {productIds, categories}
+ * @param {Object} item - Item {productId, category}
+ * @returns {boolean} True if the discount applies to the item
+ */
+export function isItemEligible(coupon, item) {
+    const productIds = coupon.productIds || [];
+    const categories = coupon.categories || [];
+
+    if (productIds.length === 0 && categories.length === 0) {
+        return true;
+    }
+
+    return productIds.includes(item.productId) || categories.includes(item.category);
+}
+
+/**
+ * Calculate the discount a coupon gives on a set of items
+ *
+ * Percentage discounts are rounded to whole rupees and capped at
+ * `maxDiscount`; no discount exceeds the value of the items it covers.
+ *
+ * @param {Object} coupon - Coupon {type, value, maxDiscount, productIds, categories}
+ * @param {Array} items - Items [{productId, category, subtotal}]
+ * @returns {number} Discount in rupees (0 if no item is covered)
+ *
+ * @example
+ * calculateCouponDiscount(
+ *   { type: 'percent', value: 10, maxDiscount: 100, categories: ['premium'] },
+ *   [{ productId: 'cow-ghee', category: 'premium', subtotal: 700 }]
+ * );  // 70
+ */
+export function calculateCouponDiscount(coupon, items) {
+    const eligibleSubtotal = items
+        .filter(item => isItemEligible(coupon, item))
+        .reduce((sum, item) => sum + item.subtotal, 0);
+
+    if (eligibleSubtotal === 0) {
+        return 0;
+    }
+
+    let discount = coupon.type === COUPON_TYPE.PERCENT
+        ? Math.round(eligibleSubtotal * coupon.value / 100)
+        : coupon.value;
+
+    if (coupon.type === COUPON_TYPE.PERCENT && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return Math.min(discount, eligibleSubtotal);
+}
+
+/**
+ * Check whether a coupon can be used for an order and work out the discount
+ *
+ * Usage counts are only known to the server; leave them out in the
+ * browser and the limits are not checked.
+ *
+ * @param {Object|null} coupon - Coupon (null if the code does not exist)
+ * @param {Object} order - Order details
+ * @param {Array} order.items - Items [{productId, category, subtotal}]
+ * @param {number} order.subtotal - Order subtotal before the discount
+ * @param {string} order.dateKey - Shop date of the order (YYYY-MM-DD)
+ * @param {Object} order.usage - Optional {total, byUser} redemption counts
+ * @returns {Object} {isValid, error, discount}
+ *
+ * @example
+ * const check = checkCoupon(coupon, { items, subtotal: 700, dateKey: '2026-10-30' });
+ * if (!check.isValid) showToast(check.error, 'error');
+ */
+export function checkCoupon(coupon, { items, subtotal, dateKey, usage = null }) {
+    const invalid = error => ({ isValid: false, error, discount: 0 });
+
+    if (!coupon || coupon.active === false) {
+        return invalid('This coupon code is not valid.');
+    }
+
+    if (coupon.validFrom && dateKey < coupon.validFrom) {
+        return invalid(`This coupon can be used from ${coupon.validFrom}.`);
+    }
+
+    if (coupon.validUntil && dateKey > coupon.validUntil) {
+        return invalid('This coupon has expired.');
+    }
+
+    if (coupon.minOrderAmount && subtotal < coupon.minOrderAmount) {
+        return invalid(`This coupon needs an order of at least ${formatCurrency(coupon.minOrderAmount)}.`);
+    }
+
+    if (usage && coupon.usageLimit && usage.total >= coupon.usageLimit) {
+        return invalid('This coupon has been fully redeemed.');
+    }
+
+    if (usage && coupon.perUserLimit && usage.byUser >= coupon.perUserLimit) {
+        return invalid('You have already used this coupon.');
+    }
+
+    const discount = calculateCouponDiscount(coupon, items);
+    if (discount === 0) {
+        return invalid('This coupon does not apply to the items in your cart.');
+    }
+
+    return { isValid: true, error: null, discount };
+}
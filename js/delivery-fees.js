@@ -0,0 +1,108 @@
+/**
+ * Delivery Fees Module
+ *
+ * Works out an order's delivery fee from CONFIG.DELIVERY_FEE_RULES: the
+ * first matching base rule (e.g. free on orders of ₹300 or more, ₹20
+ * below) plus every matching extra (e.g. far zones, premium slots).
+ * The rules applied are returned with the fee so customers can see why
+ * they pay it.
+ *
+ * Pure functions only, so the cart, checkout and /api/submit-order charge
+ * the same fee.
+ *
+ * @module delivery-fees
+ * @requires ./config.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Fill in the optional order details
+ *
+ * @private
+ * @param {Object} order - Order details (see calculateDeliveryFee)
+ * @returns {Object} {subtotal, zone, slotId}
+ */
+function toFeeOrder({ subtotal, zone = null, slotId = null }) {
+    return { subtotal, zone, slotId };
+}
+
+/**
+ * Check whether an order meets all of a rule's conditions
+ *
+ * @private
+ * @param {Object} rule - Fee rule from CONFIG.DELIVERY_FEE_RULES
+ * @param {Object} order - {subtotal, zone, slotId}
+ * @returns {boolean} True if the rule applies
+ */
+function matchesRule(rule, order) {
+    return (rule.minSubtotal === undefined || order.subtotal >= rule.minSubtotal) &&
+        (!rule.zoneIds || rule.zoneIds.includes(order.zone?.id)) &&
+        (!rule.slotIds || rule.slotIds.includes(order.slotId));
+}
+
+/**
+ * Get the base rule that applies to an order
+ *
+ * @private
+ * @param {Object} order - {subtotal, zone, slotId}
+ * @returns {Object|null} Base rule, or null if none matches
+ */
+function findBaseRule(order) {
+    return CONFIG.DELIVERY_FEE_RULES.find(rule => rule.type === 'base' && matchesRule(rule, order)) || null;
+}
+
+/**
+ * Calculate the delivery fee of an order
+ *
+ * @param {Object} order - Order details
+ * @param {number} order.subtotal - Item subtotal in rupees (before any coupon)
+ * @param {Object|null} [order.zone] - Delivery zone (null before an area is chosen)
+ * @param {string|null} [order.slotId] - Delivery slot ID (null before one is chosen)
+ * @returns {Object} {fee, rules} where rules are the applied rules [{id, label, fee}]
+ *
+ * @example
+ * calculateDeliveryFee({ subtotal: 120, zone: getDeliveryZone('kalyan-west-outer'), slotId: 'morning' });
+ * // { fee: 40, rules: [{ id: 'standard', label: 'Delivery on orders under ₹300', fee: 20 },
+ * //                    { id: 'outer-area', label: 'Outer area', fee: 20 }] }
+ */
+export function calculateDeliveryFee(order) {
+    const feeOrder = toFeeOrder(order);
+    const extras = CONFIG.DELIVERY_FEE_RULES.filter(rule => rule.type === 'extra' && matchesRule(rule, feeOrder));
+
+    const rules = [findBaseRule(feeOrder), ...extras]
+        .filter(Boolean)
+        .map(({ id, label, fee }) => ({ id, label, fee }));
+
+    return {
+        fee: rules.reduce((sum, rule) => sum + rule.fee, 0),
+        rules
+    };
+}
+
+/**
+ * Get the cheaper base rule that a larger order would reach
+ *
+ * @param {Object} order - Order details (see calculateDeliveryFee)
+ * @returns {Object|null} {amountToAdd, rule}, or null if a larger order pays the same
+ *
+ * @example
+ * getNextDeliveryFeeRule({ subtotal: 220 });
+ * // { amountToAdd: 80, rule: { id: 'free-over-300', label: 'Free delivery on orders of ₹300 or more', ... } }
+ */
+export function getNextDeliveryFeeRule(order) {
+    const feeOrder = toFeeOrder(order);
+    const current = findBaseRule(feeOrder);
+    if (!current) return null;
+
+    const next = CONFIG.DELIVERY_FEE_RULES
+        .filter(rule => rule.type === 'base' && rule.minSubtotal > feeOrder.subtotal)
+        .map(rule => rule.minSubtotal)
+        .sort((a, b) => a - b)
+        .map(subtotal => ({ subtotal, rule: findBaseRule({ ...feeOrder, subtotal }) }))
+        .find(({ rule }) => rule && rule.fee < current.fee);
+
+    return next ? { amountToAdd: next.subtotal - feeOrder.subtotal, rule: next.rule } : null;
+}
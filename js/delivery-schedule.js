@@ -0,0 +1,461 @@
+/**
+ * Delivery Schedule Module
+ * 
+ * Works out which dates and slots customers can still order for (shop
+ * holidays, the owner's closures, closed days and slot cutoffs), when an
+ * order's delivery slot starts, whether the customer may still cancel
+ * it, and how many more orders a slot can take.
+ * 
+ * All times are in the shop's time zone. Like order-status.js, this module
+ * has no browser or Firebase dependencies so the browser (to show or hide
+ * the cancel button) and the serverless functions (to enforce the cutoff)
+ * use the same rules.
+ * 
+ * @module delivery-schedule
+ * @requires ./config.js
+ * @requires ./utils.js
+ * @requires ./order-status.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { getShopDateKey } from './utils.js';
+import { CUSTOMER_CANCELLABLE_STATUSES } from './order-status.js';
+
+// ==================== Slots ====================
+
+/**
+ * Get a delivery slot by ID
+ * 
+ * @param {string} slotId - Slot ID (e.g. "morning")
+ * @returns {Object|null} Slot {id, label, start, end} or null if unknown
+ * 
+ * @example
+ * getDeliverySlot('evening').label;  // "Evening (5 PM - 8 PM)"
+ */
+export function getDeliverySlot(slotId) {
+    return CONFIG.DELIVERY_SLOTS.find(slot => slot.id === slotId) || null;
+}
+
+/**
+ * Get the delivery slot of an order
+ * 
+ * Orders placed before slots had IDs only store the label.
+ * 
+ * @param {Object} order - Order object
+ * @returns {Object|null} Slot or null if it no longer exists
+ */
+export function getOrderDeliverySlot(order) {
+    return getDeliverySlot(order.deliverySlotId) ||
+        CONFIG.DELIVERY_SLOTS.find(slot => slot.label === order.deliverySlot) ||
+        null;
+}
+
+// ==================== Capacity ====================
+
+/**
+ * Get how many orders a slot can take on a day
+ * 
+ * @param {Object} slot - Delivery slot
+ * @param {Object|null} day - The date's `deliverySlots` document (null if none yet)
+ * @returns {number} Capacity (the owner's figure for the date, else the slot's)
+ */
+export function getSlotCapacity(slot, day) {
+    return day?.slots?.[slot.id]?.capacity ?? slot.capacity;
+}
+
+/**
+ * Describe how full a slot is on a day
+ * 
+ * @param {Object} slot - Delivery slot
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @param {Object|null} day - The date's `deliverySlots` document (null if none yet)
+ * @returns {Object} {id, label, deliveryDate, capacity, booked, remaining, isFull}
+ * 
+ * @example
+ * getSlotAvailability(getDeliverySlot('morning'), '2026-02-13', { slots: { morning: { booked: 30 } } });
+ * // { id: 'morning', ..., capacity: 30, booked: 30, remaining: 0, isFull: true }
+ */
+export function getSlotAvailability(slot, dateKey, day) {
+    const capacity = getSlotCapacity(slot, day);
+    const booked = day?.slots?.[slot.id]?.booked || 0;
+    const remaining = Math.max(capacity - booked, 0);
+
+    return {
+        id: slot.id,
+        label: slot.label,
+        deliveryDate: dateKey,
+        capacity,
+        booked,
+        remaining,
+        isFull: remaining === 0
+    };
+}
+
+// ==================== Dates ====================
+
+/**
+ * Convert a Date, ISO string or Firestore Timestamp to a Date
+ * 
+ * @private
+ * @param {Date|string|Object} value - Date-like value
+ * @returns {Date} Date
+ */
+function toDate(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate();
+    }
+    return value instanceof Date ? value : new Date(value);
+}
+
+/**
+ * Check that a value is a YYYY-MM-DD date
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * Get the day of week of a shop date
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {number} Day of week (0 = Sunday ... 6 = Saturday)
+ * 
+ * @example
+ * getDayOfWeek('2026-02-13');  // 5 (Friday)
+ */
+export function getDayOfWeek(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Format a shop date for customers and emails
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {string} Date (e.g. "Sat, 14 Mar")
+ */
+export function formatDeliveryDate(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-IN', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Get the exact moment of a shop-local date and time
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {string} time - Shop-local time (HH:MM, 24-hour)
+ * @returns {Date} Date for that moment
+ * 
+ * @example
+ * getShopDateTime('2026-02-13', '07:00').toISOString();  // "2026-02-13T01:30:00.000Z"
+ */
+export function getShopDateTime(dateKey, time) {
+    return new Date(`${dateKey}T${time}:00${CONFIG.SHOP_UTC_OFFSET}`);
+}
+
+/**
+ * Add days to a shop date
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New shop date (YYYY-MM-DD)
+ * 
+ * @example
+ * addDaysToDateKey('2026-02-28', 1);  // "2026-03-01"
+ */
+export function addDaysToDateKey(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the delivery date of an order placed without one
+ * 
+ * Before customers chose a date, orders were delivered in the chosen slot
+ * today if it had not started yet, otherwise in the same slot tomorrow.
+ * 
+ * @param {Object} slot - Delivery slot
+ * @param {Date} now - Order time (default: now)
+ * @returns {string} Delivery date (YYYY-MM-DD)
+ * 
+ * @example
+ * // At 11:00 shop time
+ * getDefaultDeliveryDate(getDeliverySlot('morning'));  // tomorrow
+ * getDefaultDeliveryDate(getDeliverySlot('evening'));  // today
+ */
+export function getDefaultDeliveryDate(slot, now = new Date()) {
+    const today = getShopDateKey(now);
+    return getShopDateTime(today, slot.start) > now ? today : addDaysToDateKey(today, 1);
+}
+
+/**
+ * Get the moment an order's delivery slot starts
+ * 
+ * @param {Object} order - Order object
+ * @returns {Date|null} Slot start, or null if the slot is unknown
+ */
+export function getDeliveryStart(order) {
+    const slot = getOrderDeliverySlot(order);
+    if (!slot) {
+        return null;
+    }
+
+    // Orders placed before delivery dates were stored: derive it from the order time
+    const deliveryDate = order.deliveryDate ||
+        getDefaultDeliveryDate(slot, order.createdAt ? toDate(order.createdAt) : new Date());
+
+    return getShopDateTime(deliveryDate, slot.start);
+}
+
+// ==================== Delivery Dates ====================
+
+/**
+ * Get the shop holiday or closure on a date, if any
+ * 
+ * Closures are the owner's one-off closed periods (`closures` collection,
+ * see /api/closures); callers that have not loaded them only see
+ * CONFIG.SHOP_HOLIDAYS.
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {Array} closures - Closures [{startDate, endDate, reason}] (default: none)
+ * @returns {Object|null} Holiday {date, name} or null
+ * 
+ * @example
+ * getShopHoliday('2026-03-04');  // { date: '2026-03-04', name: 'Holi' }
+ * getShopHoliday('2026-05-12', [{ startDate: '2026-05-11', endDate: '2026-05-13', reason: 'Family wedding' }]);
+ * // { date: '2026-05-12', name: 'Family wedding' }
+ */
+export function getShopHoliday(dateKey, closures = []) {
+    const holiday = CONFIG.SHOP_HOLIDAYS.find(entry => entry.date === dateKey);
+    if (holiday) {
+        return holiday;
+    }
+
+    const closure = closures.find(entry => entry.startDate <= dateKey && dateKey <= entry.endDate);
+    return closure ? { date: dateKey, name: closure.reason } : null;
+}
+
+/**
+ * Check whether the shop delivers on a date
+ * 
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {Array} closures - The owner's closures (default: none)
+ * @returns {boolean} False on shop holidays, closures and BUSINESS_HOURS.closedDays
+ */
+export function isDeliveryDay(dateKey, closures = []) {
+    return !getShopHoliday(dateKey, closures) &&
+        !CONFIG.BUSINESS_HOURS.closedDays.includes(getDayOfWeek(dateKey));
+}
+
+/**
+ * Get the last moment a slot on a date can still be ordered
+ * 
+ * @param {Object} slot - Delivery slot
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @returns {Date} Order cutoff
+ * 
+ * @example
+ * getSlotCutoff(getDeliverySlot('morning'), '2026-02-14');  // 13 Feb, 22:00 shop time
+ */
+export function getSlotCutoff(slot, dateKey) {
+    return getShopDateTime(addDaysToDateKey(dateKey, -slot.cutoffDaysBefore), slot.cutoffTime);
+}
+
+/**
+ * Check whether an order can be placed for a delivery date and slot
+ * 
+ * The date must be a delivery day within CONFIG.DELIVERY_DAYS_AHEAD, the
+ * slot within BUSINESS_HOURS, and its cutoff not yet passed.
+ * 
+ * @param {string} dateKey - Delivery date (YYYY-MM-DD)
+ * @param {Object|null} slot - Delivery slot
+ * @param {Date} now - Current time (default: now)
+ * @param {Array} closures - The owner's closures (default: none)
+ * @returns {Object} {isValid, error}
+ * 
+ * @example
+ * const check = checkDeliveryChoice('2026-02-14', getDeliverySlot('morning'));
+ * if (!check.isValid) showToast(check.error, 'error');
+ */
+export function checkDeliveryChoice(dateKey, slot, now = new Date(), closures = []) {
+    const today = getShopDateKey(now);
+    const fail = error => ({ isValid: false, error });
+
+    if (!isDateKey(dateKey) || dateKey < today ||
+        dateKey > addDaysToDateKey(today, CONFIG.DELIVERY_DAYS_AHEAD)) {
+        return fail(`Please choose a delivery date within the next ${CONFIG.DELIVERY_DAYS_AHEAD} days.`);
+    }
+
+    const holiday = getShopHoliday(dateKey, closures);
+    if (holiday) {
+        return fail(`The shop is closed on ${formatDeliveryDate(dateKey)} (${holiday.name}). Please choose another date.`);
+    }
+    if (!isDeliveryDay(dateKey, closures)) {
+        return fail(`We do not deliver on ${formatDeliveryDate(dateKey)}. Please choose another date.`);
+    }
+
+    if (!slot || slot.start < CONFIG.BUSINESS_HOURS.open || slot.end > CONFIG.BUSINESS_HOURS.close) {
+        return fail('Please select a valid delivery slot');
+    }
+
+    if (now >= getSlotCutoff(slot, dateKey)) {
+        return fail(`Orders for the ${slot.label} slot on ${formatDeliveryDate(dateKey)} have closed. Please choose a later slot or date.`);
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * List the dates and slots customers can still order for
+ * 
+ * @param {Date} now - Current time (default: now)
+ * @param {Array} closures - The owner's closures (default: none)
+ * @returns {Array} [{date, label, slotIds}] in date order, only dates with an open slot
+ * 
+ * @example
+ * getDeliveryDates()[0];  // { date: '2026-02-14', label: 'Sat, 14 Feb', slotIds: ['morning', ...] }
+ */
+export function getDeliveryDates(now = new Date(), closures = []) {
+    const today = getShopDateKey(now);
+    const dates = [];
+
+    for (let days = 0; days <= CONFIG.DELIVERY_DAYS_AHEAD; days++) {
+        const date = addDaysToDateKey(today, days);
+        const slotIds = CONFIG.DELIVERY_SLOTS
+            .filter(slot => checkDeliveryChoice(date, slot, now, closures).isValid)
+            .map(slot => slot.id);
+
+        if (slotIds.length > 0) {
+            dates.push({ date, label: formatDeliveryDate(date), slotIds });
+        }
+    }
+
+    return dates;
+}
+
+// ==================== Closures ====================
+
+/**
+ * Format the dates of a closure
+ * 
+ * @param {Object} closure - Closure {startDate, endDate}
+ * @returns {string} Dates (e.g. "Mon, 11 May - Wed, 13 May", or one date)
+ */
+export function formatClosureDates(closure) {
+    return closure.startDate === closure.endDate
+        ? formatDeliveryDate(closure.startDate)
+        : `${formatDeliveryDate(closure.startDate)} - ${formatDeliveryDate(closure.endDate)}`;
+}
+
+/**
+ * List the holidays and closures customers should be told about now
+ * 
+ * Those that have not ended and start within CONFIG.CLOSURE_NOTICE_DAYS.
+ * Shop holidays are included as one-day closures.
+ * 
+ * @param {Array} closures - The owner's closures [{startDate, endDate, reason}]
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array} [{startDate, endDate, reason}] in date order
+ * 
+ * @example
+ * getUpcomingClosures(closures).map(formatClosureDates);  // ["Mon, 11 May - Wed, 13 May"]
+ */
+export function getUpcomingClosures(closures, now = new Date()) {
+    const today = getShopDateKey(now);
+    const lastNoticeDate = addDaysToDateKey(today, CONFIG.CLOSURE_NOTICE_DAYS);
+    const holidays = CONFIG.SHOP_HOLIDAYS.map(holiday => ({
+        startDate: holiday.date,
+        endDate: holiday.date,
+        reason: holiday.name
+    }));
+
+    return [...holidays, ...closures]
+        .filter(closure => closure.endDate >= today && closure.startDate <= lastNoticeDate)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Validate a new closure
+ * 
+ * @param {Object} closure - {startDate, endDate, reason}
+ * @param {string} today - Shop date (YYYY-MM-DD)
+ * @returns {Object} Validation result {isValid, errors}
+ */
+export function validateClosure(closure, today) {
+    const errors = [];
+    const reason = typeof closure.reason === 'string' ? closure.reason.trim() : '';
+
+    if (!isDateKey(closure.startDate) || closure.startDate < today) {
+        errors.push('Start date must be today or later');
+    } else if (!isDateKey(closure.endDate) || closure.endDate < closure.startDate) {
+        errors.push('End date must be on or after the start date');
+    } else if (closure.endDate >= addDaysToDateKey(closure.startDate, CONFIG.CLOSURE_MAX_DAYS)) {
+        errors.push(`A closure can last at most ${CONFIG.CLOSURE_MAX_DAYS} days`);
+    }
+
+    if (reason.length < 2 || reason.length > 100) {
+        errors.push('Please give a reason customers will see (2 to 100 characters)');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+// ==================== Cancellation ====================
+
+/**
+ * Get the last moment a customer may cancel an order
+ * 
+ * @param {Object} order - Order object
+ * @returns {Date|null} Cancellation deadline, or null if the slot is unknown
+ */
+export function getCancellationDeadline(order) {
+    const start = getDeliveryStart(order);
+    if (!start) {
+        return null;
+    }
+
+    return new Date(start.getTime() - CONFIG.CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether the customer may cancel an order
+ * 
+ * @param {Object} order - Order object
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} {isValid, error}
+ * 
+ * @example
+ * const check = checkCustomerCancellation(order);
+ * if (!check.isValid) showToast(check.error, 'error');
+ */
+export function checkCustomerCancellation(order, now = new Date()) {
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+        return {
+            isValid: false,
+            error: 'This order is already being prepared and can no longer be cancelled online. Please call the shop.'
+        };
+    }
+
+    const deadline = getCancellationDeadline(order);
+    if (!deadline || now > deadline) {
+        return {
+            isValid: false,
+            error: `Orders can only be cancelled up to ${CONFIG.CANCELLATION_CUTOFF_HOURS} hours before the delivery slot. Please call the shop.`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
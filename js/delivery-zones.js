@@ -0,0 +1,172 @@
+/**
+ * Delivery Zones Module
+ *
+ * Works out whether the shop delivers to an address and on what terms.
+ * Addresses are structured: a pincode, a locality chosen from the
+ * serviceable ones, and the house, building and street. Each zone in
+ * CONFIG.DELIVERY_ZONES has its own delivery charge, minimum order and
+ * delivery slots.
+ *
+ * Like delivery-schedule.js, this module has no browser or Firebase
+ * dependencies so the cart, checkout and the serverless functions apply
+ * the same zones.
+ *
+ * @module delivery-zones
+ * @requires ./config.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Normalize a pincode as typed by a customer
+ *
+ * @param {*} value - Pincode
+ * @returns {string} Digits only (e.g. "421 301" -> "421301")
+ */
+export function normalizePincode(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, '') : '';
+}
+
+/**
+ * Check that a value is an Indian pincode
+ *
+ * @param {*} value - Pincode (normalized)
+ * @returns {boolean} True for six digits not starting with 0
+ */
+export function isValidPincode(value) {
+    return typeof value === 'string' && /^[1-9]\d{5}$/.test(value);
+}
+
+/**
+ * Get a delivery zone by ID
+ *
+ * @param {string} zoneId - Zone ID (e.g. "kalyan-west")
+ * @returns {Object|null} Zone or null if unknown
+ */
+export function getDeliveryZone(zoneId) {
+    return CONFIG.DELIVERY_ZONES.find(zone => zone.id === zoneId) || null;
+}
+
+/**
+ * List the localities served in a pincode
+ *
+ * @param {string} pincode - Pincode
+ * @returns {Array<string>} Localities in alphabetical order (empty if none)
+ *
+ * @example
+ * getServiceableLocalities('421301');  // ['Adharwadi', 'Barave', 'Birla College Road', ...]
+ */
+export function getServiceableLocalities(pincode) {
+    const code = normalizePincode(pincode);
+
+    return CONFIG.DELIVERY_ZONES
+        .filter(zone => zone.pincodes.includes(code))
+        .flatMap(zone => zone.localities)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * List every pincode the shop delivers to
+ *
+ * @returns {Array<string>} Pincodes
+ */
+export function getServiceablePincodes() {
+    return [...new Set(CONFIG.DELIVERY_ZONES.flatMap(zone => zone.pincodes))];
+}
+
+/**
+ * Find the zone that serves an area
+ *
+ * @param {Object} area - {pincode, locality}
+ * @returns {Object|null} Zone, or null if the shop does not deliver there
+ *
+ * @example
+ * findDeliveryZone({ pincode: '421301', locality: 'Rambaug' }).id;  // "kalyan-west"
+ */
+export function findDeliveryZone(area) {
+    const pincode = normalizePincode(area?.pincode);
+    const locality = typeof area?.locality === 'string' ? area.locality.trim().toLowerCase() : '';
+
+    return CONFIG.DELIVERY_ZONES.find(zone =>
+        zone.pincodes.includes(pincode) &&
+        zone.localities.some(name => name.toLowerCase() === locality)
+    ) || null;
+}
+
+/**
+ * Check whether the shop delivers to an area
+ *
+ * @param {Object} area - {pincode, locality}
+ * @returns {Object} {isValid, error, zone}
+ *
+ * @example
+ * const check = checkDeliveryArea({ pincode: '400001', locality: 'Fort' });
+ * // { isValid: false, error: 'Sorry, we do not deliver to 400001. ...', zone: null }
+ */
+export function checkDeliveryArea(area) {
+    const pincode = normalizePincode(area?.pincode);
+    const fail = error => ({ isValid: false, error, zone: null });
+
+    if (!isValidPincode(pincode)) {
+        return fail('Please enter a valid 6-digit pincode');
+    }
+
+    if (getServiceableLocalities(pincode).length === 0) {
+        return fail(`Sorry, we do not deliver to ${pincode}. We deliver in pincode ${getServiceablePincodes().join(', ')}.`);
+    }
+
+    const zone = findDeliveryZone(area);
+    if (!zone) {
+        return fail('Please choose your area from the list');
+    }
+
+    return { isValid: true, error: null, zone };
+}
+
+/**
+ * Check whether a delivery slot is offered in a zone
+ *
+ * @param {Object} zone - Delivery zone
+ * @param {Object} slot - Delivery slot
+ * @returns {Object} {isValid, error}
+ */
+export function checkZoneSlot(zone, slot) {
+    if (zone.slotIds.includes(slot.id)) {
+        return { isValid: true, error: null };
+    }
+
+    return {
+        isValid: false,
+        error: `The ${slot.label} slot is not available in ${zone.name}. Please choose another slot.`
+    };
+}
+
+/**
+ * Get the minimum order amount for a zone
+ *
+ * @param {Object|null} zone - Delivery zone (null before an area is chosen)
+ * @returns {number} Minimum order in rupees
+ */
+export function getMinOrderAmount(zone) {
+    return zone ? zone.minOrderAmount : CONFIG.MIN_ORDER_AMOUNT;
+}
+
+/**
+ * Format a structured address as one line
+ *
+ * Orders store this as `customer.address`, which emails and the order
+ * screens show.
+ *
+ * @param {Object} customer - {addressLine, locality, pincode} where addressLine is
+ *   the house, building and street
+ * @returns {string} One-line address
+ *
+ * @example
+ * formatDeliveryAddress({ addressLine: 'B-12, Hari Om Krupa', locality: 'Rambaug', pincode: '421301' });
+ * // "B-12, Hari Om Krupa, Rambaug - 421301"
+ */
+export function formatDeliveryAddress(customer) {
+    return `${customer.addressLine}, ${customer.locality} - ${customer.pincode}`;
+}
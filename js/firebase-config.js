@@ -40,13 +40,13 @@ import {
     setDoc,
     getDoc,
     getDocs,
-    addDoc,
     updateDoc,
     deleteDoc,
     query,
     where,
     orderBy,
     limit,
+    startAfter,
     serverTimestamp
 } from 'https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js';
 
@@ -272,6 +272,43 @@ export class AuthService {
         };
     }
 
+    /**
+     * Get a Firebase ID token for the current user
+     * 
+     * Send it as `Authorization: Bearer <token>` to API endpoints that
+     * need to know who is calling. Firebase refreshes it automatically.
+     * 
+     * @returns {Promise<string|null>} ID token or null if not authenticated
+     * 
+     * @example
+     * const token = await AuthService.getIdToken();
+     */
+    static async getIdToken() {
+        const user = auth.currentUser;
+        if (!user) return null;
+
+        return user.getIdToken();
+    }
+
+    /**
+     * Check whether the current user is the shop owner
+     * 
+     * The owner has the custom claim `admin: true`. This only decides what
+     * the page shows; the API and security rules check the claim themselves.
+     * 
+     * @returns {Promise<boolean>} True if the signed-in user is the owner
+     * 
+     * @example
+     * if (await AuthService.isOwner()) showOwnerTools();
+     */
+    static async isOwner() {
+        const user = auth.currentUser;
+        if (!user) return false;
+
+        const tokenResult = await user.getIdTokenResult();
+        return tokenResult.claims.admin === true;
+    }
+
     /**
      * Listen for authentication state changes
      * 
@@ -446,42 +483,8 @@ export class DatabaseService {
 
     // ==================== Order Operations ====================
 
-    /**
-     * Create a new order in the database
-     * 
-     * @param {Object} orderData - Complete order information
-     * @param {string} orderData.userId - User ID who placed the order
-     * @param {Array} orderData.items - Array of order items
-     * @param {Object} orderData.customer - Customer details
-     * @param {number} orderData.total - Total order amount
-     * @param {string} orderData.status - Order status
-     * @returns {Promise<string>} Created order ID
-     * @throws {Error} If creation fails
-     * 
-     * @example
-     * const orderId = await DatabaseService.createOrder({
-     *   userId: 'user123',
-     *   items: [{productId: 'ghee', quantity: 2, price: 800}],
-     *   customer: {name: 'John', phone: '+919876543210'},
-     *   total: 1600,
-     *   status: 'pending'
-     * });
-     */
-    static async createOrder(orderData) {
-        try {
-            const ordersRef = collection(db, this.COLLECTIONS.ORDERS);
-            const docRef = await addDoc(ordersRef, {
-                ...orderData,
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp()
-            });
-
-            return docRef.id;
-        } catch (error) {
-            console.error('Error creating order:', error);
-            throw new Error('Failed to create order');
-        }
-    }
+    // Orders are created only by the /api/submit-order serverless function,
+    // which prices and numbers them server-side. The browser can read them.
 
     /**
      * Get order by ID
@@ -543,26 +546,80 @@ export class DatabaseService {
     }
 
     /**
-     * Update order status
+     * Get one page of a user's orders, newest first
      * 
-     * @param {string} orderId - Order ID
-     * @param {string} status - New status (pending, confirmed, delivered, cancelled)
-     * @returns {Promise<void>}
-     * @throws {Error} If update fails
+     * Uses Firestore cursors: pass the `cursor` returned by the previous
+     * call to load the next page.
+     * 
+     * @param {string} userId - User ID
+     * @param {number} pageSize - Orders per page
+     * @param {Object|null} cursor - Cursor from the previous page (null for the first page)
+     * @returns {Promise<Object>} {orders, cursor, hasMore}
+     * @throws {Error} If retrieval fails
      * 
      * @example
-     * await DatabaseService.updateOrderStatus('order123', 'confirmed');
+     * const first = await DatabaseService.getUserOrdersPage('user123', 10);
+     * const second = await DatabaseService.getUserOrdersPage('user123', 10, first.cursor);
      */
-    static async updateOrderStatus(orderId, status) {
+    static async getUserOrdersPage(userId, pageSize = 10, cursor = null) {
         try {
-            const orderRef = doc(db, this.COLLECTIONS.ORDERS, orderId);
-            await updateDoc(orderRef, {
-                status,
-                updatedAt: serverTimestamp()
-            });
+            const ordersRef = collection(db, this.COLLECTIONS.ORDERS);
+            const constraints = [
+                where('userId', '==', userId),
+                orderBy('createdAt', 'desc')
+            ];
+
+            if (cursor) {
+                constraints.push(startAfter(cursor));
+            }
+
+            // Fetch one extra document to know whether another page exists
+            constraints.push(limit(pageSize + 1));
+
+            const querySnapshot = await getDocs(query(ordersRef, ...constraints));
+            const docs = querySnapshot.docs.slice(0, pageSize);
+
+            return {
+                orders: docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() })),
+                cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+                hasMore: querySnapshot.docs.length > pageSize
+            };
         } catch (error) {
-            console.error('Error updating order status:', error);
-            throw new Error('Failed to update order status');
+            console.error('Error getting user orders page:', error);
+            throw new Error('Failed to retrieve orders');
+        }
+    }
+
+    /**
+     * Get the most recent orders with a given status (shop owner only)
+     * 
+     * Security rules only allow this for users with the `admin` claim.
+     * Status changes go through /api/update-order-status so that delivered
+     * orders are posted to the customer's ledger.
+     * 
+     * @param {string} status - Order status (see ORDER_STATUS)
+     * @param {number} limitCount - Maximum number of orders to return
+     * @returns {Promise<Array>} Orders, newest first
+     * @throws {Error} If retrieval fails
+     * 
+     * @example
+     * const pending = await DatabaseService.getOrdersByStatus('pending');
+     */
+    static async getOrdersByStatus(status, limitCount = 50) {
+        try {
+            const ordersRef = collection(db, this.COLLECTIONS.ORDERS);
+            const q = query(
+                ordersRef,
+                where('status', '==', status),
+                orderBy('createdAt', 'desc'),
+                limit(limitCount)
+            );
+
+            const querySnapshot = await getDocs(q);
+            return querySnapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }));
+        } catch (error) {
+            console.error('Error getting orders by status:', error);
+            throw new Error('Failed to retrieve orders');
         }
     }
 }
@@ -0,0 +1,239 @@
+/**
+ * Inventory Counts
+ *
+ * Products (or each of their pack sizes) can carry a numeric `stock`: the
+ * number of units the shop can still sell. Counted stock is taken when an
+ * order is placed and given back when it is cancelled, and its `inStock`
+ * flag follows the count (false at zero). Products without a `stock`
+ * number are not counted; their `inStock` is switched by hand as before.
+ *
+ * A counted size that drops to its low-stock threshold (its own
+ * `lowStockThreshold`, the product's, or CONFIG.LOW_STOCK_THRESHOLD) or
+ * sells out raises a stock alert for the owner. The level last alerted is
+ * kept in `stockAlert` next to the count, so each crossing alerts once;
+ * it is cleared when the count goes back above the threshold.
+ *
+ * Pure functions only, so the cart and the serverless functions check
+ * stock the same way.
+ *
+ * @module inventory
+ * @requires ./config.js
+ * @requires ./product-variants.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { getProductVariant, getProductVariants, getVariantKey } from './product-variants.js';
+
+/**
+ * Stock alert levels
+ * @constant {Object}
+ */
+export const STOCK_ALERT = {
+    LOW: 'low',
+    SOLD_OUT: 'sold-out'
+};
+
+/**
+ * How serious each alert level is (no alert is 0)
+ * @constant {Object}
+ */
+const STOCK_ALERT_RANK = {
+    [STOCK_ALERT.LOW]: 1,
+    [STOCK_ALERT.SOLD_OUT]: 2
+};
+
+/**
+ * Check whether a product or pack size has its stock counted
+ *
+ * @param {Object} variant - Variant (see getProductVariants) or product
+ * @returns {boolean} True if it has a numeric stock
+ */
+export function isStockTracked(variant) {
+    return Number.isInteger(variant.stock);
+}
+
+/**
+ * Get the count at which a product or pack size is low on stock
+ *
+ * @param {Object} product - Product
+ * @param {Object} variant - Variant (see getProductVariants)
+ * @returns {number} Threshold in units
+ */
+export function getLowStockThreshold(product, variant) {
+    return variant.lowStockThreshold ?? product.lowStockThreshold ?? CONFIG.LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Get the alert level for a stock count
+ *
+ * @param {number|null} stock - Units on hand (null when not counted)
+ * @param {number} threshold - Low-stock threshold
+ * @returns {string|null} STOCK_ALERT value, or null while stock is fine
+ *
+ * @example
+ * getStockAlertLevel(3, 5);  // "low"
+ * getStockAlertLevel(0, 5);  // "sold-out"
+ */
+export function getStockAlertLevel(stock, threshold) {
+    if (!Number.isInteger(stock)) {
+        return null;
+    }
+    if (stock <= 0) {
+        return STOCK_ALERT.SOLD_OUT;
+    }
+
+    return stock <= threshold ? STOCK_ALERT.LOW : null;
+}
+
+/**
+ * Find the items an order cannot get because too little is in stock
+ *
+ * Quantities of the same product and pack size are added up first, so
+ * splitting a line does not get round the count.
+ *
+ * @param {Array} items - Items [{productId, variantId?, quantity}]
+ * @param {Map<string, Object>} products - Current products by ID
+ * @returns {Array} Shortages [{productId, variantId, productName, unit, requested, available}]
+ *
+ * @example
+ * getStockShortages([{ productId: 'paneer', quantity: 3 }], products);
+ * // [{ productId: 'paneer', variantId: null, productName: 'Fresh Paneer', unit: '250g',
+ * //    requested: 3, available: 2 }]
+ */
+export function getStockShortages(items, products) {
+    const requested = new Map();
+
+    items.forEach(item => {
+        const key = getVariantKey(item);
+        const entry = requested.get(key) || { productId: item.productId, variantId: item.variantId || null, quantity: 0 };
+        entry.quantity += item.quantity;
+        requested.set(key, entry);
+    });
+
+    const shortages = [];
+
+    requested.forEach(entry => {
+        const product = products.get(entry.productId);
+        const variant = product ? getProductVariant(product, entry.variantId) : null;
+
+        if (variant && isStockTracked(variant) && entry.quantity > variant.stock) {
+            shortages.push({
+                productId: entry.productId,
+                variantId: entry.variantId,
+                productName: product.nameEnglish,
+                unit: variant.unit,
+                requested: entry.quantity,
+                available: Math.max(variant.stock, 0)
+            });
+        }
+    });
+
+    return shortages;
+}
+
+/**
+ * Describe a stock shortage to the customer
+ *
+ * @param {Object} shortage - Entry from getStockShortages
+ * @returns {string} Message (e.g. "Only 2 of Fresh Paneer (250g) left")
+ */
+export function formatStockShortage(shortage) {
+    return shortage.available > 0
+        ? `Only ${shortage.available} of ${shortage.productName} (${shortage.unit}) left`
+        : `${shortage.productName} (${shortage.unit}) is sold out`;
+}
+
+/**
+ * Work out a product's stock fields after changing counts
+ *
+ * Counted pack sizes get `inStock` and `stockAlert` from their new count;
+ * a product with pack sizes is in stock while any of its sizes is.
+ *
+ * @param {Object} product - Current product data
+ * @param {Map<string|null, number|null>} counts - New stock by variant ID (null ID for
+ *   products without variants; a null count stops counting that size)
+ * @returns {Object} Fields to update: {stock, inStock, stockAlert} or {variants, inStock}
+ *
+ * @example
+ * buildStockUpdate(paneer, new Map([[null, 0]]));  // { stock: 0, inStock: false, stockAlert: 'sold-out' }
+ */
+export function buildStockUpdate(product, counts) {
+    const stockFields = (stock, variant) => (Number.isInteger(stock)
+        ? { stock, inStock: stock > 0, stockAlert: getStockAlertLevel(stock, getLowStockThreshold(product, variant)) }
+        : { stock: null, stockAlert: null });
+
+    if (!Array.isArray(product.variants) || product.variants.length === 0) {
+        const fields = stockFields(counts.get(null), getProductVariants(product)[0]);
+        return { inStock: product.inStock !== false, ...fields };
+    }
+
+    const variants = product.variants.map(variant => (
+        counts.has(variant.id) ? { ...variant, ...stockFields(counts.get(variant.id), variant) } : variant
+    ));
+
+    return {
+        variants,
+        inStock: getProductVariants({ ...product, variants }).some(variant => variant.inStock)
+    };
+}
+
+/**
+ * Work out a product's stock fields after taking or giving back units
+ *
+ * Only counted pack sizes change.
+ *
+ * @param {Object} product - Current product data
+ * @param {Array} changes - [{variantId, quantity}] (negative quantity takes stock)
+ * @returns {Object|null} Fields to update (see buildStockUpdate), or null if
+ *   nothing is counted
+ */
+export function buildStockAdjustment(product, changes) {
+    const counts = new Map();
+
+    changes.forEach(change => {
+        const variant = getProductVariant(product, change.variantId);
+        if (!variant || !isStockTracked(variant)) {
+            return;
+        }
+
+        const current = counts.has(variant.id) ? counts.get(variant.id) : variant.stock;
+        counts.set(variant.id, Math.max(current + change.quantity, 0));
+    });
+
+    return counts.size > 0 ? buildStockUpdate(product, counts) : null;
+}
+
+/**
+ * Find the stock alerts a stock update raises
+ *
+ * A size alerts when its level gets more serious than the one last
+ * alerted (fine to low, or to sold out), so repeated orders while low do
+ * not alert again.
+ *
+ * @param {Object} product - Product data before the update
+ * @param {Object} update - Fields from buildStockUpdate
+ * @returns {Array} Alerts [{productId, variantId, productName, unit, stock, threshold, level}]
+ *
+ * @example
+ * getStockAlerts(paneer, buildStockUpdate(paneer, new Map([[null, 0]])));
+ * // [{ productId: 'paneer', variantId: null, productName: 'Fresh Paneer', unit: '250g',
+ * //    stock: 0, threshold: 5, level: 'sold-out' }]
+ */
+export function getStockAlerts(product, update) {
+    const before = new Map(getProductVariants(product).map(variant => [variant.id, variant.stockAlert]));
+    const rank = level => STOCK_ALERT_RANK[level] || 0;
+
+    return getProductVariants({ ...product, ...update })
+        .filter(variant => isStockTracked(variant) && rank(variant.stockAlert) > rank(before.get(variant.id)))
+        .map(variant => ({
+            productId: product.id,
+            variantId: variant.id,
+            productName: product.nameEnglish,
+            unit: variant.unit,
+            stock: variant.stock,
+            threshold: getLowStockThreshold(product, variant),
+            level: variant.stockAlert
+        }));
+}
@@ -0,0 +1,202 @@
+/**
+ * Customer Ledger (Khata) Rules
+ *
+ * Every customer has a running account: each delivered order is a debit,
+ * each payment is a credit, and the balance is debits minus credits
+ * (positive = the customer owes the shop, negative = paid in advance).
+ * Monthly statements cover one shop calendar month.
+ *
+ * Pure functions only, so the same rules run in the browser and in the
+ * serverless functions.
+ *
+ * @module ledger
+ * @requires ./config.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { formatCurrency, getShopDateKey } from './utils.js';
+
+/**
+ * Ledger entry types
+ * @constant {Object}
+ */
+export const LEDGER_ENTRY_TYPE = Object.freeze({
+    DEBIT: 'debit',
+    CREDIT: 'credit'
+});
+
+/**
+ * Largest single payment the owner can record (rupees)
+ * Guards against typing an extra zero.
+ * @constant {number}
+ */
+export const MAX_PAYMENT_AMOUNT = 100000;
+
+/**
+ * Statement month format (YYYY-MM)
+ * @constant {RegExp}
+ */
+const MONTH_REGEX = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Get the shop calendar month of a moment
+ *
+ * @param {Date} date - Moment in time (default: now)
+ * @returns {string} Month in YYYY-MM format
+ *
+ * @example
+ * getShopMonthKey(new Date('2026-02-28T20:00:00Z'));  // "2026-03" (01:30 AM IST)
+ */
+export function getShopMonthKey(date = new Date()) {
+    return getShopDateKey(date).slice(0, 7);
+}
+
+/**
+ * Check whether a statement month is well-formed
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {boolean} True if valid
+ */
+export function isValidStatementMonth(month) {
+    return typeof month === 'string' && MONTH_REGEX.test(month);
+}
+
+/**
+ * Get the first and last shop dates of a statement month
+ *
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} {month, from, to, label} with dates in YYYY-MM-DD format
+ *
+ * @example
+ * getStatementPeriod('2026-02');
+ * // { month: '2026-02', from: '2026-02-01', to: '2026-02-28', label: 'February 2026' }
+ */
+export function getStatementPeriod(month) {
+    const [, year, monthNumber] = month.match(MONTH_REGEX);
+    // Day 0 of the next month is the last day of this one
+    const lastDay = new Date(Date.UTC(Number(year), Number(monthNumber), 0)).getUTCDate();
+    const label = new Date(Date.UTC(Number(year), Number(monthNumber) - 1, 1))
+        .toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    return {
+        month,
+        from: `${month}-01`,
+        to: `${month}-${String(lastDay).padStart(2, '0')}`,
+        label
+    };
+}
+
+/**
+ * Add up a month's ledger entries
+ *
+ * @param {Array} entries - Entries in the month, oldest first
+ * @param {number} openingBalance - Balance at the end of the previous month
+ * @returns {Object} {openingBalance, totalDebits, totalCredits, closingBalance}
+ *
+ * @example
+ * summarizeStatement([{ type: 'debit', amount: 560 }, { type: 'credit', amount: 500 }], 100);
+ * // { openingBalance: 100, totalDebits: 560, totalCredits: 500, closingBalance: 160 }
+ */
+export function summarizeStatement(entries, openingBalance = 0) {
+    const total = type => entries
+        .filter(entry => entry.type === type)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const totalDebits = total(LEDGER_ENTRY_TYPE.DEBIT);
+    const totalCredits = total(LEDGER_ENTRY_TYPE.CREDIT);
+
+    return {
+        openingBalance,
+        totalDebits,
+        totalCredits,
+        closingBalance: openingBalance + totalDebits - totalCredits
+    };
+}
+
+/**
+ * Describe a balance for customers ("₹1,200 due" / "₹200 in advance")
+ *
+ * @param {number} balance - Ledger balance (positive = owed to the shop)
+ * @returns {string} Human-readable balance
+ */
+export function formatBalance(balance) {
+    if (balance > 0) {
+        return `${formatCurrency(balance)} due`;
+    }
+    if (balance < 0) {
+        return `${formatCurrency(-balance)} in advance`;
+    }
+    return `${formatCurrency(0)} (settled)`;
+}
+
+/**
+ * Format a balance with Dr/Cr, as on a paper khata
+ *
+ * @param {number} balance - Ledger balance (positive = owed to the shop)
+ * @returns {string} e.g. "₹1,200 Dr" or "₹200 Cr"
+ */
+export function formatLedgerBalance(balance) {
+    if (balance === 0) {
+        return formatCurrency(0);
+    }
+    return `${formatCurrency(Math.abs(balance))} ${balance > 0 ? 'Dr' : 'Cr'}`;
+}
+
+/**
+ * List recent statement months, newest first
+ *
+ * @param {number} count - Number of months
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array<string>} Months in YYYY-MM format
+ *
+ * @example
+ * getRecentStatementMonths(3, new Date('2026-02-12T10:00:00Z'));
+ * // ['2026-02', '2026-01', '2025-12']
+ */
+export function getRecentStatementMonths(count = 12, now = new Date()) {
+    const [year, month] = getShopMonthKey(now).split('-').map(Number);
+
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(Date.UTC(year, month - 1 - index, 1));
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    });
+}
+
+/**
+ * Validate a payment recorded by the shop owner
+ *
+ * Payments are always posted on the day they are recorded, so entries
+ * stay in date order and each month's opening balance is simply the
+ * balance after the last entry of the month before.
+ *
+ * @param {Object} payment - {amount, mode, reference}
+ * @returns {Object} Validation result {isValid, errors}
+ *
+ * @example
+ * validatePayment({ amount: 1500, mode: 'UPI' });
+ * // { isValid: true, errors: [] }
+ */
+export function validatePayment(payment) {
+    const errors = [];
+    const { amount, mode } = payment || {};
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        errors.push('Please enter the amount received');
+    } else if (amount > MAX_PAYMENT_AMOUNT) {
+        errors.push(`Payments over ${formatCurrency(MAX_PAYMENT_AMOUNT)} must be split`);
+    } else if (!Number.isInteger(amount)) {
+        errors.push('Please enter the amount in whole rupees');
+    }
+
+    if (!CONFIG.LEDGER_PAYMENT_MODES.includes(mode)) {
+        errors.push('Please choose how the payment was made');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * Order Status Lifecycle Module
+ * 
+ * Defines the order statuses, which moves between them are allowed, and
+ * the shape of the status history entries stored on each order.
+ * 
+ * This module has no browser or Firebase dependencies so the same rules
+ * are enforced by DatabaseService in the browser and by the serverless
+ * functions using the Admin SDK.
+ * 
+ * Lifecycle:
+ *   awaiting-payment → pending (UPI payment received), confirmed (online
+ *     payment succeeded) or cancelled
+ *   pending → confirmed → packed → out-for-delivery → delivered
+ *   pending / confirmed / packed → cancelled
+ *   out-for-delivery → failed-delivery → out-for-delivery (retry) or cancelled
+ * 
+ * @module order-status
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Order status values
+ * @constant {Object}
+ */
+export const ORDER_STATUS = Object.freeze({
+    AWAITING_PAYMENT: 'awaiting-payment',
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    PACKED: 'packed',
+    OUT_FOR_DELIVERY: 'out-for-delivery',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    FAILED_DELIVERY: 'failed-delivery'
+});
+
+/**
+ * Human-readable status labels
+ * @constant {Object}
+ */
+export const ORDER_STATUS_LABELS = Object.freeze({
+    [ORDER_STATUS.AWAITING_PAYMENT]: 'Awaiting Payment',
+    [ORDER_STATUS.PENDING]: 'Pending',
+    [ORDER_STATUS.CONFIRMED]: 'Confirmed',
+    [ORDER_STATUS.PACKED]: 'Packed',
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: 'Out for Delivery',
+    [ORDER_STATUS.DELIVERED]: 'Delivered',
+    [ORDER_STATUS.CANCELLED]: 'Cancelled',
+    [ORDER_STATUS.FAILED_DELIVERY]: 'Delivery Failed'
+});
+
+/**
+ * Allowed transitions: current status → statuses it may move to
+ * Statuses with no entries are final.
+ * @constant {Object}
+ */
+export const ORDER_STATUS_TRANSITIONS = Object.freeze({
+    [ORDER_STATUS.AWAITING_PAYMENT]: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PACKED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PACKED]: [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.FAILED_DELIVERY],
+    [ORDER_STATUS.FAILED_DELIVERY]: [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.DELIVERED]: [],
+    [ORDER_STATUS.CANCELLED]: []
+});
+
+/**
+ * Statuses from which the customer may cancel their own order
+ * (later stages can only be cancelled by the shop)
+ * @constant {Array<string>}
+ */
+export const CUSTOMER_CANCELLABLE_STATUSES = Object.freeze([
+    ORDER_STATUS.AWAITING_PAYMENT,
+    ORDER_STATUS.PENDING,
+    ORDER_STATUS.CONFIRMED
+]);
+
+/**
+ * Get the statuses an order may move to next
+ * 
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses (empty for final or unknown statuses)
+ * 
+ * @example
+ * getAllowedTransitions('packed');  // ['out-for-delivery', 'cancelled']
+ */
+export function getAllowedTransitions(status) {
+    return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether a status change is allowed
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} Validation result {isValid, error}
+ * 
+ * @example
+ * validateStatusTransition('delivered', 'pending');
+ * // {isValid: false, error: 'Cannot change order status from Delivered to Pending'}
+ */
+export function validateStatusTransition(from, to) {
+    if (!ORDER_STATUS_LABELS[to]) {
+        return { isValid: false, error: `Unknown order status: ${to}` };
+    }
+
+    if (!getAllowedTransitions(from).includes(to)) {
+        const fromLabel = ORDER_STATUS_LABELS[from] || from;
+        return {
+            isValid: false,
+            error: `Cannot change order status from ${fromLabel} to ${ORDER_STATUS_LABELS[to]}`
+        };
+    }
+
+    return { isValid: true, error: null };
+}
+
+/**
+ * Create a status history entry
+ * 
+ * Entries use an ISO timestamp string rather than a server timestamp
+ * because Firestore does not allow server timestamps inside arrays.
+ * 
+ * @param {Object} change - Status change details
+ * @param {string} change.status - New status
+ * @param {string|null} change.from - Previous status (null for a new order)
+ * @param {Object} change.changedBy - Who made the change {uid, role}
+ * @param {string} change.note - Optional note (e.g. cancellation reason)
+ * @returns {Object} History entry {status, from, changedBy, note, at}
+ * 
+ * @example
+ * createStatusHistoryEntry({
+ *   status: 'confirmed',
+ *   from: 'pending',
+ *   changedBy: { uid: 'owner123', role: 'owner' }
+ * });
+ */
+export function createStatusHistoryEntry({ status, from = null, changedBy, note = '' }) {
+    return {
+        status,
+        from,
+        changedBy: {
+            uid: changedBy?.uid || null,
+            role: changedBy?.role || 'system'
+        },
+        note: note ? String(note).trim().slice(0, 500) : '',
+        at: new Date().toISOString()
+    };
+}
@@ -0,0 +1,587 @@
+/**
+ * Order History Module
+ * 
+ * Renders the customer's "My Orders" page:
+ * - Paginated list of past orders with status badges
+ * - Order detail view with items, totals and status timeline
+ * - Reorder: rebuild the cart from a past order
+ * - Cancellation (via /api/cancel-order) before the cutoff
+ * - UPI link and QR code (via /api/upi-payment) for orders awaiting payment
+ * 
+ * Orders are read directly from Firestore (security rules only allow a
+ * user to read their own orders).
+ * 
+ * @module orders
+ * @requires ./config.js
+ * @requires ./cart.js
+ * @requires ./delivery-schedule.js
+ * @requires ./firebase-config.js
+ * @requires ./order-status.js
+ * @requires ./payment-methods.js
+ * @requires ./price-tiers.js
+ * @requires ./product-variants.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { replaceCart } from './cart.js';
+import { checkCustomerCancellation, getCancellationDeadline } from './delivery-schedule.js';
+import { AuthService, DatabaseService } from './firebase-config.js';
+import { ORDER_STATUS, ORDER_STATUS_LABELS } from './order-status.js';
+import { PAYMENT_METHOD } from './payment-methods.js';
+import { getUnitPrice } from './price-tiers.js';
+import { isSameVariant } from './product-variants.js';
+import { formatCurrency, formatDateTime, sanitizeInput } from './utils.js';
+
+// ==================== Data Loading ====================
+
+/**
+ * Load the next page of the user's orders
+ * 
+ * @param {string} userId - User ID
+ * @param {Object|null} cursor - Cursor returned by the previous page
+ * @returns {Promise<Object>} {orders, cursor, hasMore}
+ * 
+ * @example
+ * let page = await loadOrdersPage(user.uid);
+ * if (page.hasMore) page = await loadOrdersPage(user.uid, page.cursor);
+ */
+export async function loadOrdersPage(userId, cursor = null) {
+    return DatabaseService.getUserOrdersPage(userId, CONFIG.ORDERS_PER_PAGE, cursor);
+}
+
+/**
+ * Load a single order, making sure it belongs to the user
+ * 
+ * @param {string} orderId - Order ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Order or null if not found / not the user's
+ */
+export async function loadUserOrder(orderId, userId) {
+    const order = await DatabaseService.getOrder(orderId);
+    return order && order.userId === userId ? order : null;
+}
+
+// ==================== Reorder ====================
+
+/**
+ * Rebuild the cart from a past order
+ * 
+ * Replaces the current cart with the order's items, in the same pack
+ * sizes, at today's prices (including quantity tier prices).
+ * Items that are no longer available are skipped, and items whose price
+ * changed since the order was placed are reported so the customer can
+ * review them before checking out.
+ * 
+ * @param {Object} order - Order object
+ * @returns {Promise<Object>} Summary {added, skipped, repriced}
+ * 
+ * @example
+ * const summary = await reorder(order);
+ * // summary.skipped  -> [{productId, productName, quantity}]
+ * // summary.repriced -> [{productId, productName, oldPrice, newPrice}]
+ */
+export async function reorder(order) {
+    const items = order.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity
+    }));
+
+    const { added, skipped } = await replaceCart(items);
+    // Orders placed before a product got pack sizes match on the product alone
+    const findOrderedItem = item =>
+        order.items.find(ordered => isSameVariant(ordered, item.productId, item.variantId)) ||
+        order.items.find(ordered => ordered.productId === item.productId);
+
+    const repriced = added
+        .map(item => ({
+            productId: item.productId,
+            productName: item.product.nameEnglish,
+            oldPrice: findOrderedItem(item).price,
+            newPrice: getUnitPrice(item.variant, item.quantity)
+        }))
+        .filter(item => item.newPrice !== item.oldPrice);
+
+    return {
+        added,
+        skipped: skipped.map(item => ({
+            ...item,
+            productName: findOrderedItem(item).productName
+        })),
+        repriced
+    };
+}
+
+/**
+ * Show what changed when reordering and ask where to go next
+ * 
+ * @param {Object} summary - Result of reorder()
+ * @returns {Promise<boolean>} True if the user chose to go to the cart
+ * 
+ * @example
+ * if (await showReorderSummary(summary)) {
+ *   window.location.href = '/cart.html';
+ * }
+ */
+export function showReorderSummary(summary) {
+    return new Promise((resolve) => {
+        const { added, skipped, repriced } = summary;
+
+        const repricedHTML = repriced.length > 0 ? `
+      <p class="reorder-summary-heading">Prices changed</p>
+      <ul class="reorder-summary-list">
+        ${repriced.map(item => `
+          <li>${sanitizeInput(item.productName)}: ${formatCurrency(item.oldPrice)} → ${formatCurrency(item.newPrice)}</li>
+        `).join('')}
+      </ul>
+    ` : '';
+
+        const skippedHTML = skipped.length > 0 ? `
+      <p class="reorder-summary-heading">Not available (not added)</p>
+      <ul class="reorder-summary-list">
+        ${skipped.map(item => `<li>${sanitizeInput(item.productName)} ×${item.quantity}</li>`).join('')}
+      </ul>
+    ` : '';
+
+        const message = added.length === 0
+            ? 'None of the items from this order are available right now. Your cart was not changed.'
+            : `${added.length} item(s) from this order are now in your cart.`;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <p class="modal-message">${message}</p>
+          ${repricedHTML}
+          ${skippedHTML}
+          <div class="modal-actions">
+            <button class="btn btn-secondary" data-action="close">Close</button>
+            ${added.length > 0 ? '<button class="btn btn-primary" data-action="cart">Review Cart</button>' : ''}
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        // Handle button clicks
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action) {
+                modal.remove();
+                resolve(action === 'cart');
+            }
+        });
+    });
+}
+
+// ==================== UPI Payment ====================
+
+/**
+ * Get the UPI link and QR code for an order awaiting payment
+ * 
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} {orderId, amount, payeeVpa, payeeName, link, qrSvg}
+ * @throws {Error} If the order is not awaiting a UPI payment (with `code`)
+ * 
+ * @example
+ * const payment = await fetchUpiPayment('ORD-20260212-004');
+ */
+export async function fetchUpiPayment(orderId) {
+    const idToken = await AuthService.getIdToken();
+    if (!idToken) {
+        throw new Error('Please login to continue');
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}/upi-payment?${new URLSearchParams({ orderId })}`, {
+        headers: { 'Authorization': `Bearer ${idToken}` }
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(body.message || 'Could not load the payment details');
+        error.code = body.code;
+        throw error;
+    }
+
+    return body.payment;
+}
+
+/**
+ * Render the UPI payment box (QR code, pay link and UPI ID)
+ * 
+ * The QR code is SVG generated by our own API from the order total.
+ * 
+ * @param {Object} payment - Payment details from fetchUpiPayment
+ * @param {string} containerId - ID of the container element
+ */
+export function renderUpiPayment(payment, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    container.innerHTML = `
+    <div class="upi-payment">
+      <h3 class="mb-4">Pay ${formatCurrency(payment.amount)} by UPI</h3>
+      <div class="upi-payment-qr">${payment.qrSvg}</div>
+      <a href="${sanitizeInput(payment.link)}" class="btn btn-primary">Open UPI App</a>
+      <p class="form-help">
+        Scan the code with any UPI app, or pay ${sanitizeInput(payment.payeeName)} at
+        <strong>${sanitizeInput(payment.payeeVpa)}</strong> with
+        <strong>${sanitizeInput(payment.orderId)}</strong> as the note.
+        We start preparing your order once the payment reaches us.
+      </p>
+    </div>
+  `;
+}
+
+// ==================== Cancellation ====================
+
+/**
+ * Cancel an order
+ * 
+ * The API checks ownership, status and the cancellation cutoff again, so
+ * the cancel button being visible is never enough on its own.
+ * 
+ * @param {string} orderId - Order ID
+ * @param {string} reason - One of CONFIG.CANCELLATION_REASONS
+ * @param {string} details - Optional free-text details
+ * @returns {Promise<Object>} API response
+ * @throws {Error} If cancellation fails (with `code` when the API rejected it)
+ * 
+ * @example
+ * await cancelOrder('ORD-20260212-004', 'Ordered by mistake');
+ */
+export async function cancelOrder(orderId, reason, details = '') {
+    const idToken = await AuthService.getIdToken();
+    if (!idToken) {
+        throw new Error('Please login to continue');
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}/cancel-order`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify({ orderId, reason, details })
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(body.message || 'Failed to cancel order');
+        error.code = body.code;
+        throw error;
+    }
+
+    return body;
+}
+
+/**
+ * Ask the customer why they are cancelling
+ * 
+ * @returns {Promise<Object|null>} {reason, details}, or null if they backed out
+ * 
+ * @example
+ * const choice = await showCancelDialog();
+ * if (choice) await cancelOrder(order.orderId, choice.reason, choice.details);
+ */
+export function showCancelDialog() {
+    return new Promise((resolve) => {
+        const options = CONFIG.CANCELLATION_REASONS
+            .map(reason => `<option value="${sanitizeInput(reason)}">${sanitizeInput(reason)}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <p class="modal-message">Why are you cancelling this order?</p>
+          <div class="form-group">
+            <select id="cancel-reason" class="form-select">${options}</select>
+          </div>
+          <div class="form-group">
+            <textarea id="cancel-details" class="form-textarea" rows="2" maxlength="300"
+              placeholder="Anything else we should know? (optional)"></textarea>
+          </div>
+          <div class="modal-actions">
+            <button class="btn btn-secondary" data-action="close">Keep Order</button>
+            <button class="btn btn-primary" data-action="cancel">Cancel Order</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        // Handle button clicks
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+
+            const choice = action === 'cancel'
+                ? {
+                    reason: modal.querySelector('#cancel-reason').value,
+                    details: modal.querySelector('#cancel-details').value.trim()
+                }
+                : null;
+
+            modal.remove();
+            resolve(choice);
+        });
+    });
+}
+
+// ==================== Rendering Functions ====================
+
+/**
+ * Render an order status badge
+ * 
+ * @param {string} status - Order status
+ * @returns {string} HTML string for the badge
+ * 
+ * @example
+ * renderStatusBadge('out-for-delivery');
+ * // '<span class="badge badge-status badge-status-out-for-delivery">Out for Delivery</span>'
+ */
+export function renderStatusBadge(status) {
+    const label = ORDER_STATUS_LABELS[status] || status;
+    return `<span class="badge badge-status badge-status-${sanitizeInput(status)}">${sanitizeInput(label)}</span>`;
+}
+
+/**
+ * Render a one-line summary of an order's items
+ * 
+ * @param {Array} items - Order items
+ * @returns {string} e.g. "Paneer ×2, Cow Milk ×1"
+ */
+function summarizeItems(items) {
+    return items.map(item => `${item.productName} ×${item.quantity}`).join(', ');
+}
+
+/**
+ * Render a single order card for the order list
+ * 
+ * @param {Object} order - Order object
+ * @returns {string} HTML string for the order card
+ */
+export function renderOrderCard(order) {
+    return `
+    <a href="/orders.html?orderId=${encodeURIComponent(order.orderId)}" class="order-card">
+      <div class="order-card-header">
+        <span class="order-card-id">${sanitizeInput(order.orderId)}</span>
+        ${renderStatusBadge(order.status)}
+      </div>
+      <p class="order-card-date">${order.createdAt ? formatDateTime(order.createdAt) : ''}</p>
+      <p class="order-card-items">${sanitizeInput(summarizeItems(order.items || []))}</p>
+      <div class="order-card-footer">
+        <span>${(order.items || []).length} item(s)</span>
+        <span class="order-card-total">${formatCurrency(order.total)}</span>
+      </div>
+    </a>
+  `;
+}
+
+/**
+ * Render a list of orders into a container
+ * 
+ * @param {Array} orders - Orders to render
+ * @param {string} containerId - ID of container element
+ * @param {boolean} append - Append to existing cards instead of replacing them
+ * 
+ * @example
+ * renderOrderList(page.orders, 'orders-container', false);
+ */
+export function renderOrderList(orders, containerId, append = false) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (!append && orders.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <h3>No orders yet</h3>
+        <p>Your orders will appear here once you place one.</p>
+        <a href="/products.html" class="btn btn-primary">Browse Products</a>
+      </div>
+    `;
+        return;
+    }
+
+    const html = orders.map(order => renderOrderCard(order)).join('');
+
+    if (append) {
+        container.insertAdjacentHTML('beforeend', html);
+    } else {
+        container.innerHTML = html;
+    }
+}
+
+/**
+ * Render the status timeline of an order
+ * 
+ * @param {Object} order - Order object with statusHistory
+ * @returns {string} HTML string for the timeline
+ */
+export function renderStatusTimeline(order) {
+    const history = order.statusHistory && order.statusHistory.length > 0
+        ? order.statusHistory
+        : [{ status: order.status, at: order.createdAt, note: '' }];
+
+    const entries = history.map(entry => {
+        const isProblem = entry.status === ORDER_STATUS.CANCELLED ||
+            entry.status === ORDER_STATUS.FAILED_DELIVERY;
+
+        return `
+      <li class="timeline-entry ${isProblem ? 'timeline-entry-problem' : ''}">
+        <div class="timeline-entry-header">
+          <strong>${sanitizeInput(ORDER_STATUS_LABELS[entry.status] || entry.status)}</strong>
+          <span class="timeline-entry-date">${entry.at ? formatDateTime(entry.at) : ''}</span>
+        </div>
+        ${entry.note ? `<p class="timeline-entry-note">${sanitizeInput(entry.note)}</p>` : ''}
+      </li>
+    `;
+    }).join('');
+
+    return `<ol class="status-timeline">${entries}</ol>`;
+}
+
+/**
+ * Render what the customer still has to do to pay for an order
+ * 
+ * UPI orders get a container for the QR code (filled by the page with
+ * fetchUpiPayment/renderUpiPayment); online payments link back to the
+ * provider's checkout.
+ * 
+ * @private
+ * @param {Object} order - Order object
+ * @returns {string} HTML (empty if nothing is due)
+ */
+function renderPaymentDue(order) {
+    if (order.status !== ORDER_STATUS.AWAITING_PAYMENT) {
+        return '';
+    }
+
+    if (order.paymentMethodId === PAYMENT_METHOD.UPI) {
+        return '<div id="order-upi-payment"></div>';
+    }
+
+    if (!order.paymentIntent?.checkoutUrl) {
+        return '';
+    }
+
+    return `
+    <p class="order-cancel-note">
+      ${order.paymentIntent.status === 'failed' ? 'Your online payment did not go through.' : 'This order is waiting for your online payment.'}
+      <a href="${sanitizeInput(order.paymentIntent.checkoutUrl)}" class="btn btn-primary btn-sm">Pay Now</a>
+    </p>
+  `;
+}
+
+/**
+ * Render full order details into a container
+ * 
+ * @param {Object} order - Order object
+ * @param {string} containerId - ID of container element
+ * 
+ * @example
+ * renderOrderDetail(order, 'order-detail');
+ */
+export function renderOrderDetail(order, containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    const canCancel = checkCustomerCancellation(order).isValid;
+
+    const itemsHTML = order.items.map(item => `
+    <div class="summary-row">
+      <span>${sanitizeInput(item.productName)} (${item.quantity}× ${sanitizeInput(item.unit)})</span>
+      <span>${formatCurrency(item.subtotal)}</span>
+    </div>
+  `).join('');
+
+    container.innerHTML = `
+    <div class="order-detail-header">
+      <div>
+        <h1 class="order-detail-title">${sanitizeInput(order.orderId)}</h1>
+        <p class="order-card-date">Placed on ${order.createdAt ? formatDateTime(order.createdAt) : ''}</p>
+      </div>
+      <div class="order-detail-actions">
+        ${renderStatusBadge(order.status)}
+        <button id="reorder-btn" class="btn btn-primary btn-sm" data-order-id="${sanitizeInput(order.orderId)}">Reorder</button>
+        ${canCancel ? `<button id="cancel-order-btn" class="btn btn-outline btn-sm" data-order-id="${sanitizeInput(order.orderId)}">Cancel Order</button>` : ''}
+      </div>
+    </div>
+
+    ${canCancel ? `
+    <p class="order-cancel-note">You can cancel this order until ${formatDateTime(getCancellationDeadline(order))}.</p>
+    ` : ''}
+
+    ${renderPaymentDue(order)}
+
+    <div class="order-detail-layout">
+      <div class="order-details">
+        <h3 class="mb-4">Items</h3>
+        ${itemsHTML}
+
+        <div class="summary-divider"></div>
+
+        <div class="summary-row">
+          <span>Subtotal</span>
+          <span>${formatCurrency(order.subtotal)}</span>
+        </div>
+        ${order.discount > 0 ? `
+        <div class="summary-row text-success">
+          <span>Discount (${sanitizeInput(order.coupon.code)})</span>
+          <span>-${formatCurrency(order.discount)}</span>
+        </div>
+        ` : ''}
+        <div class="summary-row">
+          <span>Delivery</span>
+          <span>${order.deliveryCharge === 0 ? 'FREE' : formatCurrency(order.deliveryCharge)}</span>
+        </div>
+        <div class="summary-row summary-total">
+          <span>Total</span>
+          <span>${formatCurrency(order.total)}</span>
+        </div>
+
+        <div class="summary-divider"></div>
+
+        <div class="summary-row">
+          <span>Delivery Slot</span>
+          <span><strong>${order.deliveryDate ? `${formatDateTime(order.deliveryDate, false)}, ` : ''}${order.deliverySlot}</strong></span>
+        </div>
+        <div class="summary-row">
+          <span>Payment Method</span>
+          <span><strong>${order.paymentMethod}</strong></span>
+        </div>
+        <div class="summary-row">
+          <span>Deliver To</span>
+          <span>${order.customer.address}</span>
+        </div>
+      </div>
+
+      <div class="order-details">
+        <h3 class="mb-4">Order Status</h3>
+        ${renderStatusTimeline(order)}
+      </div>
+    </div>
+  `;
+}
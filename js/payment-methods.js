@@ -0,0 +1,73 @@
+/**
+ * Payment Methods Module
+ *
+ * Looks up the payment methods configured in CONFIG.PAYMENT_METHODS.
+ * "Pay Online" only counts as available while FEATURES.ONLINE_PAYMENT is on.
+ * Pure functions only, so the same rules run in the browser and in the
+ * serverless functions.
+ *
+ * @module payment-methods
+ * @requires ./config.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Payment method IDs
+ * @constant {Object}
+ */
+export const PAYMENT_METHOD = Object.freeze({
+    CASH_ON_DELIVERY: 'cod',
+    MONTHLY_ACCOUNT: 'monthly-account',
+    WALLET: 'wallet',
+    UPI: 'upi',
+    ONLINE: 'online'
+});
+
+/**
+ * Get the payment methods customers can choose at checkout
+ *
+ * @returns {Array<Object>} Payment methods {id, label, description}
+ */
+export function getAvailablePaymentMethods() {
+    return CONFIG.PAYMENT_METHODS.filter(method =>
+        method.id !== PAYMENT_METHOD.ONLINE || CONFIG.FEATURES.ONLINE_PAYMENT
+    );
+}
+
+/**
+ * Get an available payment method by ID
+ *
+ * @param {string} methodId - Payment method ID (e.g. "cod")
+ * @returns {Object|null} Payment method {id, label, description}, or null
+ *   if unknown or currently switched off
+ *
+ * @example
+ * getPaymentMethod('cod').label;  // "Cash on Delivery"
+ */
+export function getPaymentMethod(methodId) {
+    return getAvailablePaymentMethods().find(method => method.id === methodId) || null;
+}
+
+/**
+ * Get the payment method ID of an order
+ *
+ * Orders placed before payment methods were configurable only stored
+ * the label "Cash on Delivery".
+ *
+ * @param {Object} order - Order data
+ * @returns {string} Payment method ID
+ *
+ * @example
+ * getOrderPaymentMethodId({ paymentMethod: 'Cash on Delivery' });  // "cod"
+ */
+export function getOrderPaymentMethodId(order) {
+    if (order.paymentMethodId) {
+        return order.paymentMethodId;
+    }
+
+    const method = CONFIG.PAYMENT_METHODS.find(item => item.label === order.paymentMethod);
+    return method ? method.id : PAYMENT_METHOD.CASH_ON_DELIVERY;
+}
@@ -0,0 +1,66 @@
+/**
+ * Quantity Price Tiers
+ *
+ * Products can have bulk rates for caterers and event orders: each tier
+ * in `priceTiers` gives a lower unit price from a minimum quantity, e.g.
+ * `[{ minQuantity: 5, price: 380 }, { minQuantity: 10, price: 360 }]`.
+ * The whole line is charged at the best tier its quantity reaches.
+ *
+ * Pure functions only, so the cart and /api/submit-order price items the
+ * same way.
+ *
+ * @module price-tiers
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Get a product's tiers that actually lower the price, smallest quantity first
+ *
+ * @param {Object} product - Product {price, priceTiers}
+ * @returns {Array} Tiers [{minQuantity, price}]
+ *
+ * @example
+ * getPriceTiers({ price: 400, priceTiers: [{ minQuantity: 5, price: 380 }] });
+ * // [{ minQuantity: 5, price: 380 }]
+ */
+export function getPriceTiers(product) {
+    return (product.priceTiers || [])
+        .filter(tier => Number.isInteger(tier.minQuantity) && tier.minQuantity > 1 &&
+            typeof tier.price === 'number' && tier.price > 0 && tier.price < product.price)
+        .sort((a, b) => a.minQuantity - b.minQuantity);
+}
+
+/**
+ * Get the unit price for a quantity of a product
+ *
+ * @param {Object} product - Product {price, priceTiers}
+ * @param {number} quantity - Quantity in the cart or order
+ * @returns {number} Unit price in rupees (the lowest tier price reached)
+ *
+ * @example
+ * getUnitPrice({ price: 400, priceTiers: [{ minQuantity: 5, price: 380 }] }, 6);  // 380
+ */
+export function getUnitPrice(product, quantity) {
+    return getPriceTiers(product)
+        .filter(tier => quantity >= tier.minQuantity)
+        .reduce((price, tier) => Math.min(price, tier.price), product.price);
+}
+
+/**
+ * Get the next tier a quantity has not reached yet
+ *
+ * @param {Object} product - Product {price, priceTiers}
+ * @param {number} quantity - Current quantity
+ * @returns {Object|null} Tier {minQuantity, price} with a lower price, or null
+ *
+ * @example
+ * getNextPriceTier({ price: 400, priceTiers: [{ minQuantity: 5, price: 380 }] }, 2);
+ * // { minQuantity: 5, price: 380 }
+ */
+export function getNextPriceTier(product, quantity) {
+    const currentPrice = getUnitPrice(product, quantity);
+
+    return getPriceTiers(product)
+        .find(tier => tier.minQuantity > quantity && tier.price < currentPrice) || null;
+}
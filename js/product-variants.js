@@ -0,0 +1,105 @@
+/**
+ * Product Variants (Pack Sizes)
+ *
+ * A product can come in several pack sizes, each with its own unit, price,
+ * stock and SKU (e.g. Buffalo Ghee 1kg / 500g / 250g) listed in
+ * `variants`. Products without variants are sold in one size described
+ * by their own `unit`, `price` and `inStock`; the functions here treat
+ * that as a single variant with the ID null, so callers handle both the
+ * same way.
+ *
+ * Cart and order items carry the chosen `variantId`; items without one
+ * (older carts, subscriptions) get the product's default variant.
+ *
+ * Pure functions only, so the cart and /api/submit-order resolve variants
+ * the same way.
+ *
+ * @module product-variants
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Get the variants of a product
+ *
+ * @param {Object} product - Product
+ * @returns {Array} Variants [{id, unit, price, priceTiers, sku, inStock, stock,
+ *   lowStockThreshold, stockAlert}] (stock is null when it is not counted, see
+ *   js/inventory.js)
+ *
+ * @example
+ * getProductVariants({ id: 'dahi', unit: '500g', price: 60, inStock: true });
+ * // [{ id: null, unit: '500g', price: 60, priceTiers: [], sku: 'dahi', inStock: true, stock: null,
+ * //    lowStockThreshold: null, stockAlert: null }]
+ */
+export function getProductVariants(product) {
+    if (Array.isArray(product.variants) && product.variants.length > 0) {
+        return product.variants.map(variant => ({
+            priceTiers: [],
+            sku: `${product.id}-${variant.id}`,
+            stock: null,
+            lowStockThreshold: null,
+            stockAlert: null,
+            ...variant,
+            inStock: variant.inStock !== false
+        }));
+    }
+
+    return [{
+        id: null,
+        unit: product.unit,
+        price: product.price,
+        priceTiers: product.priceTiers || [],
+        sku: product.sku || product.id,
+        inStock: product.inStock !== false,
+        stock: product.stock ?? null,
+        lowStockThreshold: null,
+        stockAlert: product.stockAlert ?? null
+    }];
+}
+
+/**
+ * Get one variant of a product
+ *
+ * @param {Object} product - Product
+ * @param {string|null} variantId - Variant ID (null/undefined: the default
+ *   variant, i.e. the first one in stock)
+ * @returns {Object|null} Variant, or null if the product has no such variant
+ *
+ * @example
+ * getProductVariant(ghee, '500g');  // { id: '500g', unit: '500g', price: 410, ... }
+ */
+export function getProductVariant(product, variantId = null) {
+    const variants = getProductVariants(product);
+
+    if (!variantId) {
+        return variants.find(variant => variant.inStock) || variants[0];
+    }
+
+    return variants.find(variant => variant.id === variantId) || null;
+}
+
+/**
+ * Check whether a cart or order item is a given product and variant
+ *
+ * @param {Object} item - Item {productId, variantId?}
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Variant ID (null for products without variants)
+ * @returns {boolean} True if the item is that product in that variant
+ */
+export function isSameVariant(item, productId, variantId = null) {
+    return item.productId === productId && (item.variantId || null) === (variantId || null);
+}
+
+/**
+ * Get a key identifying a product in a given variant
+ *
+ * @param {Object} item - Item {productId, variantId?}
+ * @returns {string} "productId" or "productId:variantId"
+ *
+ * @example
+ * getVariantKey({ productId: 'buffalo-ghee', variantId: '500g' });  // "buffalo-ghee:500g"
+ */
+export function getVariantKey(item) {
+    return item.variantId ? `${item.productId}:${item.variantId}` : item.productId;
+}
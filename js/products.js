@@ -10,12 +10,16 @@
  * @module products
  * @requires ./config.js
  * @requires ./utils.js
+ * @requires ./price-tiers.js
+ * @requires ./product-variants.js
  * @author OM Yashoda Dairy Development Team
  * @version 1.0.0
  */
 
 import { CONFIG } from './config.js';
 import { formatCurrency, sanitizeInput, handleError, showToast } from './utils.js';
+import { getPriceTiers } from './price-tiers.js';
+import { getProductVariants, getProductVariant } from './product-variants.js';
 
 // ==================== Product Data Management ====================
 
@@ -280,19 +284,21 @@ export function filterByStock(products, inStockOnly = true) {
  * This function generates the HTML for a product card with:
  * - Product image
  * - Names in all three languages
- * - Price
- * - Add to cart button
+ * - Size picker (products with several pack sizes)
+ * - Price and bulk rates of the selected size
+ * - Add to cart button (carries the selected size in `data-variant-id`)
  * - Stock status badge
  * 
  * @param {Object} product - Product object
  * @param {string} language - Display language: 'en', 'hi', 'mr' (default: 'en')
+ * @param {string|null} variantId - Selected pack size (default: the product's default variant)
  * @returns {string} HTML string for product card
  * 
  * @example
  * const cardHTML = renderProductCard(product, 'hi');
  * document.getElementById('products-grid').innerHTML += cardHTML;
  */
-export function renderProductCard(product, language = 'en') {
+export function renderProductCard(product, language = 'en', variantId = null) {
     // Determine which name to display prominently based on language
     let primaryName, secondaryName;
 
@@ -310,8 +316,12 @@ export function renderProductCard(product, language = 'en') {
             secondaryName = product.nameHindi;
     }
 
+    const variants = getProductVariants(product);
+    const variant = getProductVariant(product, variantId) || getProductVariant(product);
+    const inStock = product.inStock && variant.inStock;
+
     // Stock badge
-    const stockBadge = product.inStock
+    const stockBadge = inStock
         ? '<span class="badge badge-success">In Stock</span>'
         : '<span class="badge badge-danger">Out of Stock</span>';
 
@@ -320,8 +330,30 @@ export function renderProductCard(product, language = 'en') {
         ? '<span class="badge badge-premium">Premium</span>'
         : '';
 
+    // Size picker, only when there is a choice
+    const sizePicker = variants.length > 1 ? `
+        <select class="form-select variant-select" data-product-id="${product.id}" aria-label="Pack size">
+          ${variants.map(option => `
+          <option value="${sanitizeInput(option.id)}" ${option.id === variant.id ? 'selected' : ''}>
+            ${sanitizeInput(option.unit)} - ${formatCurrency(option.price)}${option.inStock ? '' : ' (out of stock)'}
+          </option>
+          `).join('')}
+        </select>
+    ` : '';
+
+    // Bulk rates ("buy more, save")
+    const priceTiers = getPriceTiers(variant);
+    const tiersHTML = priceTiers.length > 0 ? `
+        <div class="product-tiers">
+          <span class="product-tiers-title">Buy more, save</span>
+          ${priceTiers.map(tier => `
+          <span>${tier.minQuantity}+ ${sanitizeInput(variant.unit)}: ${formatCurrency(tier.price)} each</span>
+          `).join('')}
+        </div>
+    ` : '';
+
     return `
-    <div class="product-card" data-product-id="${product.id}">
+    <div class="product-card" data-product-id="${product.id}" data-language="${language}">
       <div class="product-image-wrapper">
         <img 
           src="${sanitizeInput(product.image)}" 
@@ -339,28 +371,53 @@ export function renderProductCard(product, language = 'en') {
         <h3 class="product-name-primary">${sanitizeInput(primaryName)}</h3>
         <p class="product-name-secondary">${sanitizeInput(secondaryName)}</p>
         
+        ${sizePicker}
         <div class="product-pricing">
-          <span class="product-price">${formatCurrency(product.price)}</span>
-          <span class="product-unit">per ${sanitizeInput(product.unit)}</span>
+          <span class="product-price">${formatCurrency(variant.price)}</span>
+          <span class="product-unit">per ${sanitizeInput(variant.unit)}</span>
         </div>
-        
+        ${tiersHTML}
         <button 
           class="btn btn-primary btn-add-to-cart"
           data-product-id="${product.id}"
-          ${!product.inStock ? 'disabled' : ''}
+          data-variant-id="${sanitizeInput(variant.id || '')}"
+          ${!inStock ? 'disabled' : ''}
         >
           <svg class="icon" width="16" height="16" viewBox="0 0 16 16" fill="none">
             <path d="M2 2h2l1.5 9h7l2-6H5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
             <circle cx="7" cy="14" r="1" fill="currentColor"/>
             <circle cx="12" cy="14" r="1" fill="currentColor"/>
           </svg>
-          ${product.inStock ? 'Add to Cart' : 'Out of Stock'}
+          ${inStock ? 'Add to Cart' : 'Out of Stock'}
         </button>
       </div>
     </div>
   `;
 }
 
+/**
+ * Re-render product cards when a different pack size is picked
+ * 
+ * Call once per page that shows product cards. The add-to-cart buttons
+ * then always carry the selected size in `data-variant-id`.
+ * 
+ * @example
+ * initVariantPickers();
+ * // on add to cart: addToCart(button.dataset.productId, 1, button.dataset.variantId || null)
+ */
+export function initVariantPickers() {
+    document.addEventListener('change', async (e) => {
+        const select = e.target.closest('.variant-select');
+        if (!select) return;
+
+        const card = select.closest('.product-card');
+        const product = await getProductById(select.dataset.productId);
+        if (!card || !product) return;
+
+        card.outerHTML = renderProductCard(product, card.dataset.language, select.value);
+    });
+}
+
 /**
  * Render multiple product cards into a container
  * 
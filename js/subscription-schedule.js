@@ -0,0 +1,401 @@
+/**
+ * Subscription Schedule Module
+ * 
+ * Rules for recurring (subscription) deliveries:
+ * - Subscription statuses
+ * - Which shop dates a subscription delivers on (days of week, shop
+ *   holidays, the owner's closures and closed days, vacation pauses and
+ *   skipped days)
+ * - Pause / skip changes and their cutoff
+ * - Validation of subscription data, including the delivery area
+ * 
+ * Like order-status.js, this module has no browser or Firebase
+ * dependencies so the subscriptions page and the serverless functions
+ * (including the daily order generator) share the same rules.
+ * 
+ * @module subscription-schedule
+ * @requires ./config.js
+ * @requires ./utils.js
+ * @requires ./delivery-schedule.js
+ * @requires ./delivery-zones.js
+ * @requires ./product-variants.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { getShopDateKey } from './utils.js';
+import {
+    getDeliverySlot,
+    getShopDateTime,
+    addDaysToDateKey,
+    isDateKey,
+    getDayOfWeek,
+    isDeliveryDay
+} from './delivery-schedule.js';
+import { checkDeliveryArea, checkZoneSlot } from './delivery-zones.js';
+import { getVariantKey } from './product-variants.js';
+
+/**
+ * Subscription status values
+ * @constant {Object}
+ */
+export const SUBSCRIPTION_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled'
+});
+
+/**
+ * Day-of-week labels, indexed like Date#getUTCDay() (0 = Sunday)
+ * @constant {Array<string>}
+ */
+export const DAYS_OF_WEEK = Object.freeze([
+    'Sunday',
+    'Monday',
+    'Tuesday',
+    'Wednesday',
+    'Thursday',
+    'Friday',
+    'Saturday'
+]);
+
+// ==================== Dates ====================
+
+/**
+ * Get the first delivery date a subscription change can still affect
+ * 
+ * Orders for tomorrow are generated at CONFIG.SUBSCRIPTION_ORDER_CUTOFF
+ * today; after that, the earliest date that can change is the day after.
+ * 
+ * @param {Date} now - Current time (default: now)
+ * @returns {string} Shop date (YYYY-MM-DD)
+ * 
+ * @example
+ * // 13 Feb, 18:00 shop time
+ * getNextSubscriptionDate();  // "2026-02-14"
+ * // 13 Feb, 20:00 shop time
+ * getNextSubscriptionDate();  // "2026-02-15"
+ */
+export function getNextSubscriptionDate(now = new Date()) {
+    const today = getShopDateKey(now);
+    const cutoff = getShopDateTime(today, CONFIG.SUBSCRIPTION_ORDER_CUTOFF);
+    return addDaysToDateKey(today, now < cutoff ? 1 : 2);
+}
+
+/**
+ * Check whether a subscription should be delivered on a date
+ * 
+ * @param {Object} subscription - Subscription object
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @param {Array} closures - The owner's closures (see isDeliveryDay)
+ * @returns {boolean} True if an order should be generated for that date
+ * 
+ * @example
+ * isSubscriptionDeliveryDay({ status: 'active', daysOfWeek: [1, 3, 5], startDate: '2026-02-01' }, '2026-02-13');
+ * // true (Friday)
+ */
+export function isSubscriptionDeliveryDay(subscription, dateKey, closures = []) {
+    return subscription.status === SUBSCRIPTION_STATUS.ACTIVE &&
+        subscription.startDate <= dateKey &&
+        subscription.daysOfWeek.includes(getDayOfWeek(dateKey)) &&
+        isDeliveryDay(dateKey, closures) &&
+        !isSubscriptionPausedOn(subscription, dateKey);
+}
+
+/**
+ * Check whether the customer paused or skipped a date
+ * 
+ * @param {Object} subscription - Subscription object
+ * @param {string} dateKey - Shop date (YYYY-MM-DD)
+ * @returns {boolean} True if the date falls in a pause or is a skipped day
+ */
+export function isSubscriptionPausedOn(subscription, dateKey) {
+    const pauses = subscription.pauses || [];
+    const skipDates = subscription.skipDates || [];
+
+    return skipDates.includes(dateKey) ||
+        pauses.some(pause => pause.from <= dateKey && dateKey <= pause.to);
+}
+
+/**
+ * Find the next date a subscription will be delivered
+ * 
+ * @param {Object} subscription - Subscription object
+ * @param {Date} now - Current time (default: now)
+ * @param {Array} closures - The owner's closures (see isDeliveryDay)
+ * @returns {string|null} Shop date (YYYY-MM-DD), or null if nothing is
+ *   due within the next CONFIG.SUBSCRIPTION_MAX_PAUSE_DAYS + 7 days
+ */
+export function getNextDeliveryDate(subscription, now = new Date(), closures = []) {
+    let dateKey = getNextSubscriptionDate(now);
+
+    for (let i = 0; i < CONFIG.SUBSCRIPTION_MAX_PAUSE_DAYS + 7; i++) {
+        if (isSubscriptionDeliveryDay(subscription, dateKey, closures)) {
+            return dateKey;
+        }
+        dateKey = addDaysToDateKey(dateKey, 1);
+    }
+
+    return null;
+}
+
+// ==================== Pauses & Skips ====================
+
+/**
+ * Apply a pause or skip change to a subscription
+ * 
+ * Changes can only affect dates whose orders have not been generated yet
+ * (from getNextSubscriptionDate onwards). Removing a pause that has
+ * already started ends it early instead of deleting it.
+ * 
+ * Supported changes:
+ * - { action: 'add-pause', from, to }
+ * - { action: 'remove-pause', from, to }
+ * - { action: 'add-skip', date }
+ * - { action: 'remove-skip', date }
+ * 
+ * @param {Object} subscription - Current subscription
+ * @param {Object} change - Requested change
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} {isValid, error, pauses, skipDates} - the new lists when valid
+ * 
+ * @example
+ * // Before 9 PM on 13 Feb
+ * applyScheduleChange(subscription, { action: 'add-skip', date: '2026-02-14' });
+ * // { isValid: true, error: null, pauses: [...], skipDates: ['2026-02-14'] }
+ */
+export function applyScheduleChange(subscription, change, now = new Date()) {
+    const earliest = getNextSubscriptionDate(now);
+    const pauses = [...(subscription.pauses || [])];
+    const skipDates = [...(subscription.skipDates || [])];
+    const invalid = error => ({ isValid: false, error, pauses, skipDates });
+    const tooLate = date => invalid(
+        `Changes for ${date} had to be made before ${CONFIG.SUBSCRIPTION_ORDER_CUTOFF} the day before. ` +
+        `The earliest date you can change is ${earliest}.`
+    );
+
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+        return invalid('This subscription is not active');
+    }
+
+    switch (change.action) {
+        case 'add-pause': {
+            const { from, to } = change;
+            if (!isDateKey(from) || !isDateKey(to) || to < from) {
+                return invalid('Please choose a valid date range');
+            }
+            if (from < earliest) {
+                return tooLate(from);
+            }
+            if (to > addDaysToDateKey(from, CONFIG.SUBSCRIPTION_MAX_PAUSE_DAYS - 1)) {
+                return invalid(`A pause can be at most ${CONFIG.SUBSCRIPTION_MAX_PAUSE_DAYS} days`);
+            }
+            if (pauses.some(pause => pause.from <= to && from <= pause.to)) {
+                return invalid('This pause overlaps one you already have');
+            }
+
+            pauses.push({ from, to });
+            pauses.sort((a, b) => a.from.localeCompare(b.from));
+            break;
+        }
+
+        case 'remove-pause': {
+            const index = pauses.findIndex(pause => pause.from === change.from && pause.to === change.to);
+            if (index === -1) {
+                return invalid('Pause not found');
+            }
+
+            const pause = pauses[index];
+            if (pause.to < earliest) {
+                return invalid('This pause has already ended');
+            }
+
+            if (pause.from < earliest) {
+                // Already started: end it before the first date that can still change
+                pauses[index] = { from: pause.from, to: addDaysToDateKey(earliest, -1) };
+            } else {
+                pauses.splice(index, 1);
+            }
+            break;
+        }
+
+        case 'add-skip': {
+            const { date } = change;
+            if (!isDateKey(date)) {
+                return invalid('Please choose a valid date');
+            }
+            if (date < earliest) {
+                return tooLate(date);
+            }
+            if (skipDates.includes(date)) {
+                return invalid('You have already skipped this day');
+            }
+
+            skipDates.push(date);
+            skipDates.sort();
+            break;
+        }
+
+        case 'remove-skip': {
+            const index = skipDates.indexOf(change.date);
+            if (index === -1) {
+                return invalid('Skipped day not found');
+            }
+            if (change.date < earliest) {
+                return tooLate(change.date);
+            }
+
+            skipDates.splice(index, 1);
+            break;
+        }
+
+        default:
+            return invalid('Unknown change');
+    }
+
+    return { isValid: true, error: null, pauses, skipDates };
+}
+
+/**
+ * Describe a subscription's delivery days
+ * 
+ * @param {Array<number>} daysOfWeek - Days of week (0 = Sunday)
+ * @returns {string} e.g. "Every day" or "Mon, Wed, Fri"
+ */
+export function describeDaysOfWeek(daysOfWeek) {
+    if (daysOfWeek.length === 7) {
+        return 'Every day';
+    }
+
+    return [...daysOfWeek]
+        .sort((a, b) => a - b)
+        .map(day => DAYS_OF_WEEK[day].slice(0, 3))
+        .join(', ');
+}
+
+// ==================== Validation ====================
+
+/**
+ * Validate a subscription's delivery address
+ * 
+ * The address must be in a delivery zone that offers the slot. Used when
+ * a subscription is created and when a customer adds a pincode and area
+ * to a subscription from before delivery zones.
+ * 
+ * @param {Object} customer - {addressLine, pincode, locality}
+ * @param {Object|null} slot - Delivery slot, or null to skip the slot check
+ * @returns {Object} Validation result {isValid, errors}
+ * 
+ * @example
+ * validateSubscriptionAddress(customer, getDeliverySlot(subscription.deliverySlotId));
+ */
+export function validateSubscriptionAddress(customer, slot) {
+    const errors = [];
+
+    if (!customer || !customer.addressLine) errors.push('Delivery address is required');
+
+    const area = checkDeliveryArea(customer);
+    if (!area.isValid) {
+        errors.push(area.error);
+    } else if (slot) {
+        const zoneCheck = checkZoneSlot(area.zone, slot);
+        if (!zoneCheck.isValid) {
+            errors.push(zoneCheck.error);
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Check whether a subscription has no usable delivery area
+ * 
+ * True for subscriptions from before delivery zones (no pincode or
+ * area) and for addresses no longer in a zone. No orders are generated
+ * for them until the customer updates the address.
+ * 
+ * @param {Object} subscription - Subscription
+ * @returns {boolean} True if the address needs updating
+ */
+export function needsDeliveryArea(subscription) {
+    return !checkDeliveryArea(subscription.customer).isValid;
+}
+
+/**
+ * Validate subscription data submitted by a customer
+ * 
+ * Product availability is checked separately against the catalog. The
+ * address must be in a delivery zone that offers the chosen slot.
+ * 
+ * @param {Object} data - Subscription data {items, daysOfWeek, deliverySlotId, customer}
+ *   where items are [{productId, variantId?, quantity}] and customer is {name, phone, addressLine, pincode, locality, landmark?}
+ * @returns {Object} Validation result {isValid, errors}
+ * 
+ * @example
+ * const result = validateSubscription(data);
+ * if (!result.isValid) {
+ *   result.errors.forEach(error => showToast(error, 'error'));
+ * }
+ */
+export function validateSubscription(data) {
+    const errors = [];
+
+    // Items
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+        errors.push('Choose at least one product');
+    } else {
+        const itemKeys = new Set();
+
+        data.items.forEach((item, index) => {
+            if (!item || typeof item.productId !== 'string' || !item.productId) {
+                errors.push(`Item ${index + 1} has no product`);
+                return;
+            }
+
+            // Optional; without it the product's default pack size is used
+            if (item.variantId !== undefined && item.variantId !== null &&
+                (typeof item.variantId !== 'string' || !item.variantId)) {
+                errors.push(`Invalid pack size for ${item.productId}`);
+            }
+
+            // The same product may be subscribed to in different pack sizes
+            const key = getVariantKey(item);
+            if (itemKeys.has(key)) {
+                errors.push(`${item.productId}${item.variantId ? ` (${item.variantId})` : ''} is listed more than once`);
+            }
+            itemKeys.add(key);
+
+            if (!Number.isInteger(item.quantity) || item.quantity < 1 ||
+                item.quantity > CONFIG.SUBSCRIPTION_MAX_QUANTITY) {
+                errors.push(`Quantity for ${item.productId} must be between 1 and ${CONFIG.SUBSCRIPTION_MAX_QUANTITY}`);
+            }
+        });
+    }
+
+    // Days of week
+    if (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.length === 0) {
+        errors.push('Choose at least one delivery day');
+    } else if (!data.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ||
+        new Set(data.daysOfWeek).size !== data.daysOfWeek.length) {
+        errors.push('Invalid delivery days');
+    }
+
+    // Delivery slot
+    const slot = getDeliverySlot(data.deliverySlotId);
+    if (!slot) {
+        errors.push('Please select a delivery time slot');
+    }
+
+    // Delivery details
+    if (!data.customer || !data.customer.name) errors.push('Name is required');
+    if (!data.customer || !data.customer.phone) errors.push('Phone number is required');
+    errors.push(...validateSubscriptionAddress(data.customer, slot).errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
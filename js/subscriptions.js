@@ -0,0 +1,535 @@
+/**
+ * Subscriptions Module
+ * 
+ * Client side of recurring deliveries:
+ * - Talks to /api/subscriptions (list, create, pause/skip, address, cancel)
+ * - Renders the customer's subscriptions and the new-subscription form
+ * - Vacation pause, skip-a-day and address dialogs
+ * 
+ * Orders are generated from subscriptions by the server every evening;
+ * they then appear in "My Orders" like any other order.
+ * 
+ * @module subscriptions
+ * @requires ./config.js
+ * @requires ./firebase-config.js
+ * @requires ./delivery-schedule.js
+ * @requires ./delivery-zones.js
+ * @requires ./product-variants.js
+ * @requires ./subscription-schedule.js
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+import { AuthService } from './firebase-config.js';
+import { getDeliverySlot } from './delivery-schedule.js';
+import { findDeliveryZone, getMinOrderAmount, getServiceableLocalities } from './delivery-zones.js';
+import { getProductVariants } from './product-variants.js';
+import {
+    SUBSCRIPTION_STATUS,
+    DAYS_OF_WEEK,
+    describeDaysOfWeek,
+    getNextDeliveryDate,
+    getNextSubscriptionDate,
+    needsDeliveryArea
+} from './subscription-schedule.js';
+import { formatDateTime, sanitizeInput } from './utils.js';
+
+// ==================== API ====================
+
+/**
+ * Call the subscriptions API as the current user
+ * 
+ * @private
+ * @param {string} method - HTTP method
+ * @param {Object} options - {query, body}
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} If the request fails (with `code` when the API rejected it)
+ */
+async function callSubscriptionsApi(method, { query = '', body } = {}) {
+    const idToken = await AuthService.getIdToken();
+    if (!idToken) {
+        throw new Error('Please login to continue');
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE_URL}/subscriptions${query}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const message = data.errors ? data.errors.join(', ') : data.message;
+        const error = new Error(message || 'Subscription request failed');
+        error.code = data.code;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Get the current user's subscriptions
+ * 
+ * @returns {Promise<Array>} Subscriptions, newest first
+ * 
+ * @example
+ * const subscriptions = await fetchSubscriptions();
+ */
+export async function fetchSubscriptions() {
+    const data = await callSubscriptionsApi('GET');
+    return data.subscriptions;
+}
+
+/**
+ * Create a subscription
+ * 
+ * @param {Object} subscriptionData - {items, daysOfWeek, deliverySlotId, customer, specialInstructions}
+ * @returns {Promise<Object>} The new subscription
+ * 
+ * @example
+ * await createSubscription({
+ *   items: [{ productId: 'buffalo-milk', quantity: 1 }],
+ *   daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+ *   deliverySlotId: 'morning',
+ *   customer: { name, phone, address }
+ * });
+ */
+export async function createSubscription(subscriptionData) {
+    const data = await callSubscriptionsApi('POST', { body: subscriptionData });
+    return data.subscription;
+}
+
+/**
+ * Pause, skip or undo a pause/skip
+ * 
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} change - {action: 'add-pause' | 'remove-pause', from, to}
+ *   or {action: 'add-skip' | 'remove-skip', date}
+ * @returns {Promise<Object>} Updated {pauses, skipDates}
+ * 
+ * @example
+ * await updateSubscriptionSchedule(id, { action: 'add-pause', from: '2026-02-20', to: '2026-02-27' });
+ */
+export async function updateSubscriptionSchedule(subscriptionId, change) {
+    return callSubscriptionsApi('PATCH', { body: { subscriptionId, ...change } });
+}
+
+/**
+ * Change the delivery address of a subscription
+ * 
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} customer - {addressLine, pincode, locality}
+ * @returns {Promise<Object>} Updated customer
+ * 
+ * @example
+ * await updateSubscriptionAddress(id, { addressLine: 'Flat 4, Shanti Niwas', pincode: '421301', locality: 'Syndicate' });
+ */
+export async function updateSubscriptionAddress(subscriptionId, customer) {
+    const data = await callSubscriptionsApi('PATCH', {
+        body: { subscriptionId, action: 'update-address', customer }
+    });
+    return data.customer;
+}
+
+/**
+ * Cancel a subscription
+ * 
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+export async function cancelSubscription(subscriptionId) {
+    await callSubscriptionsApi('DELETE', {
+        query: `?subscriptionId=${encodeURIComponent(subscriptionId)}`
+    });
+}
+
+// ==================== Rendering Functions ====================
+
+/**
+ * Show the next delivery date of an active subscription
+ * 
+ * @private
+ * @param {Object} subscription - Subscription object
+ * @param {Array} closures - The owner's closures (see fetchClosures)
+ * @returns {string} HTML string
+ */
+function renderNextDelivery(subscription, closures) {
+    const next = getNextDeliveryDate(subscription, new Date(), closures);
+    return `<p class="subscription-next">Next delivery: <strong>${next ? formatDateTime(next, false) : 'Paused'}</strong></p>`;
+}
+
+/**
+ * Describe the outcome of the last order generation
+ * 
+ * @private
+ * @param {Object} subscription - Subscription object
+ * @returns {string} HTML string (empty if the subscription never ran)
+ */
+function renderLastRun(subscription) {
+    const lastRun = subscription.lastRun;
+    if (!lastRun) {
+        return '';
+    }
+
+    const reasons = {
+        'out-of-stock': 'products were out of stock',
+        'insufficient-stock': 'not enough stock was left',
+        'below-minimum': `order was below the ₹${getMinOrderAmount(findDeliveryZone(subscription.customer))} minimum`,
+        'outside-delivery-area': 'this address has no delivery area. Please update the address',
+        'slot-not-in-area': 'this time slot is not available in your area. Please start a new subscription with another slot'
+    };
+
+    const text = lastRun.result === 'skipped'
+        ? `Skipped for ${formatDateTime(lastRun.date, false)}: ${reasons[lastRun.reason] || 'not available'}`
+        : `Last order: ${sanitizeInput(lastRun.orderId || '')} for ${formatDateTime(lastRun.date, false)}`;
+
+    return `<p class="subscription-last-run">${text}</p>`;
+}
+
+/**
+ * Prompt to update an address that has no delivery area
+ * 
+ * Subscriptions from before delivery zones have no pincode or area, and
+ * no orders are generated for them until the customer adds one.
+ * 
+ * @private
+ * @param {Object} subscription - Subscription object
+ * @returns {string} HTML string (empty if the address is in a delivery area)
+ */
+function renderAddressPrompt(subscription) {
+    if (!needsDeliveryArea(subscription)) {
+        return '';
+    }
+
+    const customer = subscription.customer || {};
+
+    return `
+      <div class="alert alert-warning subscription-address-prompt" role="status">
+        <p>Deliveries are on hold: please add your pincode and area to this subscription.</p>
+        <button class="btn btn-primary btn-sm btn-update-address"
+          data-subscription-id="${sanitizeInput(subscription.subscriptionId)}"
+          data-address-line="${sanitizeInput(customer.addressLine || customer.address || '')}">Update Address</button>
+      </div>
+    `;
+}
+
+/**
+ * Render the upcoming pauses and skipped days of a subscription
+ * 
+ * Entries that are entirely in the past are hidden. Remove buttons are
+ * only shown when the change is still before the cutoff.
+ * 
+ * @private
+ * @param {Object} subscription - Subscription object
+ * @returns {string} HTML string (empty if there is nothing upcoming)
+ */
+function renderScheduleChanges(subscription) {
+    const earliest = getNextSubscriptionDate();
+    const id = sanitizeInput(subscription.subscriptionId);
+    const formatDay = date => formatDateTime(date, false);
+
+    const pauses = (subscription.pauses || [])
+        .filter(pause => pause.to >= earliest)
+        .map(pause => `
+      <li>
+        Paused ${formatDay(pause.from)} – ${formatDay(pause.to)}
+        <button class="btn-link btn-schedule-change" data-subscription-id="${id}"
+          data-action="remove-pause" data-from="${pause.from}" data-to="${pause.to}">
+          ${pause.from < earliest ? 'Resume early' : 'Remove'}
+        </button>
+      </li>
+    `);
+
+    const skips = (subscription.skipDates || [])
+        .filter(date => date >= earliest)
+        .map(date => `
+      <li>
+        Skipping ${formatDay(date)}
+        <button class="btn-link btn-schedule-change" data-subscription-id="${id}"
+          data-action="remove-skip" data-date="${date}">Undo</button>
+      </li>
+    `);
+
+    const entries = [...pauses, ...skips];
+    return entries.length > 0 ? `<ul class="subscription-schedule">${entries.join('')}</ul>` : '';
+}
+
+/**
+ * Render a single subscription card
+ * 
+ * @param {Object} subscription - Subscription object
+ * @param {Array} closures - The owner's closures, for the next delivery date
+ * @returns {string} HTML string for the subscription card
+ */
+export function renderSubscriptionCard(subscription, closures = []) {
+    const slot = getDeliverySlot(subscription.deliverySlotId);
+    const isActive = subscription.status === SUBSCRIPTION_STATUS.ACTIVE;
+
+    const items = subscription.items
+        .map(item => `${sanitizeInput(item.productName)} (${sanitizeInput(item.unit)}) ×${item.quantity}`)
+        .join(', ');
+
+    return `
+    <div class="order-card subscription-card">
+      <div class="order-card-header">
+        <span class="order-card-id">${items}</span>
+        <span class="badge ${isActive ? 'badge-success' : 'badge-danger'}">${isActive ? 'Active' : 'Cancelled'}</span>
+      </div>
+      <p class="order-card-date">
+        ${describeDaysOfWeek(subscription.daysOfWeek)} · ${slot ? slot.label : ''}
+        · from ${formatDateTime(subscription.startDate, false)}
+      </p>
+      ${isActive ? renderAddressPrompt(subscription) : ''}
+      ${isActive ? renderNextDelivery(subscription, closures) : ''}
+      ${renderLastRun(subscription)}
+      ${isActive ? renderScheduleChanges(subscription) : ''}
+      ${isActive ? `
+      <div class="order-card-footer">
+        <div class="subscription-actions">
+          <button class="btn btn-outline btn-sm btn-pause-subscription"
+            data-subscription-id="${sanitizeInput(subscription.subscriptionId)}">Pause</button>
+          <button class="btn btn-outline btn-sm btn-skip-subscription"
+            data-subscription-id="${sanitizeInput(subscription.subscriptionId)}">Skip a Day</button>
+        </div>
+        <button class="btn btn-outline btn-sm btn-cancel-subscription"
+          data-subscription-id="${sanitizeInput(subscription.subscriptionId)}">Cancel Subscription</button>
+      </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render a list of subscriptions into a container
+ * 
+ * @param {Array} subscriptions - Subscriptions to render
+ * @param {string} containerId - ID of container element
+ * @param {Array} closures - The owner's closures (see fetchClosures)
+ */
+export function renderSubscriptionList(subscriptions, containerId, closures = []) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    if (subscriptions.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <h3>No subscriptions yet</h3>
+        <p>Get fresh milk delivered on the days you choose.</p>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = subscriptions.map(subscription => renderSubscriptionCard(subscription, closures)).join('');
+}
+
+/**
+ * Render one product row of the subscription form
+ * 
+ * Each pack size in stock is its own option; the selected option's
+ * `data-variant-id` is the item's variantId.
+ * 
+ * @param {Array} products - Products that can be subscribed to
+ * @returns {string} HTML string for the row
+ */
+export function renderSubscriptionItemRow(products) {
+    const options = products
+        .filter(product => product.inStock !== false)
+        .flatMap(product => getProductVariants(product)
+            .filter(variant => variant.inStock)
+            .map(variant => `
+          <option value="${sanitizeInput(product.id)}" data-variant-id="${sanitizeInput(variant.id || '')}">
+            ${sanitizeInput(product.nameEnglish)} (${sanitizeInput(variant.unit)})
+          </option>`))
+        .join('');
+
+    return `
+    <div class="form-row form-row-2 subscription-item-row">
+      <div class="form-group">
+        <select class="form-select subscription-product" required>
+          <option value="">Select a product</option>
+          ${options}
+        </select>
+      </div>
+      <div class="form-group">
+        <input type="number" class="form-input subscription-quantity" min="1"
+          max="${CONFIG.SUBSCRIPTION_MAX_QUANTITY}" value="1" required>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the day-of-week checkboxes of the subscription form
+ * 
+ * @param {string} containerId - ID of container element
+ */
+export function renderDayCheckboxes(containerId) {
+    const container = document.getElementById(containerId);
+
+    if (!container) {
+        console.error(`Container with ID "${containerId}" not found`);
+        return;
+    }
+
+    container.innerHTML = DAYS_OF_WEEK.map((day, index) => `
+    <label class="subscription-day">
+      <input type="checkbox" name="subscription-day" value="${index}" checked>
+      <span>${day.slice(0, 3)}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Ask the customer for the dates of a pause or a skipped day
+ * 
+ * The earliest selectable date is the first one whose orders have not
+ * been generated yet; the server enforces the same cutoff.
+ * 
+ * @param {string} mode - 'pause' (date range) or 'skip' (single day)
+ * @returns {Promise<Object|null>} Change for updateSubscriptionSchedule, or null if cancelled
+ * 
+ * @example
+ * const change = await showScheduleDialog('skip');
+ * if (change) await updateSubscriptionSchedule(id, change);
+ */
+export function showScheduleDialog(mode) {
+    return new Promise((resolve) => {
+        const earliest = getNextSubscriptionDate();
+        const isPause = mode === 'pause';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <p class="modal-message">${isPause ? 'Pause deliveries (e.g. while you travel)' : 'Skip one delivery'}</p>
+          <div class="form-row ${isPause ? 'form-row-2' : ''}">
+            <div class="form-group">
+              <label class="form-label">${isPause ? 'From' : 'Date'}</label>
+              <input type="date" id="schedule-from" class="form-input" min="${earliest}" value="${earliest}">
+            </div>
+            ${isPause ? `
+            <div class="form-group">
+              <label class="form-label">Until (inclusive)</label>
+              <input type="date" id="schedule-to" class="form-input" min="${earliest}" value="${earliest}">
+            </div>
+            ` : ''}
+          </div>
+          <p class="form-help mb-4">
+            Changes for tomorrow must be made before ${CONFIG.SUBSCRIPTION_ORDER_CUTOFF} today.
+          </p>
+          <div class="modal-actions">
+            <button class="btn btn-secondary" data-action="close">Cancel</button>
+            <button class="btn btn-primary" data-action="save">${isPause ? 'Pause' : 'Skip'}</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        // Handle button clicks
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+
+            const from = modal.querySelector('#schedule-from').value;
+            let change = null;
+
+            if (action === 'save') {
+                change = isPause
+                    ? { action: 'add-pause', from, to: modal.querySelector('#schedule-to').value }
+                    : { action: 'add-skip', date: from };
+            }
+
+            modal.remove();
+            resolve(change);
+        });
+    });
+}
+
+/**
+ * Show the dialog for changing a subscription's delivery address
+ * 
+ * @param {string} addressLine - Current house / flat, building and street
+ * @returns {Promise<Object|null>} {addressLine, pincode, locality} for
+ *   updateSubscriptionAddress, or null if cancelled
+ * 
+ * @example
+ * const customer = await showAddressDialog(button.dataset.addressLine);
+ * if (customer) await updateSubscriptionAddress(id, customer);
+ */
+export function showAddressDialog(addressLine = '') {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <p class="modal-message">Delivery address</p>
+          <div class="form-group">
+            <label class="form-label" for="address-dialog-line">House / Flat, Building and Street</label>
+            <textarea id="address-dialog-line" class="form-textarea" rows="2"></textarea>
+          </div>
+          <div class="form-row form-row-2">
+            <div class="form-group">
+              <label class="form-label" for="address-dialog-pincode">Pincode</label>
+              <input type="text" id="address-dialog-pincode" class="form-input" inputmode="numeric" maxlength="6">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="address-dialog-locality">Area</label>
+              <select id="address-dialog-locality" class="form-select" disabled>
+                <option value="">Select your area</option>
+              </select>
+            </div>
+          </div>
+          <div class="modal-actions">
+            <button class="btn btn-secondary" data-action="close">Cancel</button>
+            <button class="btn btn-primary" data-action="save">Save Address</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(modal);
+
+        const lineInput = modal.querySelector('#address-dialog-line');
+        const pincodeInput = modal.querySelector('#address-dialog-pincode');
+        const localitySelect = modal.querySelector('#address-dialog-locality');
+        lineInput.value = addressLine;
+
+        // The area list follows the pincode
+        pincodeInput.addEventListener('input', () => {
+            const localities = getServiceableLocalities(pincodeInput.value);
+            localitySelect.innerHTML = '<option value="">Select your area</option>' + localities
+                .map(name => `<option value="${sanitizeInput(name)}">${sanitizeInput(name)}</option>`)
+                .join('');
+            localitySelect.disabled = localities.length === 0;
+        });
+
+        // Handle button clicks
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+
+            const customer = action === 'save'
+                ? { addressLine: sanitizeInput(lineInput.value), pincode: pincodeInput.value, locality: localitySelect.value }
+                : null;
+
+            modal.remove();
+            resolve(customer);
+        });
+    });
+}
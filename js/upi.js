@@ -0,0 +1,81 @@
+/**
+ * UPI Payment Rules
+ *
+ * Builds the `upi://pay` intent link for an order and checks the UTR
+ * (UPI transaction reference) the shop owner enters when the money has
+ * arrived. The link opens any UPI app with the shop's UPI ID, the exact
+ * order total and the order number already filled in; nothing here talks
+ * to a payment gateway.
+ *
+ * Pure functions only, so the same rules run in the browser and in the
+ * serverless functions.
+ *
+ * @module upi
+ * @requires ./config.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * UTRs of UPI payments are 12-digit numbers
+ * @constant {RegExp}
+ */
+const UTR_REGEX = /^\d{12}$/;
+
+/**
+ * Build the UPI intent link for an order
+ *
+ * @param {Object} order - Order {orderId, total}
+ * @returns {string} upi://pay link for the exact order total
+ *
+ * @example
+ * buildUpiPaymentLink({ orderId: 'ORD-20260212-004', total: 180 });
+ * // "upi://pay?pa=9320056114%40upi&pn=OM+Yashoda+Dairy&am=180.00&cu=INR&tn=Order+ORD-20260212-004&tr=ORD-20260212-004"
+ */
+export function buildUpiPaymentLink(order) {
+    const params = new URLSearchParams({
+        pa: CONFIG.UPI_PAYEE_VPA,
+        pn: CONFIG.UPI_PAYEE_NAME,
+        am: order.total.toFixed(2),
+        cu: 'INR',
+        tn: `Order ${order.orderId}`,
+        tr: order.orderId
+    });
+
+    return `upi://pay?${params}`;
+}
+
+/**
+ * Normalize a UTR as typed by the owner (spaces and dashes removed)
+ *
+ * @param {string} utr - UTR from the form
+ * @returns {string} Digits only
+ *
+ * @example
+ * normalizeUtr(' 4021 5566 7788 ');  // "402155667788"
+ */
+export function normalizeUtr(utr) {
+    return typeof utr === 'string' ? utr.replace(/[\s-]/g, '') : '';
+}
+
+/**
+ * Validate a UTR
+ *
+ * @param {string} utr - Normalized UTR
+ * @returns {Object} Validation result {isValid, error}
+ *
+ * @example
+ * validateUtr('4021');  // { isValid: false, error: 'The UTR is the 12-digit ...' }
+ */
+export function validateUtr(utr) {
+    if (!UTR_REGEX.test(utr)) {
+        return {
+            isValid: false,
+            error: 'The UTR is the 12-digit reference number shown in the UPI payment details.'
+        };
+    }
+
+    return { isValid: true, error: null };
+}
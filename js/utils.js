@@ -34,16 +34,22 @@ export function formatCurrency(amount) {
 /**
  * Format a Date object or ISO string to human-readable format
  * 
- * @param {Date|string} date - Date object or ISO date string
+ * Firestore Timestamps (anything with a toDate() method) are accepted too.
+ * 
+ * @param {Date|string|Object} date - Date object, ISO date string or Firestore Timestamp
  * @param {boolean} includeTime - Whether to include time (default: true)
  * @returns {string} Formatted date string
  * 
  * @example
  * formatDateTime(new Date());                    // "12 Feb 2026, 10:30 PM"
  * formatDateTime('2026-02-12T22:30:00', false);  // "12 Feb 2026"
+ * formatDateTime(order.createdAt);               // Firestore Timestamp
  */
 export function formatDateTime(date, includeTime = true) {
-    const dateObj = typeof date === 'string' ? new Date(date) : date;
+    let dateObj = typeof date === 'string' ? new Date(date) : date;
+    if (dateObj && typeof dateObj.toDate === 'function') {
+        dateObj = dateObj.toDate();
+    }
 
     const options = {
         day: 'numeric',
@@ -468,27 +474,32 @@ export function handleError(error, showToUser = false, userMessage = 'An error o
     }
 }
 
-// ==================== Generate Unique ID ====================
+// ==================== Date Keys ====================
 
 /**
- * Generate a unique order ID
- * Format: ORD-YYYYMMDD-XXX (e.g., ORD-20260212-001)
+ * Get the shop's calendar date for a moment in time
  * 
- * @returns {string} Unique order ID
+ * Uses CONFIG.SHOP_TIME_ZONE so the result is the same in the browser
+ * and on the (UTC) server.
+ * 
+ * @param {Date} date - Moment in time (default: now)
+ * @returns {string} Date key in YYYY-MM-DD format
  * 
  * @example
- * const orderId = generateOrderId();  // "ORD-20260212-001"
+ * getShopDateKey(new Date('2026-02-12T20:00:00Z'));  // "2026-02-13" (01:30 AM IST)
  */
-export function generateOrderId() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const random = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
-
-    return `ORD-${year}${month}${day}-${random}`;
+export function getShopDateKey(date = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: CONFIG.SHOP_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
 }
 
+// ==================== Clipboard ====================
+
 /**
  * Copy text to clipboard
  * 
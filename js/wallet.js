@@ -0,0 +1,75 @@
+/**
+ * Prepaid Wallet Rules
+ *
+ * Customers can keep a prepaid balance with the shop. The owner tops it
+ * up after receiving cash or UPI, orders paid with the "wallet" payment
+ * method draw from it, and cancelled wallet orders are refunded to it.
+ *
+ * Pure functions only, so the same rules run in the browser and in the
+ * serverless functions.
+ *
+ * @module wallet
+ * @requires ./utils.js
+ * @author OM Yashoda Dairy Development Team
+ * @version 1.0.0
+ */
+
+import { formatCurrency } from './utils.js';
+
+/**
+ * Wallet transaction types
+ * @constant {Object}
+ */
+export const WALLET_TRANSACTION_TYPE = Object.freeze({
+    TOP_UP: 'top-up',
+    PAYMENT: 'payment',
+    REFUND: 'refund'
+});
+
+/**
+ * Human-readable labels for wallet transaction types
+ * @constant {Object}
+ */
+export const WALLET_TRANSACTION_LABELS = Object.freeze({
+    [WALLET_TRANSACTION_TYPE.TOP_UP]: 'Top-up',
+    [WALLET_TRANSACTION_TYPE.PAYMENT]: 'Order payment',
+    [WALLET_TRANSACTION_TYPE.REFUND]: 'Refund'
+});
+
+/**
+ * Get the signed change a transaction makes to the balance
+ *
+ * @param {Object} transaction - Wallet transaction {type, amount}
+ * @returns {number} Positive for money in, negative for money out
+ *
+ * @example
+ * getWalletBalanceChange({ type: 'payment', amount: 120 });  // -120
+ */
+export function getWalletBalanceChange(transaction) {
+    return transaction.type === WALLET_TRANSACTION_TYPE.PAYMENT
+        ? -transaction.amount
+        : transaction.amount;
+}
+
+/**
+ * Check whether a wallet can pay for an order
+ *
+ * @param {number} balance - Current wallet balance
+ * @param {number} amount - Order total
+ * @returns {Object} Validation result {isValid, error}
+ *
+ * @example
+ * checkWalletBalance(100, 250);
+ * // { isValid: false, error: 'Your wallet balance (₹100) is not enough for this order (₹250). ...' }
+ */
+export function checkWalletBalance(balance, amount) {
+    if (balance >= amount) {
+        return { isValid: true, error: null };
+    }
+
+    return {
+        isValid: false,
+        error: `Your wallet balance (${formatCurrency(balance)}) is not enough for this order ` +
+            `(${formatCurrency(amount)}). Please top up your wallet or choose another payment method.`
+    };
+}
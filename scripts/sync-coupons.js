@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Coupon Sync Script
+ *
+ * Syncs coupons from data/coupons.json to Firestore database.
+ * This script is run:
+ * 1. Manually before a festival offer starts
+ * 2. Automatically via GitHub Actions when coupons.json changes
+ *
+ * Usage counts (`usedCount` and the `redemptions` subcollection) are kept;
+ * to end an offer early set `"active": false` instead of deleting it.
+ *
+ * Usage:
+ *   node scripts/sync-coupons.js
+ *
+ * Environment Variables Required:
+ *   - FIREBASE_SERVICE_ACCOUNT (JSON string of service account)
+ *   - VITE_FIREBASE_PROJECT_ID (Firebase project ID)
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { COUPON_TYPE, normalizeCouponCode } from '../js/coupons.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// ==================== Firebase Admin Initialization ====================
+
+console.log('🔧 Initializing Firebase Admin...');
+
+if (!getApps().length) {
+    let serviceAccount = null;
+    try {
+        serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
+            ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+            : null;
+    } catch (e) {
+        console.error('❌ Error parsing FIREBASE_SERVICE_ACCOUNT:', e.message);
+        console.error('⚠️  Ensure the secret contains the raw JSON object, starting with { and ending with }');
+        // Do not log the secret itself for security
+    }
+
+    if (serviceAccount) {
+        initializeApp({
+            credential: cert(serviceAccount)
+        });
+        console.log('✅ Firebase Admin initialized with service account');
+    } else {
+        // Fallback for local development
+        initializeApp({
+            projectId: process.env.VITE_FIREBASE_PROJECT_ID
+        });
+        console.log('✅ Firebase Admin initialized with project ID');
+    }
+}
+
+const db = getFirestore();
+
+// ==================== Helper Functions ====================
+
+/**
+ * Load coupons from JSON file
+ */
+function loadCouponsFromJSON() {
+    try {
+        const couponsPath = join(__dirname, '../data/coupons.json');
+        const parsedData = JSON.parse(readFileSync(couponsPath, 'utf8'));
+        const coupons = Array.isArray(parsedData) ? parsedData : (parsedData.coupons || []);
+
+        console.log(`🎟️  Loaded ${coupons.length} coupons from JSON`);
+        return coupons;
+    } catch (error) {
+        console.error('❌ Error loading coupons.json:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Check a coupon from the JSON file
+ *
+ * @param {Object} coupon - Coupon as written in coupons.json
+ * @returns {Array<string>} Problems found (empty if the coupon is fine)
+ */
+function validateCoupon(coupon) {
+    const errors = [];
+    const dateKey = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!/^[A-Z0-9]{3,30}$/.test(normalizeCouponCode(coupon.code))) {
+        errors.push('code must be 3-30 letters or digits');
+    }
+    if (!Object.values(COUPON_TYPE).includes(coupon.type)) {
+        errors.push(`type must be one of ${Object.values(COUPON_TYPE).join(', ')}`);
+    }
+    if (typeof coupon.value !== 'number' || coupon.value <= 0 ||
+        (coupon.type === COUPON_TYPE.PERCENT && coupon.value > 100)) {
+        errors.push('value must be a positive amount (at most 100 for percent)');
+    }
+    ['validFrom', 'validUntil'].forEach(field => {
+        if (coupon[field] && !dateKey.test(coupon[field])) {
+            errors.push(`${field} must be a YYYY-MM-DD date`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Sync coupons to Firestore
+ */
+async function syncCoupons() {
+    console.log('\n🚀 Starting coupon sync...\n');
+
+    const stats = {
+        added: 0,
+        updated: 0,
+        errors: 0
+    };
+
+    try {
+        const jsonCoupons = loadCouponsFromJSON();
+
+        for (const coupon of jsonCoupons) {
+            const code = normalizeCouponCode(coupon.code);
+
+            try {
+                const problems = validateCoupon(coupon);
+                if (problems.length > 0) {
+                    throw new Error(problems.join('; '));
+                }
+
+                const couponRef = db.collection('coupons').doc(code);
+                const couponSnap = await couponRef.get();
+
+                // Prepare coupon data (usedCount is maintained by the API)
+                const couponData = {
+                    code,
+                    description: coupon.description || '',
+                    type: coupon.type,
+                    value: coupon.value,
+                    maxDiscount: coupon.maxDiscount || null,
+                    minOrderAmount: coupon.minOrderAmount || 0,
+                    productIds: coupon.productIds || [],
+                    categories: coupon.categories || [],
+                    validFrom: coupon.validFrom || null,
+                    validUntil: coupon.validUntil || null,
+                    usageLimit: coupon.usageLimit || null,
+                    perUserLimit: coupon.perUserLimit || null,
+                    active: coupon.active !== false, // Default to true
+                    updatedAt: FieldValue.serverTimestamp()
+                };
+
+                if (couponSnap.exists) {
+                    await couponRef.update(couponData);
+                    console.log(`✏️  Updated: ${code}`);
+                    stats.updated++;
+                } else {
+                    await couponRef.set({
+                        ...couponData,
+                        usedCount: 0,
+                        createdAt: FieldValue.serverTimestamp()
+                    });
+                    console.log(`➕ Added: ${code}`);
+                    stats.added++;
+                }
+            } catch (error) {
+                console.error(`❌ Error syncing ${code || '(no code)'}:`, error.message);
+                stats.errors++;
+            }
+        }
+
+        // Summary
+        console.log('\n📊 Sync Summary:');
+        console.log(`   ➕ Added: ${stats.added}`);
+        console.log(`   ✏️  Updated: ${stats.updated}`);
+        console.log(`   ❌ Errors: ${stats.errors}`);
+        console.log(`   🎟️  Total: ${jsonCoupons.length}`);
+
+        if (stats.errors === 0) {
+            console.log('\n✅ Coupon sync completed successfully!\n');
+            process.exit(0);
+        } else {
+            console.log('\n⚠️  Coupon sync completed with errors\n');
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Fatal error during sync:', error.message);
+        process.exit(1);
+    }
+}
+
+// ==================== Run Sync ====================
+
+syncCoupons();
@@ -8,6 +8,10 @@
  * 1. Manually for initial setup
  * 2. Automatically via GitHub Actions when products.json changes
  * 
+ * A `stock` number in products.json is only the opening count: once a
+ * product's stock is counted in Firestore, orders and the owner page
+ * keep it up to date and the sync leaves it alone.
+ * 
  * Usage:
  *   node scripts/sync-products.js
  * 
@@ -98,6 +102,68 @@ async function getExistingProducts() {
     }
 }
 
+/**
+ * Get the stock fields to write for a product or pack size
+ *
+ * Counted stock already in Firestore wins over the JSON file; counted
+ * products are in stock while their count is above zero. The last stock
+ * alert is kept so a sync does not alert the owner again.
+ *
+ * @param {Object} item - Product or variant as written in products.json
+ * @param {Object} existing - The same product or variant in Firestore (optional)
+ * @returns {Object} {stock, inStock, stockAlert}
+ */
+function prepareStock(item, existing) {
+    let stock = null;
+    if (Number.isInteger(existing?.stock)) {
+        stock = existing.stock;
+    } else if (Number.isInteger(item.stock)) {
+        stock = item.stock;
+    }
+
+    return {
+        stock,
+        inStock: stock === null ? item.inStock !== false : stock > 0, // Default to true
+        stockAlert: stock === null ? null : existing?.stockAlert ?? null
+    };
+}
+
+/**
+ * Prepare the pack sizes of a product from the JSON file
+ *
+ * @param {Object} product - Product as written in products.json
+ * @param {Object} existingProduct - The product in Firestore (optional)
+ * @returns {Array} Variants [{id, unit, price, priceTiers, sku, lowStockThreshold, inStock,
+ *   stock, stockAlert}] (empty
+ *   for products sold in one size)
+ * @throws {Error} If a variant has no ID, unit or price, or an ID is repeated
+ */
+function prepareVariants(product, existingProduct) {
+    const variants = product.variants || [];
+    const existingVariants = new Map((existingProduct?.variants || []).map(variant => [variant.id, variant]));
+    const ids = new Set();
+
+    return variants.map(variant => {
+        if (!variant.id || !variant.unit || typeof variant.price !== 'number') {
+            throw new Error('every variant needs an id, unit and price');
+        }
+        if (ids.has(variant.id)) {
+            throw new Error(`variant ${variant.id} is listed twice`);
+        }
+        ids.add(variant.id);
+
+        return {
+            id: variant.id,
+            unit: variant.unit,
+            price: variant.price,
+            priceTiers: variant.priceTiers || [],
+            sku: variant.sku || `${product.id}-${variant.id}`,
+            lowStockThreshold: variant.lowStockThreshold ?? null,
+            ...prepareStock(variant, existingVariants.get(variant.id))
+        };
+    });
+}
+
 /**
  * Sync products to Firestore
  */
@@ -122,16 +188,32 @@ async function syncProducts() {
                 const productId = product.id;
                 const productRef = db.collection('products').doc(productId);
 
+                // Products with pack sizes show their first size as price and unit
+                const variants = prepareVariants(product, existingProducts[productId]);
+                const defaultVariant = variants[0] || product;
+                const stock = variants.length === 0
+                    ? prepareStock(product, existingProducts[productId])
+                    : {
+                        stock: null,
+                        inStock: product.inStock !== false && variants.some(variant => variant.inStock),
+                        stockAlert: null
+                    };
+
                 // Prepare product data
                 const productData = {
                     id: product.id,
                     nameEnglish: product.nameEnglish,
                     nameHindi: product.nameHindi,
                     nameMarathi: product.nameMarathi,
-                    price: product.price,
-                    unit: product.unit,
+                    price: defaultVariant.price,
+                    priceTiers: defaultVariant.priceTiers || [],
+                    unit: defaultVariant.unit,
+                    sku: product.sku || product.id,
+                    variants,
                     category: product.category || 'regular',
-                    inStock: product.inStock !== false, // Default to true
+                    shelfLifeDays: product.shelfLifeDays || null,
+                    lowStockThreshold: product.lowStockThreshold ?? null,
+                    ...stock,
                     featured: product.featured || false,
                     image: product.image || `/images/products/${product.id}.jpg`,
                     updatedAt: FieldValue.serverTimestamp()